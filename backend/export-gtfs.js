@@ -0,0 +1,26 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { exportGtfsZip } = require('./services/gtfsExporter');
+require('dotenv').config();
+
+// Usage: node export-gtfs.js [output.zip]
+const outputPath = process.argv[2] || 'gtfs.zip';
+
+const exportFeed = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bus-tracking');
+    console.log('Connected to MongoDB');
+
+    const feed = await exportGtfsZip();
+    fs.writeFileSync(outputPath, feed);
+    console.log(`\n🎉 GTFS feed written to ${outputPath} (${Math.round(feed.length / 1024)} KB)`);
+  } catch (error) {
+    console.error('Error exporting GTFS feed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+exportFeed();
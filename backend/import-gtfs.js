@@ -0,0 +1,56 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { importGtfs } = require('./services/gtfsImporter');
+require('dotenv').config();
+
+// Usage: node import-gtfs.js <feed.zip> [--dry-run] [--prune]
+const args = process.argv.slice(2);
+const feedPath = args.find(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const prune = args.includes('--prune');
+
+const printReport = (report) => {
+  ['stops', 'calendars', 'routes', 'trips'].forEach(type => {
+    const diff = report[type];
+    const removed = report.removed ? report.removed[type].length : 0;
+    console.log(`${type.padEnd(10)} create: ${diff.create.length}, update: ${diff.update.length}, ` +
+      `unchanged: ${diff.unchanged}, not in feed: ${diff.stale.length}` +
+      (prune && !dryRun ? `, removed: ${removed}` : ''));
+  });
+
+  if (report.warnings.length > 0) {
+    console.log('\n⚠️ Warnings:');
+    report.warnings.forEach(warning => console.log(`  - ${warning}`));
+  }
+};
+
+const importFeed = async () => {
+  if (!feedPath) {
+    console.error('Usage: node import-gtfs.js <feed.zip> [--dry-run] [--prune]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bus-tracking');
+    console.log('Connected to MongoDB');
+
+    const { report, error } = await importGtfs(fs.readFileSync(feedPath), { dryRun, prune });
+    if (error) {
+      console.error(`Could not import ${feedPath}: ${error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(dryRun ? '\n🔍 Dry run, no changes were made:' : '\n🎉 GTFS feed imported:');
+    printReport(report);
+  } catch (error) {
+    console.error('Error importing GTFS feed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+importFeed();
@@ -1,6 +1,18 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+/**
+ * Resolve the user of a JWT
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {string} token
+ * @returns {Promise<Object|null>} User document, or null if the user no longer exists
+ * @throws if the token is invalid or expired
+ */
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  return User.findById(decoded.userId);
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -12,10 +24,7 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    console.log('Auth middleware - Token decoded:', decoded);
-
-    const user = await User.findById(decoded.userId);
+    const user = await verifyToken(token);
     console.log('Auth middleware - User found:', !!user);
 
     if (!user) {
@@ -45,4 +54,17 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
+const driverAuth = async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      if (req.user.role !== 'admin' && req.user.role !== 'driver') {
+        return res.status(403).json({ error: 'Access denied. Driver or admin role required.' });
+      }
+      next();
+    });
+  } catch (error) {
+    res.status(403).json({ error: 'Driver access required.' });
+  }
+};
+
+module.exports = { auth, adminAuth, driverAuth, verifyToken };
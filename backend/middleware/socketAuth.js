@@ -0,0 +1,48 @@
+const { verifyToken } = require('./auth');
+
+/**
+ * Socket.IO handshake authentication
+ * Clients send their JWT as `auth.token` (or an Authorization header). Connections
+ * without a token are accepted as anonymous and may only listen; connections with an
+ * invalid token are refused.
+ */
+const socketAuth = async (socket, next) => {
+  const token = socket.handshake.auth?.token ||
+    socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+  socket.data.user = null;
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const user = await verifyToken(token);
+    if (!user) {
+      return next(new Error('Invalid token. User not found.'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token.'));
+  }
+};
+
+// Wrap an event handler so that it only runs for authenticated users with one of the given roles
+const requireRole = (socket, roles, handler) => (...args) => {
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  const user = socket.data.user;
+
+  if (!user) {
+    if (ack) ack({ error: 'Access denied. No token provided.' });
+    return;
+  }
+  if (!roles.includes(user.role)) {
+    if (ack) ack({ error: `Access denied. ${roles.join(' or ')} role required.` });
+    return;
+  }
+
+  handler(...args);
+};
+
+module.exports = { socketAuth, requireRole };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Stop = require('./models/Stop');
+const Bus = require('./models/Bus');
+require('dotenv').config();
+
+// Usage: node migrate-geo.js
+// Fills in the GeoJSON points of stops and buses saved before they were added.
+// Safe to run more than once; new and updated documents get their points automatically.
+
+// Aggregation update copying {latitude, longitude} into a GeoJSON point
+const backfill = (Model, field, pointField) => Model.updateMany(
+  {
+    [`${field}.latitude`]: { $type: 'number' },
+    [`${field}.longitude`]: { $type: 'number' }
+  },
+  [{
+    $set: {
+      [pointField]: { type: 'Point', coordinates: [`$${field}.longitude`, `$${field}.latitude`] }
+    }
+  }]
+);
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bus-tracking');
+    console.log('Connected to MongoDB');
+
+    const stops = await backfill(Stop, 'location', 'locationPoint');
+    const buses = await backfill(Bus, 'currentLocation', 'currentLocationPoint');
+    await Stop.createIndexes();
+    await Bus.createIndexes();
+
+    console.log(`📍 Stops updated: ${stops.modifiedCount}`);
+    console.log(`🚌 Buses updated: ${buses.modifiedCount}`);
+  } catch (error) {
+    console.error('Error migrating locations:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+migrate();
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/time');
+
+// A rider's request to be told when a bus is a few minutes away from a stop
+const arrivalAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  stop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stop',
+    required: true
+  },
+  // Exactly one of route (any bus on it) or bus (that bus only)
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  leadMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 60
+  },
+  // A one-shot alert turns itself off after firing; a recurring one fires once per active day
+  mode: {
+    type: String,
+    enum: ['once', 'recurring'],
+    default: 'once'
+  },
+  // Empty means every day
+  days: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  // Optional time window, HH:MM:SS in the agency time zone; may wrap past midnight
+  startTime: String,
+  endTime: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: Date,
+  lastTriggeredBus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+arrivalAlertSchema.pre('validate', function(next) {
+  if (Boolean(this.route) === Boolean(this.bus)) {
+    this.invalidate('route', 'Alert must target either a route or a bus');
+  }
+  next();
+});
+
+arrivalAlertSchema.index({ user: 1 });
+arrivalAlertSchema.index({ route: 1, isActive: 1 });
+arrivalAlertSchema.index({ bus: 1, isActive: 1 });
+
+module.exports = mongoose.model('ArrivalAlert', arrivalAlertSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const geoPointPlugin = require('./plugins/geoPoint');
 
 const busSchema = new mongoose.Schema({
   busNumber: {
@@ -50,11 +51,31 @@ const busSchema = new mongoose.Schema({
     tripStartTime: {
       type: Date
     },
+    // Service date distanceToday counts for (see services/dailyRollover.js)
+    serviceDate: {
+      type: String
+    },
     lastLocation: {
       latitude: Number,
       longitude: Number
     }
+  },
+  // State of the GPS filter after the last accepted fix (see services/locationFilter.js)
+  locationFilter: {
+    type: new mongoose.Schema({
+      latitude: Number,
+      longitude: Number,
+      timestamp: Date,
+      variance: Number,
+      speedRejects: {
+        type: Number,
+        default: 0
+      }
+    }, { _id: false }),
+    select: false
   }
 });
 
+busSchema.plugin(geoPointPlugin, { field: 'currentLocation', pointField: 'currentLocationPoint' });
+
 module.exports = mongoose.model('Bus', busSchema);
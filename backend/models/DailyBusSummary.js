@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Totals of one bus for one service day, archived when the day is rolled over
+const dailyBusSummarySchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  // Route the bus was on when the day was closed
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  // Service date "YYYY-MM-DD"; the day starts at DAILY_ROLLOVER_HOUR in DAILY_ROLLOVER_TIMEZONE
+  date: {
+    type: String,
+    required: true
+  },
+  distance: {
+    type: Number, // in km, including fixes uploaded after the day was closed
+    default: 0,
+    min: 0
+  },
+  tripCount: {
+    type: Number,
+    default: 0
+  },
+  tripSeconds: {
+    type: Number, // time on trips, excluding pauses
+    default: 0
+  },
+  idleSeconds: {
+    type: Number, // time standing still on trips
+    default: 0
+  },
+  stopsServed: {
+    type: Number,
+    default: 0
+  },
+  closedAt: {
+    type: Date
+  }
+});
+
+dailyBusSummarySchema.index({ bus: 1, date: 1 }, { unique: true });
+dailyBusSummarySchema.index({ date: 1 });
+
+module.exports = mongoose.model('DailyBusSummary', dailyBusSummarySchema);
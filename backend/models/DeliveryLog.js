@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One delivery of a notification to a user over an outbound channel, with its retry state
+const deliveryLogSchema = new mongoose.Schema({
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'webhook'],
+    required: true
+  },
+  // Email address, phone number or URL the notification is sent to
+  recipient: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+deliveryLogSchema.index({ status: 1, nextAttemptAt: 1 });
+deliveryLogSchema.index({ notification: 1 });
+
+module.exports = mongoose.model('DeliveryLog', deliveryLogSchema);
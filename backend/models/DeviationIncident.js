@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A period during which a bus was further from its route than the route's corridor allows
+const deviationIncidentSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  // When the bus first left the corridor, not when the incident was confirmed
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Unset while the bus is still off route
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  corridorMeters: {
+    type: Number,
+    required: true
+  },
+  maxDistanceMeters: {
+    type: Number,
+    default: 0
+  },
+  // Positions reported while off route
+  path: [{
+    latitude: Number,
+    longitude: Number,
+    distanceMeters: Number, // from the route
+    timestamp: Date,
+    _id: false
+  }],
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date
+});
+
+deviationIncidentSchema.index({ bus: 1, endedAt: 1 });
+deviationIncidentSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('DeviationIncident', deviationIncidentSchema);
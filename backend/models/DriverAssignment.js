@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const driverAssignmentSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  shiftStart: {
+    type: Date,
+    required: true
+  },
+  shiftEnd: {
+    type: Date,
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+driverAssignmentSchema.index({ driver: 1, shiftStart: 1, shiftEnd: 1 });
+driverAssignmentSchema.index({ bus: 1, shiftStart: 1, shiftEnd: 1 });
+
+// Find the assignment covering the given time for a driver (optionally for a specific bus)
+driverAssignmentSchema.statics.findActive = function(driverId, busId = null, at = new Date()) {
+  const filter = {
+    driver: driverId,
+    shiftStart: { $lte: at },
+    shiftEnd: { $gte: at }
+  };
+  if (busId) filter.bus = busId;
+  return this.findOne(filter);
+};
+
+module.exports = mongoose.model('DriverAssignment', driverAssignmentSchema);
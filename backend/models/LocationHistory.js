@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Breadcrumbs are kept for this many days, then removed by MongoDB's TTL monitor
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 30;
+
+const locationHistorySchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  speed: {
+    type: Number, // in km/h
+    default: 0,
+    min: 0
+  },
+  heading: {
+    type: Number, // in degrees (0-360)
+    min: 0,
+    max: 360
+  },
+  accuracy: {
+    type: Number, // in meters, as reported by the device
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['api', 'socket'],
+    default: 'api'
+  },
+  // Set when the fix did not move the bus or count toward its trip stats
+  rejectionReason: {
+    type: String,
+    enum: ['low_accuracy', 'out_of_order', 'implausible_speed', 'stationary_jitter', null],
+    default: null
+  }
+});
+
+locationHistorySchema.index({ bus: 1, timestamp: -1 });
+locationHistorySchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LocationHistory', locationHistorySchema);
@@ -31,7 +31,36 @@ const notificationSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // When the notice goes live; later dates keep it hidden until the scheduler publishes it
+  publishAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the notice is retired (optional)
+  expiresAt: Date,
+  // Repeat the publishAt - expiresAt window, e.g. every Sunday night for maintenance
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['none', 'daily', 'weekly'],
+      default: 'none'
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    until: Date
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'published', 'expired'],
+    default: 'published'
   }
 });
 
+notificationSchema.index({ status: 1, publishAt: 1 });
+notificationSchema.index({ status: 1, expiresAt: 1 });
+
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Records that a user has read a notification
+const notificationReceiptSchema = new mongoose.Schema({
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationReceiptSchema.index({ user: 1, notification: 1 }, { unique: true });
+notificationReceiptSchema.index({ notification: 1 });
+
+module.exports = mongoose.model('NotificationReceipt', notificationReceiptSchema);
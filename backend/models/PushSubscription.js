@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription; a user has one per device they enabled push on
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -34,10 +34,22 @@ const routeSchema = new mongoose.Schema({
     type: Number, // in minutes
     required: true
   },
+  // Buses further than this from the route count as off route; unset uses DEVIATION_CORRIDOR_METERS
+  corridorMeters: {
+    type: Number,
+    min: 10
+  },
+  // Identifier in the GTFS feed this document was imported from
+  gtfsId: {
+    type: String,
+    trim: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+routeSchema.index({ gtfsId: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Route', routeSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const serviceCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  days: {
+    monday: { type: Boolean, default: false },
+    tuesday: { type: Boolean, default: false },
+    wednesday: { type: Boolean, default: false },
+    thursday: { type: Boolean, default: false },
+    friday: { type: Boolean, default: false },
+    saturday: { type: Boolean, default: false },
+    sunday: { type: Boolean, default: false }
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  endDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  // Holidays and one-off changes that override the weekday pattern
+  exceptions: [{
+    date: {
+      type: String, // YYYY-MM-DD
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['added', 'removed'],
+      required: true
+    },
+    description: String
+  }],
+  // Identifier in the GTFS feed this document was imported from
+  gtfsId: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+serviceCalendarSchema.index({ gtfsId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('ServiceCalendar', serviceCalendarSchema);
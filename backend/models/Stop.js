@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const geoPointPlugin = require('./plugins/geoPoint');
 
 const stopSchema = new mongoose.Schema({
   stopName: {
@@ -20,14 +21,29 @@ const stopSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Buses within this distance are at the stop
+  radius: {
+    type: Number, // in meters
+    default: 50,
+    min: 5
+  },
   routes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Route'
   }],
+  // Identifier in the GTFS feed this document was imported from
+  gtfsId: {
+    type: String,
+    trim: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+stopSchema.index({ gtfsId: 1 }, { unique: true, sparse: true });
+
+stopSchema.plugin(geoPointPlugin, { field: 'location', pointField: 'locationPoint' });
+
 module.exports = mongoose.model('Stop', stopSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A visit of a bus to a stop: when it entered the stop's radius and when it left
+const stopEventSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  stop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stop',
+    required: true
+  },
+  arrivedAt: {
+    type: Date,
+    required: true
+  },
+  // Unset while the bus is still at the stop
+  departedAt: {
+    type: Date,
+    default: null
+  },
+  dwellSeconds: {
+    type: Number,
+    min: 0
+  }
+});
+
+stopEventSchema.index({ bus: 1, departedAt: 1 });
+stopEventSchema.index({ bus: 1, arrivedAt: -1 });
+stopEventSchema.index({ stop: 1, arrivedAt: -1 });
+
+module.exports = mongoose.model('StopEvent', stopEventSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A scheduled trip of a route. For headway-based services the stop times
+// describe one run and are repeated according to the frequencies.
+const tripSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  calendar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCalendar',
+    required: true
+  },
+  headsign: {
+    type: String,
+    trim: true
+  },
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound'],
+    default: 'outbound'
+  },
+  stopTimes: [{
+    stop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Stop',
+      required: true
+    },
+    arrivalTime: {
+      type: String, // HH:MM:SS, may exceed 24:00:00
+      required: true
+    },
+    departureTime: {
+      type: String, // HH:MM:SS, may exceed 24:00:00
+      required: true
+    },
+    sequence: Number
+  }],
+  frequencies: [{
+    startTime: {
+      type: String, // HH:MM:SS
+      required: true
+    },
+    endTime: {
+      type: String, // HH:MM:SS
+      required: true
+    },
+    headwayMinutes: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Identifier in the GTFS feed this document was imported from
+  gtfsId: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tripSchema.index({ route: 1 });
+tripSchema.index({ 'stopTimes.stop': 1 });
+tripSchema.index({ gtfsId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Trip', tripSchema);
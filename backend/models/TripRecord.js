@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A trip a bus actually drove, from the driver starting it to ending it. Not to be
+// confused with Trip, which is a scheduled trip of the timetable.
+const tripRecordSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound'],
+    default: 'outbound'
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'paused', 'completed'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Unset until the trip is ended
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Breaks during which the bus does not count distance; the last one is open while paused
+  pauses: [{
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: Date
+  }],
+  distance: {
+    type: Number, // in km, from accepted location fixes taken while in progress
+    default: 0,
+    min: 0
+  },
+  idleSeconds: {
+    type: Number, // time standing still while in progress, e.g. at stops or in traffic
+    default: 0,
+    min: 0
+  },
+  // Filled in from the bus's stop events when the trip ends
+  stopsServed: [{
+    stop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Stop'
+    },
+    arrivedAt: Date,
+    departedAt: Date
+  }]
+});
+
+tripRecordSchema.index({ bus: 1, status: 1 });
+tripRecordSchema.index({ startedAt: -1 });
+tripRecordSchema.index({ driver: 1, startedAt: -1 });
+
+module.exports = mongoose.model('TripRecord', tripRecordSchema);
@@ -20,13 +20,40 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'driver', 'admin'],
     default: 'user'
   },
   trackedBuses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Bus'
   }],
+  favoriteStops: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stop'
+  }],
+  phone: {
+    type: String,
+    trim: true
+  },
+  webhookUrl: {
+    type: String,
+    trim: true
+  },
+  // Outbound channels the user receives notifications on, besides the browser
+  notificationChannels: {
+    email: {
+      type: Boolean,
+      default: false
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    webhook: {
+      type: Boolean,
+      default: false
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { toGeoPoint } = require('../../utils/geo');
+
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  }
+}, { _id: false });
+
+// Location from an update document, whether it was passed bare or under $set
+const locationInUpdate = (update, field) => {
+  if (!update || Array.isArray(update)) return undefined;
+  if (update[field] !== undefined) return update[field];
+  if (update.$set && update.$set[field] !== undefined) return update.$set[field];
+  return undefined;
+};
+
+/**
+ * Keep a GeoJSON copy of a {latitude, longitude} field for 2dsphere queries
+ * The API keeps using the plain field; the point is derived from it on every save
+ * and update, is indexed, and is left out of query results unless selected.
+ * @param {Object} schema
+ * @param {Object} options - {field, pointField}
+ */
+const geoPointPlugin = (schema, { field, pointField }) => {
+  schema.add({
+    [pointField]: {
+      type: pointSchema,
+      select: false
+    }
+  });
+  schema.index({ [pointField]: '2dsphere' });
+
+  // Documents, including insertMany, which validates each one
+  schema.pre('validate', function(next) {
+    if (this.isNew || this.isModified(field)) {
+      const point = toGeoPoint(this.get(field));
+      if (point) this.set(pointField, point);
+    }
+    next();
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+    const point = toGeoPoint(locationInUpdate(this.getUpdate(), field));
+    if (point) this.set(pointField, point);
+    next();
+  });
+
+  // bulkWrite skips the query middleware above
+  schema.pre('bulkWrite', function(next, operations) {
+    operations.forEach(operation => {
+      const write = operation.updateOne || operation.updateMany;
+      if (write) {
+        const point = toGeoPoint(locationInUpdate(write.update, field));
+        if (point) write.update = { ...write.update, $set: { ...write.update.$set, [pointField]: point } };
+      } else if (operation.insertOne) {
+        const point = toGeoPoint(operation.insertOne.document[field]);
+        if (point) operation.insertOne.document[pointField] = point;
+      }
+    });
+    next();
+  });
+};
+
+module.exports = geoPointPlugin;
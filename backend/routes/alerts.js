@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ArrivalAlert = require('../models/ArrivalAlert');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { auth } = require('../middleware/auth');
+const { WEEKDAYS, isValidTime, normalizeTime } = require('../utils/time');
+
+const router = express.Router();
+
+const alertValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('stop').isMongoId().withMessage('Valid stop ID required'),
+    field('leadMinutes').isInt({ min: 1, max: 60 }).withMessage('Lead time must be 1-60 minutes'),
+    body('route').optional({ values: 'falsy' }).isMongoId().withMessage('Valid route ID required'),
+    body('bus').optional({ values: 'falsy' }).isMongoId().withMessage('Valid bus ID required'),
+    body('mode').optional().isIn(['once', 'recurring']).withMessage('Mode must be once or recurring'),
+    body('days').optional().isArray().withMessage('Days must be an array'),
+    body('days.*').isIn(WEEKDAYS).withMessage('Invalid day'),
+    body('startTime').optional({ values: 'falsy' }).custom(isValidTime).withMessage('Start time must be HH:MM'),
+    body('endTime').optional({ values: 'falsy' }).custom(isValidTime).withMessage('End time must be HH:MM'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+  ];
+};
+
+// Check that the stop is served by the alert's route or bus
+const targetError = async (alert) => {
+  if (Boolean(alert.route) === Boolean(alert.bus)) {
+    return 'Choose either a route or a bus';
+  }
+  if (Boolean(alert.startTime) !== Boolean(alert.endTime)) {
+    return 'Time window needs both a start and an end time';
+  }
+
+  const stop = await Stop.findById(alert.stop);
+  if (!stop) {
+    return 'Stop not found';
+  }
+
+  let routeId = alert.route;
+  if (alert.bus) {
+    const bus = await Bus.findById(alert.bus);
+    if (!bus) {
+      return 'Bus not found';
+    }
+    routeId = bus.route;
+  }
+
+  const route = await Route.findById(routeId);
+  if (!route) {
+    return alert.bus ? 'Bus has no route' : 'Route not found';
+  }
+  if (!route.stops.some(stopId => stopId.equals(stop._id))) {
+    return `Stop is not on route ${route.routeName}`;
+  }
+
+  return null;
+};
+
+const populateAlert = (alertQuery) => alertQuery
+  .populate('stop', 'stopName location')
+  .populate('route', 'routeName')
+  .populate({
+    path: 'bus',
+    select: 'busNumber route',
+    populate: { path: 'route', select: 'routeName' }
+  });
+
+// Get arrival alerts (User)
+router.get('/', auth, async (req, res) => {
+  try {
+    const alerts = await populateAlert(ArrivalAlert.find({ user: req.user._id }).sort({ createdAt: -1 }));
+
+    res.json({ alerts });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create arrival alert (User)
+router.post('/', auth, alertValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { stop, route, bus, leadMinutes, mode, days, startTime, endTime } = req.body;
+    const alert = new ArrivalAlert({
+      user: req.user._id,
+      stop,
+      route: route || undefined,
+      bus: bus || undefined,
+      leadMinutes,
+      mode,
+      days,
+      startTime: startTime ? normalizeTime(startTime) : undefined,
+      endTime: endTime ? normalizeTime(endTime) : undefined
+    });
+
+    const invalidTarget = await targetError(alert);
+    if (invalidTarget) {
+      return res.status(400).json({ error: invalidTarget });
+    }
+
+    await alert.save();
+
+    res.status(201).json({
+      message: 'Arrival alert created successfully',
+      alert: await populateAlert(ArrivalAlert.findById(alert._id))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update arrival alert (User)
+router.put('/:id', auth, alertValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await ArrivalAlert.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    ['stop', 'leadMinutes', 'mode', 'days', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) alert[field] = req.body[field];
+    });
+    // Switching between route and bus clears the other target
+    if (req.body.route !== undefined || req.body.bus !== undefined) {
+      alert.route = req.body.route || undefined;
+      alert.bus = req.body.bus || undefined;
+    }
+    ['startTime', 'endTime'].forEach(field => {
+      if (req.body[field] !== undefined) alert[field] = req.body[field] ? normalizeTime(req.body[field]) : undefined;
+    });
+
+    const invalidTarget = await targetError(alert);
+    if (invalidTarget) {
+      return res.status(400).json({ error: invalidTarget });
+    }
+
+    // A re-enabled or changed recurring alert may fire again today
+    if (alert.isModified()) alert.lastTriggeredAt = undefined;
+
+    await alert.save();
+
+    res.json({
+      message: 'Arrival alert updated successfully',
+      alert: await populateAlert(ArrivalAlert.findById(alert._id))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete arrival alert (User)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const alert = await ArrivalAlert.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      message: 'Arrival alert deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const DriverAssignment = require('../models/DriverAssignment');
+const User = require('../models/User');
+const Bus = require('../models/Bus');
+const { adminAuth, driverAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Find another assignment of the same bus or driver (e.g. { bus }) overlapping the requested shift
+const findOverlappingAssignment = (match, shiftStart, shiftEnd, excludeId = null) => {
+  const filter = {
+    ...match,
+    shiftStart: { $lt: shiftEnd },
+    shiftEnd: { $gt: shiftStart }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return DriverAssignment.findOne(filter);
+};
+
+// Get all assignments (Admin only)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.driver) filter.driver = req.query.driver;
+    if (req.query.bus) filter.bus = req.query.bus;
+    if (req.query.active === 'true') {
+      const now = new Date();
+      filter.shiftStart = { $lte: now };
+      filter.shiftEnd = { $gte: now };
+    }
+
+    const assignments = await DriverAssignment.find(filter)
+      .populate('driver', 'name email')
+      .populate('bus', 'busNumber route')
+      .sort({ shiftStart: -1 })
+      .select('-__v');
+
+    res.json({ assignments });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get current and upcoming assignments of the logged in driver
+router.get('/mine', driverAuth, async (req, res) => {
+  try {
+    const now = new Date();
+    const assignments = await DriverAssignment.find({
+      driver: req.user._id,
+      shiftEnd: { $gte: now }
+    })
+      .populate({
+        path: 'bus',
+        select: '-__v',
+        populate: {
+          path: 'route',
+          select: 'routeName startPoint endPoint waypoints stops'
+        }
+      })
+      .sort({ shiftStart: 1 })
+      .select('-__v');
+
+    res.json({
+      assignments: assignments.map(assignment => ({
+        ...assignment.toObject(),
+        isActive: assignment.shiftStart <= now && assignment.shiftEnd >= now
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Assign a driver to a bus (Admin only)
+router.post('/', adminAuth, [
+  body('driver').isMongoId().withMessage('Valid driver ID required'),
+  body('bus').isMongoId().withMessage('Valid bus ID required'),
+  body('shiftStart').isISO8601().withMessage('Valid shift start required'),
+  body('shiftEnd').isISO8601().withMessage('Valid shift end required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { driver, bus } = req.body;
+    const shiftStart = new Date(req.body.shiftStart);
+    const shiftEnd = new Date(req.body.shiftEnd);
+
+    if (shiftEnd <= shiftStart) {
+      return res.status(400).json({ error: 'Shift end must be after shift start' });
+    }
+
+    const driverUser = await User.findById(driver);
+    if (!driverUser || driverUser.role !== 'driver') {
+      return res.status(400).json({ error: 'Driver not found' });
+    }
+
+    const busExists = await Bus.findById(bus);
+    if (!busExists) {
+      return res.status(400).json({ error: 'Bus not found' });
+    }
+
+    if (await findOverlappingAssignment({ bus }, shiftStart, shiftEnd)) {
+      return res.status(400).json({ error: 'Bus is already assigned during this shift' });
+    }
+    if (await findOverlappingAssignment({ driver }, shiftStart, shiftEnd)) {
+      return res.status(400).json({ error: 'Driver is already assigned during this shift' });
+    }
+
+    const assignment = new DriverAssignment({
+      driver,
+      bus,
+      shiftStart,
+      shiftEnd,
+      assignedBy: req.user._id
+    });
+
+    await assignment.save();
+
+    const populatedAssignment = await DriverAssignment.findById(assignment._id)
+      .populate('driver', 'name email')
+      .populate('bus', 'busNumber route');
+
+    res.status(201).json({
+      message: 'Driver assigned successfully',
+      assignment: populatedAssignment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update assignment (Admin only)
+router.put('/:id', adminAuth, [
+  body('bus').optional().isMongoId().withMessage('Valid bus ID required'),
+  body('shiftStart').optional().isISO8601().withMessage('Valid shift start required'),
+  body('shiftEnd').optional().isISO8601().withMessage('Valid shift end required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await DriverAssignment.findById(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    if (req.body.bus) {
+      const busExists = await Bus.findById(req.body.bus);
+      if (!busExists) {
+        return res.status(400).json({ error: 'Bus not found' });
+      }
+      assignment.bus = req.body.bus;
+    }
+    if (req.body.shiftStart) assignment.shiftStart = new Date(req.body.shiftStart);
+    if (req.body.shiftEnd) assignment.shiftEnd = new Date(req.body.shiftEnd);
+
+    if (assignment.shiftEnd <= assignment.shiftStart) {
+      return res.status(400).json({ error: 'Shift end must be after shift start' });
+    }
+
+    const { shiftStart, shiftEnd } = assignment;
+    if (await findOverlappingAssignment({ bus: assignment.bus }, shiftStart, shiftEnd, assignment._id)) {
+      return res.status(400).json({ error: 'Bus is already assigned during this shift' });
+    }
+    if (await findOverlappingAssignment({ driver: assignment.driver }, shiftStart, shiftEnd, assignment._id)) {
+      return res.status(400).json({ error: 'Driver is already assigned during this shift' });
+    }
+
+    await assignment.save();
+
+    const populatedAssignment = await DriverAssignment.findById(assignment._id)
+      .populate('driver', 'name email')
+      .populate('bus', 'busNumber route');
+
+    res.json({
+      message: 'Assignment updated successfully',
+      assignment: populatedAssignment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete assignment (Admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const assignment = await DriverAssignment.findByIdAndDelete(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json({
+      message: 'Assignment deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
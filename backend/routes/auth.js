@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { allowsPrivateAddresses, assertPublicUrl } = require('../utils/http');
 
 const router = express.Router();
 
@@ -125,7 +126,21 @@ router.get('/profile', auth, async (req, res) => {
 // Update user profile
 router.put('/profile', auth, [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('email').optional().isEmail().normalizeEmail().withMessage('Valid email required')
+  body('email').optional().isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('phone').optional({ values: 'falsy' }).matches(/^\+[1-9]\d{6,14}$/).withMessage('Phone must be in international format, e.g. +919876543210'),
+  body('webhookUrl').optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_tld: !allowsPrivateAddresses() }).withMessage('Valid webhook URL required')
+    .bail()
+    .custom(async (url) => {
+      try {
+        await assertPublicUrl(url);
+      } catch (error) {
+        throw new Error('Webhook URL must point to a public address');
+      }
+    }),
+  body('notificationChannels.email').optional().isBoolean().withMessage('Channel settings must be boolean'),
+  body('notificationChannels.sms').optional().isBoolean().withMessage('Channel settings must be boolean'),
+  body('notificationChannels.webhook').optional().isBoolean().withMessage('Channel settings must be boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -136,6 +151,13 @@ router.put('/profile', auth, [
     const updates = {};
     if (req.body.name) updates.name = req.body.name;
     if (req.body.email) updates.email = req.body.email;
+    if (req.body.phone !== undefined) updates.phone = req.body.phone;
+    if (req.body.webhookUrl !== undefined) updates.webhookUrl = req.body.webhookUrl;
+    ['email', 'sms', 'webhook'].forEach(channel => {
+      if (req.body.notificationChannels?.[channel] !== undefined) {
+        updates[`notificationChannels.${channel}`] = req.body.notificationChannels[channel];
+      }
+    });
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -1,11 +1,23 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
-const { auth, adminAuth } = require('../middleware/auth');
+const LocationHistory = require('../models/LocationHistory');
+const StopEvent = require('../models/StopEvent');
+const User = require('../models/User');
+const { auth, adminAuth, driverAuth } = require('../middleware/auth');
+const { updateBusLocation, updateBusLocations } = require('../services/locationService');
+const { resetBusDistance } = require('../services/dailyRollover');
+const { refreshUserRooms } = require('../services/socketRooms');
+const { toGeoPoint } = require('../utils/geo');
 
 const router = express.Router();
 
+// Fixes a driver's offline queue may upload in one request
+const MAX_LOCATION_BATCH = 500;
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
 // Get all buses
 router.get('/', auth, async (req, res) => {
   try {
@@ -19,6 +31,45 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get buses near a position, nearest first
+router.get('/nearby', auth, [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid lat required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid lng required'),
+  query('radius').optional().isInt({ min: 1, max: 50000 }).withMessage('radius must be between 1 and 50000 meters'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  query('status').optional().isIn(['active', 'inactive', 'maintenance']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const buses = await Bus.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint({ latitude: parseFloat(req.query.lat), longitude: parseFloat(req.query.lng) }),
+          key: 'currentLocationPoint',
+          distanceField: 'distance', // meters
+          maxDistance: parseInt(req.query.radius) || 2000,
+          query: req.query.status ? { status: req.query.status } : {},
+          spherical: true
+        }
+      },
+      { $limit: parseInt(req.query.limit) || 50 },
+      { $project: { currentLocationPoint: 0, __v: 0 } }
+    ]);
+    await Bus.populate(buses, { path: 'route', select: 'routeName startPoint endPoint' });
+
+    res.json({
+      buses: buses.map(bus => ({ ...bus, distance: Math.round(bus.distance) }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get bus by ID
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -41,8 +92,8 @@ router.get('/:id', auth, async (req, res) => {
 router.post('/', adminAuth, [
   body('busNumber').trim().isLength({ min: 1 }).withMessage('Bus number required'),
   body('route').isMongoId().withMessage('Valid route ID required'),
-  body('currentLocation.latitude').isNumeric().withMessage('Valid latitude required'),
-  body('currentLocation.longitude').isNumeric().withMessage('Valid longitude required')
+  body('currentLocation.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('currentLocation.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -89,8 +140,8 @@ router.post('/', adminAuth, [
 router.put('/:id', adminAuth, [
   body('busNumber').optional().trim().isLength({ min: 1 }).withMessage('Bus number required'),
   body('route').optional().isMongoId().withMessage('Valid route ID required'),
-  body('currentLocation.latitude').optional().isNumeric().withMessage('Valid latitude required'),
-  body('currentLocation.longitude').optional().isNumeric().withMessage('Valid longitude required'),
+  body('currentLocation.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('currentLocation.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
   body('status').optional().isIn(['active', 'inactive', 'maintenance']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -116,6 +167,12 @@ router.put('/:id', adminAuth, [
       return res.status(404).json({ error: 'Bus not found' });
     }
 
+    // Riders tracking the bus now follow its new route
+    if (req.body.route) {
+      const riders = await User.find({ trackedBuses: bus._id }).distinct('_id');
+      await refreshUserRooms(req.app.get('io'), riders);
+    }
+
     res.json({
       message: 'Bus updated successfully',
       bus
@@ -126,11 +183,13 @@ router.put('/:id', adminAuth, [
   }
 });
 
-// Update bus location (Admin only)
-router.patch('/:id/location', adminAuth, [
-  body('latitude').isNumeric().withMessage('Valid latitude required'),
-  body('longitude').isNumeric().withMessage('Valid longitude required'),
-  body('speed').optional().isNumeric().withMessage('Valid speed required')
+// Update bus location (Admin or driver assigned to the bus)
+router.patch('/:id/location', driverAuth, [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('speed').optional().isFloat({ min: 0 }).withMessage('Valid speed required'),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number of meters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -138,78 +197,73 @@ router.patch('/:id/location', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { latitude, longitude, speed } = req.body;
-    const now = new Date();
-
-    // Get current bus data to calculate distance
-    const currentBus = await Bus.findById(req.params.id);
+    const { bus, rejectionReason, error, status } = await updateBusLocation(
+      {
+        busId: req.params.id,
+        latitude: Number(req.body.latitude),
+        longitude: Number(req.body.longitude),
+        speed: toNumber(req.body.speed),
+        heading: toNumber(req.body.heading),
+        accuracy: toNumber(req.body.accuracy)
+      },
+      { user: req.user, source: 'api', io: req.app.get('io') }
+    );
 
-    if (!currentBus) {
-      return res.status(404).json({ error: 'Bus not found' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Calculate distance traveled since last update
-    let distanceIncrement = 0;
-    if (currentBus.tripStats.lastLocation) {
-      const lastLat = currentBus.tripStats.lastLocation.latitude;
-      const lastLng = currentBus.tripStats.lastLocation.longitude;
-
-      // Haversine formula for distance
-      const R = 6371; // Earth's radius in km
-      const dLat = (latitude - lastLat) * Math.PI / 180;
-      const dLng = (longitude - lastLng) * Math.PI / 180;
-      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                Math.cos(lastLat * Math.PI / 180) * Math.cos(latitude * Math.PI / 180) *
-                Math.sin(dLng/2) * Math.sin(dLng/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      distanceIncrement = R * c;
-    }
+    // A rejected fix is still a successful report; the bus just did not move
+    res.json({
+      message: rejectionReason ? 'Bus location ignored by the GPS filter' : 'Bus location updated successfully',
+      rejectionReason,
+      bus
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // Calculate speed if not provided (based on distance and time)
-    let calculatedSpeed = speed || 0;
-    if (!speed && distanceIncrement > 0 && currentBus.lastUpdated) {
-      const timeDiffHours = (now - currentBus.lastUpdated) / (1000 * 60 * 60);
-      if (timeDiffHours > 0) {
-        calculatedSpeed = distanceIncrement / timeDiffHours;
-      }
+// Upload a batch of timestamped locations, e.g. queued while offline (Admin or driver assigned to the bus)
+router.post('/:id/locations', driverAuth, [
+  body('fixes').isArray({ min: 1, max: MAX_LOCATION_BATCH }).withMessage(`fixes must be an array of 1 to ${MAX_LOCATION_BATCH} locations`),
+  body('fixes.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('fixes.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('fixes.*.timestamp').isISO8601().withMessage('timestamp must be an ISO 8601 date'),
+  body('fixes.*.speed').optional().isFloat({ min: 0 }).withMessage('Valid speed required'),
+  body('fixes.*.heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+  body('fixes.*.accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number of meters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Update bus with new location and trip stats
-    const updateData = {
-      currentLocation: { latitude, longitude },
-      lastUpdated: now,
-      speed: calculatedSpeed,
-      tripStats: {
-        ...currentBus.tripStats,
-        distanceToday: currentBus.tripStats.distanceToday + distanceIncrement,
-        totalDistance: currentBus.tripStats.totalDistance + distanceIncrement,
-        lastLocation: { latitude, longitude }
-      }
-    };
-
-    // Set trip start time if not set
-    if (!currentBus.tripStats.tripStartTime) {
-      updateData.tripStats.tripStartTime = now;
-    }
+    const fixes = req.body.fixes.map(fix => ({
+      latitude: Number(fix.latitude),
+      longitude: Number(fix.longitude),
+      speed: toNumber(fix.speed),
+      heading: toNumber(fix.heading),
+      accuracy: toNumber(fix.accuracy),
+      timestamp: new Date(fix.timestamp)
+    }));
 
-    const bus = await Bus.findByIdAndUpdate(
+    const { bus, accepted, rejected, error, status } = await updateBusLocations(
       req.params.id,
-      updateData,
-      { new: true }
-    ).populate('route', 'routeName');
-
-    // Emit real-time update via Socket.IO
-    const io = req.app.get('io');
-    io.to(`bus-${bus._id}`).emit('bus-location-update', {
-      busId: bus._id,
-      location: bus.currentLocation,
-      speed: bus.speed,
-      timestamp: bus.lastUpdated,
-      tripStats: bus.tripStats
-    });
+      fixes,
+      { user: req.user, source: 'api', io: req.app.get('io') }
+    );
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
     res.json({
-      message: 'Bus location updated successfully',
+      message: `${accepted} of ${fixes.length} locations accepted`,
+      accepted,
+      rejected,
       bus
     });
   } catch (error) {
@@ -218,6 +272,87 @@ router.patch('/:id/location', adminAuth, [
   }
 });
 
+// Get location history of a bus (Admin only)
+router.get('/:id/history', adminAuth, [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 10000 }).withMessage('limit must be between 1 and 10000'),
+  query('includeRejected').optional().isBoolean().withMessage('includeRejected must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bus = await Bus.findById(req.params.id).select('busNumber');
+    if (!bus) {
+      return res.status(404).json({ error: 'Bus not found' });
+    }
+
+    // Default to the last 24 hours
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const filter = { bus: bus._id, timestamp: { $gte: from, $lte: to } };
+    if (req.query.includeRejected !== 'true') filter.rejectionReason = null;
+
+    const history = await LocationHistory.find(filter)
+      .sort({ timestamp: 1 })
+      .limit(parseInt(req.query.limit) || 5000)
+      .select('-__v -bus');
+
+    res.json({ bus, from, to, history });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get stop arrivals and departures of a bus
+router.get('/:id/stop-events', auth, [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bus = await Bus.findById(req.params.id).select('busNumber');
+    if (!bus) {
+      return res.status(404).json({ error: 'Bus not found' });
+    }
+
+    // Default to the last 24 hours
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const stopEvents = await StopEvent.find({
+      bus: bus._id,
+      arrivedAt: { $gte: from, $lte: to }
+    })
+      .populate('stop', 'stopName')
+      .populate('route', 'routeName')
+      .sort({ arrivedAt: -1 })
+      .limit(parseInt(req.query.limit) || 200)
+      .select('-__v -bus');
+
+    res.json({ bus, from, to, stopEvents });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Delete bus (Admin only)
 router.delete('/:id', adminAuth, async (req, res) => {
   try {
@@ -236,22 +371,15 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
-// Reset daily distance (Admin only)
+// Reset daily distance, archiving what was counted so far (Admin only)
 router.patch('/:id/reset-distance', adminAuth, async (req, res) => {
   try {
-    const bus = await Bus.findByIdAndUpdate(
-      req.params.id,
-      {
-        'tripStats.distanceToday': 0,
-        'tripStats.tripStartTime': new Date()
-      },
-      { new: true }
-    ).populate('route', 'routeName');
-
-    if (!bus) {
+    if (!(await resetBusDistance(req.params.id))) {
       return res.status(404).json({ error: 'Bus not found' });
     }
 
+    const bus = await Bus.findById(req.params.id).populate('route', 'routeName');
+
     res.json({
       message: 'Daily distance reset successfully',
       bus
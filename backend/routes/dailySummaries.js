@@ -0,0 +1,67 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const DailyBusSummary = require('../models/DailyBusSummary');
+const { adminAuth } = require('../middleware/auth');
+const { isValidDateKey } = require('../utils/time');
+const { rolloverSettings, serviceDateOf } = require('../services/dailyRollover');
+
+const router = express.Router();
+
+// Get archived daily totals of buses (Admin only)
+router.get('/', adminAuth, [
+  query('from').optional().custom(isValidDateKey).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().custom(isValidDateKey).withMessage('to must be YYYY-MM-DD'),
+  query('bus').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('route').optional().isMongoId().withMessage('Valid route ID required'),
+  query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('limit must be between 1 and 5000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.query.from && req.query.to && req.query.from > req.query.to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const filter = {};
+    if (req.query.bus) filter.bus = req.query.bus;
+    if (req.query.route) filter.route = req.query.route;
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = req.query.from;
+      if (req.query.to) filter.date.$lte = req.query.to;
+    }
+
+    const summaries = await DailyBusSummary.find(filter)
+      .populate('bus', 'busNumber')
+      .populate('route', 'routeName')
+      .sort({ date: -1 })
+      .limit(parseInt(req.query.limit) || 1000)
+      .select('-__v');
+
+    const totals = summaries.reduce((sum, summary) => ({
+      distance: sum.distance + summary.distance,
+      tripCount: sum.tripCount + summary.tripCount,
+      tripSeconds: sum.tripSeconds + summary.tripSeconds,
+      idleSeconds: sum.idleSeconds + (summary.idleSeconds || 0),
+      stopsServed: sum.stopsServed + summary.stopsServed
+    }), { distance: 0, tripCount: 0, tripSeconds: 0, idleSeconds: 0, stopsServed: 0 });
+
+    const settings = rolloverSettings();
+    res.json({
+      // The current day is still counted on the buses and not archived yet
+      currentServiceDate: serviceDateOf(new Date(), settings),
+      timeZone: settings.timeZone,
+      rolloverHour: settings.hour,
+      summaries,
+      totals
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
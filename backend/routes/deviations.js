@@ -0,0 +1,90 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const DeviationIncident = require('../models/DeviationIncident');
+const { adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const populateIncident = (incidentQuery) => incidentQuery
+  .populate('bus', 'busNumber')
+  .populate('route', 'routeName startPoint endPoint waypoints')
+  .populate('acknowledgedBy', 'name');
+
+// Get deviation incidents (Admin only)
+router.get('/', adminAuth, [
+  query('status').optional().isIn(['open', 'ended']).withMessage('status must be open or ended'),
+  query('bus').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.status === 'open') filter.endedAt = null;
+    if (req.query.status === 'ended') filter.endedAt = { $ne: null };
+    if (req.query.bus) filter.bus = req.query.bus;
+    if (req.query.from || req.query.to) {
+      filter.startedAt = {};
+      if (req.query.from) filter.startedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.startedAt.$lte = new Date(req.query.to);
+    }
+
+    const incidents = await populateIncident(DeviationIncident.find(filter))
+      .sort({ startedAt: -1 })
+      .limit(parseInt(req.query.limit) || 100)
+      .select('-__v');
+
+    res.json({ incidents });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get deviation incident by ID (Admin only)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const incident = await populateIncident(DeviationIncident.findById(req.params.id)).select('-__v');
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    res.json({ incident });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Acknowledge deviation incident (Admin only)
+router.patch('/:id/acknowledge', adminAuth, async (req, res) => {
+  try {
+    const incident = await DeviationIncident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!incident.acknowledgedAt) {
+      incident.acknowledgedBy = req.user._id;
+      incident.acknowledgedAt = new Date();
+      await incident.save();
+    }
+
+    res.json({
+      message: 'Incident acknowledged',
+      incident: await populateIncident(DeviationIncident.findById(incident._id)).select('-__v')
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const multer = require('multer');
+const { adminAuth } = require('../middleware/auth');
+const { importGtfs } = require('../services/gtfsImporter');
+const { exportGtfsZip } = require('../services/gtfsExporter');
+
+const router = express.Router();
+
+const MAX_FEED_SIZE_MB = 100;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FEED_SIZE_MB * 1024 * 1024 }
+});
+
+// Accept the feed as the "feed" field of a multipart form
+const uploadFeed = (req, res, next) => {
+  upload.single('feed')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `GTFS feed must be smaller than ${MAX_FEED_SIZE_MB} MB`
+        : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+// Import a GTFS zip into stops, routes and schedules (Admin only)
+// ?dryRun=true only reports what would change, ?prune=true removes imported data missing from the feed
+router.post('/import', adminAuth, uploadFeed, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'GTFS zip file required' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const { report, error } = await importGtfs(req.file.buffer, {
+      dryRun,
+      prune: req.query.prune === 'true'
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      message: dryRun ? 'Dry run completed, no changes were made' : 'GTFS feed imported successfully',
+      dryRun,
+      report
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download the network as a GTFS zip for journey planners
+router.get('/export', async (req, res) => {
+  try {
+    const feed = await exportGtfsZip();
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="gtfs.zip"'
+    });
+    res.send(feed);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
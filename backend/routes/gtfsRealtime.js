@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  buildVehiclePositions,
+  buildTripUpdates,
+  encodeFeed,
+  feedToJson
+} = require('../services/gtfsRealtime');
+
+const router = express.Router();
+
+// Send a feed as protocol buffers, or as JSON with ?format=json
+const sendFeed = (req, res, message) => {
+  if (req.query.format === 'json') {
+    return res.json(feedToJson(message));
+  }
+
+  res.set('Content-Type', 'application/x-protobuf');
+  res.send(encodeFeed(message));
+};
+
+// Get live positions of all buses
+router.get('/vehicle-positions', async (req, res) => {
+  try {
+    sendFeed(req, res, await buildVehiclePositions());
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get predicted arrivals of all buses at their upcoming stops
+router.get('/trip-updates', async (req, res) => {
+  try {
+    sendFeed(req, res, await buildTripUpdates());
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
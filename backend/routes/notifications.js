@@ -1,27 +1,70 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
+const NotificationReceipt = require('../models/NotificationReceipt');
+const DeliveryLog = require('../models/DeliveryLog');
 const User = require('../models/User');
+const Route = require('../models/Route');
 const { auth, adminAuth } = require('../middleware/auth');
+const { userRoom } = require('../services/socketRooms');
+const { processPendingDeliveries } = require('../services/deliveryService');
+const {
+  visibleNotificationsFilter,
+  getReadNotificationIds,
+  getUnreadCount,
+  markNotificationsRead,
+  dispatchNotification
+} = require('../services/notificationService');
 
 const router = express.Router();
 
+const scheduleValidators = [
+  body('publishAt').optional().isISO8601().withMessage('Valid publish time required'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Valid expiry time required'),
+  body('recurrence.frequency').optional().isIn(['none', 'daily', 'weekly']).withMessage('Invalid recurrence'),
+  body('recurrence.interval').optional().isInt({ min: 1 }).withMessage('Recurrence interval must be at least 1'),
+  body('recurrence.until').optional({ values: 'null' }).isISO8601().withMessage('Valid recurrence end required')
+];
+
+// Check that a publish window and its recurrence fit together
+const scheduleError = ({ publishAt, expiresAt, recurrence }) => {
+  if (expiresAt && expiresAt <= publishAt) {
+    return 'Expiry time must be after publish time';
+  }
+  if (recurrence && recurrence.frequency !== 'none' && !expiresAt) {
+    return 'Recurring notifications need an expiry time';
+  }
+  return null;
+};
+
 // Get notifications for current user
 router.get('/', auth, async (req, res) => {
   try {
-    const notifications = await Notification.find({
-      $or: [
-        { targetUsers: req.user._id },
-        { targetUsers: { $size: 0 } } // Global notifications
-      ],
-      isActive: true
-    })
+    const notifications = await Notification.find(await visibleNotificationsFilter(req.user))
     .populate('sentBy', 'name')
     .populate('targetRoutes', 'routeName')
     .sort({ time: -1 })
     .select('-__v');
 
-    res.json({ notifications });
+    const readIds = await getReadNotificationIds(req.user, notifications.map(n => n._id));
+
+    res.json({
+      notifications: notifications.map(notification => ({
+        ...notification.toObject(),
+        isRead: readIds.has(notification._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get number of unread notifications for current user
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await getUnreadCount(req.user);
+    res.json({ count });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
@@ -45,10 +88,62 @@ router.get('/admin/all', adminAuth, async (req, res) => {
   }
 });
 
-// Create notification (Admin only)
+// Get email, SMS and webhook delivery log (Admin only)
+router.get('/admin/deliveries', adminAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.channel) filter.channel = req.query.channel;
+    if (req.query.notification) filter.notification = req.query.notification;
+
+    const deliveries = await DeliveryLog.find(filter)
+      .populate('notification', 'message type')
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+      .select('-__v');
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Retry a failed delivery now (Admin only)
+router.post('/admin/deliveries/:id/retry', adminAuth, async (req, res) => {
+  try {
+    const delivery = await DeliveryLog.findById(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (delivery.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed deliveries can be retried' });
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+    await delivery.save();
+
+    processPendingDeliveries().catch(error => console.error('Delivery worker error:', error));
+
+    res.json({
+      message: 'Delivery queued for retry',
+      delivery
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create notification, now or scheduled (Admin only)
 router.post('/', adminAuth, [
   body('message').trim().isLength({ min: 1 }).withMessage('Message required'),
-  body('type').optional().isIn(['info', 'warning', 'alert', 'maintenance']).withMessage('Invalid type')
+  body('type').optional().isIn(['info', 'warning', 'alert', 'maintenance']).withMessage('Invalid type'),
+  ...scheduleValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -56,7 +151,14 @@ router.post('/', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { message, type, targetUsers, targetRoutes } = req.body;
+    const { message, type, targetUsers, targetRoutes, recurrence } = req.body;
+    const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : new Date();
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+
+    const invalidSchedule = scheduleError({ publishAt, expiresAt, recurrence });
+    if (invalidSchedule) {
+      return res.status(400).json({ error: invalidSchedule });
+    }
 
     // Verify target users exist if provided
     if (targetUsers && targetUsers.length > 0) {
@@ -66,12 +168,28 @@ router.post('/', adminAuth, [
       }
     }
 
+    // Verify target routes exist if provided
+    if (targetRoutes && targetRoutes.length > 0) {
+      const routesExist = await Route.find({ '_id': { $in: targetRoutes } });
+      if (routesExist.length !== targetRoutes.length) {
+        return res.status(400).json({ error: 'One or more target routes not found' });
+      }
+    }
+
+    // Notices in the future stay hidden until the scheduler publishes them
+    const scheduled = publishAt > new Date();
+
     const notification = new Notification({
       message,
       type: type || 'info',
       targetUsers: targetUsers || [],
       targetRoutes: targetRoutes || [],
-      sentBy: req.user._id
+      sentBy: req.user._id,
+      publishAt,
+      expiresAt,
+      recurrence,
+      status: scheduled ? 'scheduled' : 'published',
+      isActive: !scheduled
     });
 
     await notification.save();
@@ -81,19 +199,13 @@ router.post('/', adminAuth, [
       .populate('targetUsers', 'name email')
       .populate('targetRoutes', 'routeName');
 
-    // Emit real-time notification via Socket.IO
-    const io = req.app.get('io');
-    if (targetUsers && targetUsers.length > 0) {
-      targetUsers.forEach(userId => {
-        io.to(`user-${userId}`).emit('new-notification', populatedNotification);
-      });
-    } else {
-      // Global notification
-      io.emit('new-notification', populatedNotification);
+    // Send to the targeted users and route riders, or everyone
+    if (!scheduled) {
+      await dispatchNotification(req.app.get('io'), populatedNotification);
     }
 
     res.status(201).json({
-      message: 'Notification created successfully',
+      message: scheduled ? 'Notification scheduled successfully' : 'Notification created successfully',
       notification: populatedNotification
     });
   } catch (error) {
@@ -106,7 +218,8 @@ router.post('/', adminAuth, [
 router.put('/:id', adminAuth, [
   body('message').optional().trim().isLength({ min: 1 }).withMessage('Message required'),
   body('type').optional().isIn(['info', 'warning', 'alert', 'maintenance']).withMessage('Invalid type'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+  ...scheduleValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -114,26 +227,54 @@ router.put('/:id', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updates = {};
-    if (req.body.message) updates.message = req.body.message;
-    if (req.body.type) updates.type = req.body.type;
-    if (req.body.isActive !== undefined) updates.isActive = req.body.isActive;
-
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('sentBy', 'name')
-     .populate('targetUsers', 'name email')
-     .populate('targetRoutes', 'routeName');
+    const notification = await Notification.findById(req.params.id);
 
     if (!notification) {
       return res.status(404).json({ error: 'Notification not found' });
     }
 
+    if (req.body.message) notification.message = req.body.message;
+    if (req.body.type) notification.type = req.body.type;
+    if (req.body.isActive !== undefined) notification.isActive = req.body.isActive;
+    if (req.body.targetRoutes) {
+      const routesExist = await Route.find({ '_id': { $in: req.body.targetRoutes } });
+      if (routesExist.length !== req.body.targetRoutes.length) {
+        return res.status(400).json({ error: 'One or more target routes not found' });
+      }
+      notification.targetRoutes = req.body.targetRoutes;
+    }
+    if (req.body.publishAt) notification.publishAt = new Date(req.body.publishAt);
+    if (req.body.expiresAt !== undefined) {
+      notification.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    }
+    if (req.body.recurrence) notification.recurrence = req.body.recurrence;
+
+    const invalidSchedule = scheduleError(notification);
+    if (invalidSchedule) {
+      return res.status(400).json({ error: invalidSchedule });
+    }
+
+    // A new schedule hides the notice until its window opens; the scheduler does the rest
+    const now = new Date();
+    if (req.body.publishAt !== undefined || req.body.expiresAt !== undefined) {
+      if (notification.publishAt > now) {
+        notification.status = 'scheduled';
+        notification.isActive = false;
+      } else if (notification.status === 'expired' && (!notification.expiresAt || notification.expiresAt > now)) {
+        notification.status = 'scheduled';
+      }
+    }
+
+    await notification.save();
+
+    const populatedNotification = await Notification.findById(notification._id)
+      .populate('sentBy', 'name')
+      .populate('targetUsers', 'name email')
+      .populate('targetRoutes', 'routeName');
+
     res.json({
       message: 'Notification updated successfully',
-      notification
+      notification: populatedNotification
     });
   } catch (error) {
     console.error(error);
@@ -150,6 +291,8 @@ router.delete('/:id', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Notification not found' });
     }
 
+    await NotificationReceipt.deleteMany({ notification: notification._id });
+
     res.json({
       message: 'Notification deleted successfully'
     });
@@ -159,17 +302,48 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Let the user's other open sessions update their unread badge
+const emitNotificationsRead = async (req, notificationIds) => {
+  req.app.get('io').to(userRoom(req.user._id)).emit('notifications-read', {
+    notificationIds,
+    unreadCount: await getUnreadCount(req.user)
+  });
+};
+
+// Mark all notifications as read (User)
+router.patch('/read-all', auth, async (req, res) => {
+  try {
+    const notificationIds = await Notification.find(await visibleNotificationsFilter(req.user)).distinct('_id');
+    const readIds = await getReadNotificationIds(req.user, notificationIds);
+    const unreadIds = notificationIds.filter(id => !readIds.has(id.toString()));
+
+    await markNotificationsRead(req.user, unreadIds);
+    await emitNotificationsRead(req, unreadIds);
+
+    res.json({
+      message: 'All notifications marked as read',
+      count: unreadIds.length
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Mark notification as read (User)
 router.patch('/:id/read', auth, async (req, res) => {
   try {
-    const notification = await Notification.findById(req.params.id);
+    const notification = await Notification.findOne({
+      ...(await visibleNotificationsFilter(req.user)),
+      _id: req.params.id
+    });
 
     if (!notification) {
       return res.status(404).json({ error: 'Notification not found' });
     }
 
-    // For now, we'll just return success since we're not tracking read status
-    // In a real app, you might want to create a separate collection for user notification status
+    await markNotificationsRead(req.user, [notification._id]);
+    await emitNotificationsRead(req, [notification._id]);
 
     res.json({
       message: 'Notification marked as read'
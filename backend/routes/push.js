@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PushSubscription = require('../models/PushSubscription');
+const { auth } = require('../middleware/auth');
+const { isPushConfigured } = require('../services/pushService');
+
+const router = express.Router();
+
+// Get the VAPID public key browsers subscribe with
+router.get('/vapid-public-key', (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Subscribe this device to push notifications (User)
+router.post('/subscribe', auth, [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('Valid push endpoint required'),
+  body('keys.p256dh').isString().notEmpty().withMessage('p256dh key required'),
+  body('keys.auth').isString().notEmpty().withMessage('auth key required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // A device that signs in as another user moves its subscription to that user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user._id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.get('User-Agent')
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      message: 'Push notifications enabled',
+      subscriptionId: subscription._id
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unsubscribe this device (User)
+router.post('/unsubscribe', auth, [
+  body('endpoint').isString().notEmpty().withMessage('Push endpoint required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user._id });
+
+    res.json({
+      message: 'Push notifications disabled'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const ExcelJS = require('exceljs');
+const { query, validationResult } = require('express-validator');
+const { adminAuth } = require('../middleware/auth');
+const { isValidDateKey } = require('../utils/time');
+const { toCsv } = require('../utils/csv');
+const { GROUP_BY, buildFleetReport } = require('../services/reportService');
+
+const router = express.Router();
+
+const GROUP_LABELS = { bus: 'Bus', route: 'Route', driver: 'Driver', date: 'Date' };
+
+// Columns of a downloaded report; recorded distance is not known per driver
+const reportColumns = (groupBy) => [
+  { key: 'name', header: GROUP_LABELS[groupBy], width: 20 },
+  { key: 'tripCount', header: 'Trips', width: 10 },
+  { key: 'distance', header: 'Trip distance (km)', width: 18 },
+  ...(groupBy === 'driver' ? [] : [{ key: 'recordedDistance', header: 'Total distance (km)', width: 18 }]),
+  { key: 'serviceHours', header: 'Hours in service', width: 16 },
+  { key: 'idleHours', header: 'Idle hours', width: 12 },
+  { key: 'averageSpeed', header: 'Average speed (km/h)', width: 20 },
+  { key: 'stopsServed', header: 'Stops served', width: 14 }
+];
+
+const toXlsx = async (report, columns) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(`By ${report.groupBy}`);
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(report.rows);
+
+  const totals = sheet.addRow({ ...report.totals, name: 'Total' });
+  totals.font = { bold: true };
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// Get distance, hours in service, idle time and average speed per bus, route, driver or date (Admin only)
+router.get('/fleet', adminAuth, [
+  query('groupBy').optional().isIn(GROUP_BY).withMessage(`groupBy must be one of ${GROUP_BY.join(', ')}`),
+  query('from').optional().custom(isValidDateKey).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().custom(isValidDateKey).withMessage('to must be YYYY-MM-DD'),
+  query('bus').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('route').optional().isMongoId().withMessage('Valid route ID required'),
+  query('driver').optional().isMongoId().withMessage('Valid driver ID required'),
+  query('format').optional().isIn(['json', 'csv', 'xlsx']).withMessage('format must be json, csv or xlsx')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await buildFleetReport({
+      groupBy: req.query.groupBy || 'bus',
+      from: req.query.from,
+      to: req.query.to,
+      bus: req.query.bus,
+      route: req.query.route,
+      driver: req.query.driver
+    });
+    if (report.error) {
+      return res.status(report.status).json({ error: report.error });
+    }
+
+    const format = req.query.format || 'json';
+    if (format === 'json') {
+      return res.json(report);
+    }
+
+    const columns = reportColumns(report.groupBy);
+    const filename = `fleet-report-by-${report.groupBy}-${report.from}-to-${report.to}.${format}`;
+
+    if (format === 'csv') {
+      const rows = [...report.rows, { ...report.totals, name: 'Total' }].map(row =>
+        Object.fromEntries(columns.map(column => [column.header, row[column.key]])));
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.send(toCsv(columns.map(column => column.header), rows));
+    }
+
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(Buffer.from(await toXlsx(report, columns)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
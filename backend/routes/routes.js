@@ -2,7 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Route = require('../models/Route');
 const Stop = require('../models/Stop');
+const Trip = require('../models/Trip');
 const { auth, adminAuth } = require('../middleware/auth');
+const { getStopRiderIds } = require('../services/riderService');
+const { refreshUserRooms } = require('../services/socketRooms');
 
 const router = express.Router();
 
@@ -43,7 +46,8 @@ router.post('/', adminAuth, [
   body('startPoint.name').trim().isLength({ min: 1 }).withMessage('Start point name required'),
   body('endPoint.name').trim().isLength({ min: 1 }).withMessage('End point name required'),
   body('distance').isNumeric().withMessage('Valid distance required'),
-  body('estimatedDuration').isNumeric().withMessage('Valid duration required')
+  body('estimatedDuration').isNumeric().withMessage('Valid duration required'),
+  body('corridorMeters').optional({ values: 'null' }).isFloat({ min: 10 }).withMessage('Corridor must be at least 10 meters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -51,7 +55,7 @@ router.post('/', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { routeName, startPoint, endPoint, waypoints, stops, distance, estimatedDuration } = req.body;
+    const { routeName, startPoint, endPoint, waypoints, stops, distance, estimatedDuration, corridorMeters } = req.body;
 
     // Verify all stops exist if provided
     if (stops && stops.length > 0) {
@@ -68,7 +72,8 @@ router.post('/', adminAuth, [
       waypoints: waypoints || [],
       stops: stops || [],
       distance,
-      estimatedDuration
+      estimatedDuration,
+      corridorMeters: corridorMeters || undefined
     });
 
     await route.save();
@@ -90,7 +95,8 @@ router.post('/', adminAuth, [
 router.put('/:id', adminAuth, [
   body('routeName').optional().trim().isLength({ min: 1 }).withMessage('Route name required'),
   body('distance').optional().isNumeric().withMessage('Valid distance required'),
-  body('estimatedDuration').optional().isNumeric().withMessage('Valid duration required')
+  body('estimatedDuration').optional().isNumeric().withMessage('Valid duration required'),
+  body('corridorMeters').optional({ values: 'null' }).isFloat({ min: 10 }).withMessage('Corridor must be at least 10 meters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -113,6 +119,11 @@ router.put('/:id', adminAuth, [
     }
     if (req.body.distance) updates.distance = req.body.distance;
     if (req.body.estimatedDuration) updates.estimatedDuration = req.body.estimatedDuration;
+    // null goes back to the default corridor
+    if (req.body.corridorMeters) updates.corridorMeters = req.body.corridorMeters;
+    if (req.body.corridorMeters === null) updates.$unset = { corridorMeters: 1 };
+
+    const previous = await Route.findById(req.params.id).select('stops');
 
     const route = await Route.findByIdAndUpdate(
       req.params.id,
@@ -124,6 +135,12 @@ router.put('/:id', adminAuth, [
       return res.status(404).json({ error: 'Route not found' });
     }
 
+    // Riders with a favorite stop that joined or left the route follow the change
+    if (req.body.stops) {
+      const riders = await getStopRiderIds([...previous.stops, ...req.body.stops]);
+      await refreshUserRooms(req.app.get('io'), riders);
+    }
+
     res.json({
       message: 'Route updated successfully',
       route
@@ -209,6 +226,9 @@ router.delete('/:id', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Route not found' });
     }
 
+    // Scheduled trips cannot exist without their route
+    await Trip.deleteMany({ route: req.params.id });
+
     res.json({
       message: 'Route deleted successfully'
     });
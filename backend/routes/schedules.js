@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { auth, adminAuth } = require('../middleware/auth');
+const { getStopDepartures } = require('../services/scheduleService');
+const { isValidTime, isValidDateKey, parseTime, normalizeTime, agencyTimeZone, toZonedTime } = require('../utils/time');
+
+const router = express.Router();
+
+const calendarValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1 }).withMessage('Calendar name required'),
+    field('startDate').custom(isValidDateKey).withMessage('Start date must be YYYY-MM-DD'),
+    field('endDate').custom(isValidDateKey).withMessage('End date must be YYYY-MM-DD'),
+    body('exceptions').optional().isArray().withMessage('Exceptions must be an array'),
+    body('exceptions.*.date').custom(isValidDateKey).withMessage('Exception date must be YYYY-MM-DD'),
+    body('exceptions.*.type').isIn(['added', 'removed']).withMessage('Exception type must be added or removed')
+  ];
+};
+
+const tripValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('route').isMongoId().withMessage('Valid route ID required'),
+    field('calendar').isMongoId().withMessage('Valid calendar ID required'),
+    field('stopTimes').isArray({ min: 2 }).withMessage('At least two stop times required'),
+    body('direction').optional().isIn(['outbound', 'inbound']).withMessage('Invalid direction'),
+    body('stopTimes.*.stop').isMongoId().withMessage('Valid stop ID required'),
+    body('stopTimes.*.arrivalTime').custom(isValidTime).withMessage('Arrival time must be HH:MM:SS'),
+    body('stopTimes.*.departureTime').custom(isValidTime).withMessage('Departure time must be HH:MM:SS'),
+    body('frequencies').optional().isArray().withMessage('Frequencies must be an array'),
+    body('frequencies.*.startTime').custom(isValidTime).withMessage('Frequency start time must be HH:MM:SS'),
+    body('frequencies.*.endTime').custom(isValidTime).withMessage('Frequency end time must be HH:MM:SS'),
+    body('frequencies.*.headwayMinutes').isInt({ min: 1 }).withMessage('Headway must be at least 1 minute')
+  ];
+};
+
+// Normalize stop times and check they never go back in time
+const prepareStopTimes = (stopTimes) => {
+  const prepared = stopTimes.map((stopTime, index) => ({
+    stop: stopTime.stop,
+    arrivalTime: normalizeTime(stopTime.arrivalTime),
+    departureTime: normalizeTime(stopTime.departureTime),
+    sequence: index
+  }));
+
+  for (let i = 0; i < prepared.length; i++) {
+    const arrival = parseTime(prepared[i].arrivalTime);
+    const departure = parseTime(prepared[i].departureTime);
+    const previousDeparture = i > 0 ? parseTime(prepared[i - 1].departureTime) : arrival;
+    if (departure < arrival || arrival < previousDeparture) {
+      return { error: `Stop times must not go back in time (stop ${i + 1})` };
+    }
+  }
+
+  return { stopTimes: prepared };
+};
+
+const prepareFrequencies = (frequencies) => {
+  const prepared = (frequencies || []).map(frequency => ({
+    startTime: normalizeTime(frequency.startTime),
+    endTime: normalizeTime(frequency.endTime),
+    headwayMinutes: parseInt(frequency.headwayMinutes)
+  }));
+
+  const invalid = prepared.find(f => parseTime(f.endTime) <= parseTime(f.startTime));
+  if (invalid) {
+    return { error: 'Frequency end time must be after its start time' };
+  }
+
+  return { frequencies: prepared };
+};
+
+const populateTrip = (tripQuery) => tripQuery
+  .populate('route', 'routeName')
+  .populate('calendar', 'name')
+  .populate('stopTimes.stop', 'stopName');
+
+// Get all service calendars
+router.get('/calendars', auth, async (req, res) => {
+  try {
+    const calendars = await ServiceCalendar.find()
+      .sort({ name: 1 })
+      .select('-__v');
+    res.json({ calendars });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create service calendar (Admin only)
+router.post('/calendars', adminAuth, calendarValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, days, startDate, endDate, exceptions } = req.body;
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'End date must not be before start date' });
+    }
+
+    const calendar = new ServiceCalendar({
+      name,
+      days: days || {},
+      startDate,
+      endDate,
+      exceptions: exceptions || []
+    });
+
+    await calendar.save();
+
+    res.status(201).json({
+      message: 'Calendar created successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update service calendar (Admin only)
+router.put('/calendars/:id', adminAuth, calendarValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const calendar = await ServiceCalendar.findById(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    if (req.body.name) calendar.name = req.body.name;
+    if (req.body.days) calendar.days = req.body.days;
+    if (req.body.startDate) calendar.startDate = req.body.startDate;
+    if (req.body.endDate) calendar.endDate = req.body.endDate;
+    if (req.body.exceptions !== undefined) calendar.exceptions = req.body.exceptions;
+
+    if (calendar.endDate < calendar.startDate) {
+      return res.status(400).json({ error: 'End date must not be before start date' });
+    }
+
+    await calendar.save();
+
+    res.json({
+      message: 'Calendar updated successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete service calendar (Admin only)
+router.delete('/calendars/:id', adminAuth, async (req, res) => {
+  try {
+    const tripCount = await Trip.countDocuments({ calendar: req.params.id });
+    if (tripCount > 0) {
+      return res.status(400).json({ error: `Calendar is used by ${tripCount} trip(s)` });
+    }
+
+    const calendar = await ServiceCalendar.findByIdAndDelete(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    res.json({
+      message: 'Calendar deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get trips, optionally filtered by route or calendar
+router.get('/trips', auth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.route) filter.route = req.query.route;
+    if (req.query.calendar) filter.calendar = req.query.calendar;
+
+    const trips = await populateTrip(Trip.find(filter))
+      .select('-__v');
+
+    res.json({ trips });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get trip by ID
+router.get('/trips/:id', auth, async (req, res) => {
+  try {
+    const trip = await populateTrip(Trip.findById(req.params.id))
+      .select('-__v');
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    res.json({ trip });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create trip (Admin only)
+router.post('/trips', adminAuth, tripValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { route, calendar, headsign, direction } = req.body;
+
+    const [routeExists, calendarExists] = await Promise.all([
+      Route.findById(route),
+      ServiceCalendar.findById(calendar)
+    ]);
+    if (!routeExists) {
+      return res.status(400).json({ error: 'Route not found' });
+    }
+    if (!calendarExists) {
+      return res.status(400).json({ error: 'Calendar not found' });
+    }
+
+    const { stopTimes, error: stopTimesError } = prepareStopTimes(req.body.stopTimes);
+    if (stopTimesError) {
+      return res.status(400).json({ error: stopTimesError });
+    }
+    const { frequencies, error: frequenciesError } = prepareFrequencies(req.body.frequencies);
+    if (frequenciesError) {
+      return res.status(400).json({ error: frequenciesError });
+    }
+
+    const stopIds = [...new Set(stopTimes.map(st => st.stop))];
+    const stopCount = await Stop.countDocuments({ _id: { $in: stopIds } });
+    if (stopCount !== stopIds.length) {
+      return res.status(400).json({ error: 'One or more stops not found' });
+    }
+
+    const trip = new Trip({
+      route,
+      calendar,
+      headsign,
+      direction: direction || 'outbound',
+      stopTimes,
+      frequencies
+    });
+
+    await trip.save();
+
+    const populatedTrip = await populateTrip(Trip.findById(trip._id));
+
+    res.status(201).json({
+      message: 'Trip created successfully',
+      trip: populatedTrip
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update trip (Admin only)
+router.put('/trips/:id', adminAuth, tripValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    if (req.body.route) {
+      const routeExists = await Route.findById(req.body.route);
+      if (!routeExists) {
+        return res.status(400).json({ error: 'Route not found' });
+      }
+      trip.route = req.body.route;
+    }
+    if (req.body.calendar) {
+      const calendarExists = await ServiceCalendar.findById(req.body.calendar);
+      if (!calendarExists) {
+        return res.status(400).json({ error: 'Calendar not found' });
+      }
+      trip.calendar = req.body.calendar;
+    }
+    if (req.body.headsign !== undefined) trip.headsign = req.body.headsign;
+    if (req.body.direction) trip.direction = req.body.direction;
+    if (req.body.stopTimes) {
+      const { stopTimes, error } = prepareStopTimes(req.body.stopTimes);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      trip.stopTimes = stopTimes;
+    }
+    if (req.body.frequencies !== undefined) {
+      const { frequencies, error } = prepareFrequencies(req.body.frequencies);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      trip.frequencies = frequencies;
+    }
+
+    await trip.save();
+
+    const populatedTrip = await populateTrip(Trip.findById(trip._id));
+
+    res.json({
+      message: 'Trip updated successfully',
+      trip: populatedTrip
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete trip (Admin only)
+router.delete('/trips/:id', adminAuth, async (req, res) => {
+  try {
+    const trip = await Trip.findByIdAndDelete(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    res.json({
+      message: 'Trip deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get planned departures from a stop
+router.get('/departures', auth, [
+  query('stop').isMongoId().withMessage('Valid stop ID required'),
+  query('route').optional().isMongoId().withMessage('Valid route ID required'),
+  query('date').optional().custom(isValidDateKey).withMessage('Date must be YYYY-MM-DD'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Today on the agency's clock, which the timetables are written in
+    const now = new Date();
+    const today = toZonedTime(now, agencyTimeZone()).dateKey;
+    const date = req.query.date || today;
+    let departures = await getStopDepartures(req.query.stop, date, { routeId: req.query.route });
+
+    // For today, only show departures that have not left yet
+    if (date === today) {
+      departures = departures.filter(departure => departure.scheduledDeparture >= now);
+    }
+
+    res.json({
+      date,
+      departures: departures.slice(0, parseInt(req.query.limit) || 20)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
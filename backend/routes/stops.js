@@ -1,8 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Stop = require('../models/Stop');
 const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
 const { auth, adminAuth } = require('../middleware/auth');
+const { getRouteGeometry, getHistoricalSegmentSpeeds, predictBusArrivals } = require('../services/etaService');
+const { createScheduledArrivalFinder } = require('../services/scheduleService');
+const { toGeoPoint } = require('../utils/geo');
 
 const router = express.Router();
 
@@ -19,6 +24,43 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get stops near a position, nearest first
+router.get('/nearby', auth, [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid lat required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid lng required'),
+  query('radius').optional().isInt({ min: 1, max: 50000 }).withMessage('radius must be between 1 and 50000 meters'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stops = await Stop.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint({ latitude: parseFloat(req.query.lat), longitude: parseFloat(req.query.lng) }),
+          key: 'locationPoint',
+          distanceField: 'distance', // meters
+          maxDistance: parseInt(req.query.radius) || 1000,
+          spherical: true
+        }
+      },
+      { $limit: parseInt(req.query.limit) || 50 },
+      { $project: { locationPoint: 0, __v: 0 } }
+    ]);
+    await Stop.populate(stops, { path: 'routes', select: 'routeName startPoint endPoint' });
+
+    res.json({
+      stops: stops.map(stop => ({ ...stop, distance: Math.round(stop.distance) }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get stop by ID
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -37,11 +79,74 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Get predicted arrivals of the next buses at a stop
+router.get('/:id/arrivals', auth, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stop = await Stop.findById(req.params.id).select('stopName location');
+    if (!stop) {
+      return res.status(404).json({ error: 'Stop not found' });
+    }
+
+    const now = new Date();
+    const routes = await Route.find({ stops: stop._id })
+      .populate('stops', 'stopName location');
+
+    const arrivals = [];
+    for (const route of routes) {
+      const geometry = getRouteGeometry(route);
+      const segmentSpeeds = await getHistoricalSegmentSpeeds(route, geometry);
+      const buses = await Bus.find({ route: route._id, status: 'active' })
+        .select('busNumber currentLocation speed lastUpdated');
+      const findScheduledArrival = createScheduledArrivalFinder(route._id, stop._id);
+
+      for (const bus of buses) {
+        const predictions = await predictBusArrivals(bus, route, { now, geometry, segmentSpeeds });
+        const prediction = predictions.find(p => p.stop._id.equals(stop._id));
+        if (prediction) {
+          // Compare against the timetable, loaded once per route, to measure lateness
+          const scheduledArrival = await findScheduledArrival(prediction.predictedArrival);
+
+          arrivals.push({
+            bus: { _id: bus._id, busNumber: bus.busNumber, lastUpdated: bus.lastUpdated },
+            route: { _id: route._id, routeName: route.routeName },
+            distanceKm: prediction.distanceKm,
+            etaMinutes: prediction.etaMinutes,
+            predictedArrival: prediction.predictedArrival,
+            scheduledArrival,
+            delayMinutes: scheduledArrival
+              ? Math.round((prediction.predictedArrival - scheduledArrival) / 60000)
+              : null
+          });
+        }
+      }
+    }
+
+    arrivals.sort((a, b) => a.predictedArrival - b.predictedArrival);
+
+    res.json({
+      stop,
+      generatedAt: now,
+      arrivals: arrivals.slice(0, parseInt(req.query.limit) || 5)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Create stop (Admin only)
 router.post('/', adminAuth, [
   body('stopName').trim().isLength({ min: 1 }).withMessage('Stop name required'),
-  body('location.latitude').isNumeric().withMessage('Valid latitude required'),
-  body('location.longitude').isNumeric().withMessage('Valid longitude required')
+  body('location.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('location.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('radius').optional().isFloat({ min: 5, max: 1000 }).withMessage('Radius must be between 5 and 1000 meters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -49,12 +154,13 @@ router.post('/', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { stopName, location, address } = req.body;
+    const { stopName, location, address, radius } = req.body;
 
     const stop = new Stop({
       stopName,
       location,
-      address
+      address,
+      radius
     });
 
     await stop.save();
@@ -75,8 +181,9 @@ router.post('/', adminAuth, [
 // Update stop (Admin only)
 router.put('/:id', adminAuth, [
   body('stopName').optional().trim().isLength({ min: 1 }).withMessage('Stop name required'),
-  body('location.latitude').optional().isNumeric().withMessage('Valid latitude required'),
-  body('location.longitude').optional().isNumeric().withMessage('Valid longitude required')
+  body('location.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('location.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('radius').optional().isFloat({ min: 5, max: 1000 }).withMessage('Radius must be between 5 and 1000 meters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -88,6 +195,7 @@ router.put('/:id', adminAuth, [
     if (req.body.stopName) updates.stopName = req.body.stopName;
     if (req.body.location) updates.location = req.body.location;
     if (req.body.address !== undefined) updates.address = req.body.address;
+    if (req.body.radius !== undefined) updates.radius = req.body.radius;
 
     const stop = await Stop.findByIdAndUpdate(
       req.params.id,
@@ -124,6 +232,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
       { $pull: { stops: req.params.id } }
     );
 
+    // Remove stop from all scheduled trips
+    await Trip.updateMany(
+      { 'stopTimes.stop': req.params.id },
+      { $pull: { stopTimes: { stop: req.params.id } } }
+    );
+
     res.json({
       message: 'Stop deleted successfully'
     });
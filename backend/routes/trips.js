@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const TripRecord = require('../models/TripRecord');
+const { adminAuth, driverAuth } = require('../middleware/auth');
+const {
+  summarizeTrip,
+  getOpenTrip,
+  startTrip,
+  pauseTrip,
+  resumeTrip,
+  endTrip
+} = require('../services/tripService');
+
+const router = express.Router();
+
+const populateTrip = (tripQuery) => tripQuery
+  .populate('bus', 'busNumber')
+  .populate('driver', 'name email')
+  .populate('route', 'routeName');
+
+// Trip with its duration, average speed and number of stops served
+const withSummary = (trip) => ({ ...trip.toObject(), ...summarizeTrip(trip) });
+
+// Reply to a trip action of the trip service
+const sendTripResult = async (res, { trip, error, status }, message) => {
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const populated = await populateTrip(TripRecord.findById(trip._id)).select('-__v');
+  res.json({ message, trip: withSummary(populated) });
+};
+
+// Get trips (Admin only)
+router.get('/', adminAuth, [
+  query('bus').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('driver').optional().isMongoId().withMessage('Valid driver ID required'),
+  query('route').optional().isMongoId().withMessage('Valid route ID required'),
+  query('status').optional().isIn(['in_progress', 'paused', 'completed']).withMessage('Invalid status'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.bus) filter.bus = req.query.bus;
+    if (req.query.driver) filter.driver = req.query.driver;
+    if (req.query.route) filter.route = req.query.route;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      filter.startedAt = {};
+      if (req.query.from) filter.startedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.startedAt.$lte = new Date(req.query.to);
+    }
+
+    const trips = await populateTrip(TripRecord.find(filter))
+      .sort({ startedAt: -1 })
+      .limit(parseInt(req.query.limit) || 100)
+      .select('-__v');
+
+    res.json({ trips: trips.map(withSummary) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the open trip of a bus, if any (Admin or the driver on shift)
+router.get('/active', driverAuth, [
+  query('bus').isMongoId().withMessage('Valid bus ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { trip, error, status } = await getOpenTrip({ busId: req.query.bus, user: req.user });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (!trip) {
+      return res.json({ trip: null });
+    }
+
+    const populated = await populateTrip(TripRecord.findById(trip._id)).select('-__v');
+    res.json({ trip: withSummary(populated) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get trip by ID, with the stops it served (Admin only)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const trip = await populateTrip(TripRecord.findById(req.params.id))
+      .populate('stopsServed.stop', 'stopName')
+      .select('-__v');
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    res.json({ trip: withSummary(trip) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start a trip (Admin or driver assigned to the bus)
+router.post('/', driverAuth, [
+  body('bus').isMongoId().withMessage('Valid bus ID required'),
+  body('direction').optional().isIn(['outbound', 'inbound']).withMessage('direction must be outbound or inbound')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await startTrip({ busId: req.body.bus, direction: req.body.direction, user: req.user });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const trip = await populateTrip(TripRecord.findById(result.trip._id)).select('-__v');
+    res.status(201).json({ message: 'Trip started', trip: withSummary(trip) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pause a trip (Admin or driver assigned to the bus)
+router.patch('/:id/pause', driverAuth, async (req, res) => {
+  try {
+    await sendTripResult(res, await pauseTrip({ tripId: req.params.id, user: req.user }), 'Trip paused');
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resume a paused trip (Admin or driver assigned to the bus)
+router.patch('/:id/resume', driverAuth, async (req, res) => {
+  try {
+    await sendTripResult(res, await resumeTrip({ tripId: req.params.id, user: req.user }), 'Trip resumed');
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// End a trip (Admin or driver assigned to the bus)
+router.patch('/:id/end', driverAuth, async (req, res) => {
+  try {
+    await sendTripResult(res, await endTrip({ tripId: req.params.id, user: req.user }), 'Trip ended');
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,19 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Bus = require('../models/Bus');
+const Stop = require('../models/Stop');
 const { auth, adminAuth } = require('../middleware/auth');
+const { refreshUserRooms } = require('../services/socketRooms');
 
 const router = express.Router();
 
 // Get all users (Admin only)
 router.get('/', adminAuth, async (req, res) => {
   try {
-    const users = await User.find()
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+
+    const users = await User.find(filter)
       .populate('trackedBuses', 'busNumber route')
       .select('-password -__v');
     res.json({ users });
@@ -42,6 +47,75 @@ router.get('/tracked-buses', auth, async (req, res) => {
   }
 });
 
+// Get favorite stops (User)
+router.get('/favorite-stops', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('favoriteStops', 'stopName location address')
+      .select('favoriteStops');
+
+    res.json({ favoriteStops: user.favoriteStops });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Favorite stop (User)
+router.post('/favorite-stops/:stopId', auth, async (req, res) => {
+  try {
+    const stop = await Stop.findById(req.params.stopId);
+    if (!stop) {
+      return res.status(404).json({ error: 'Stop not found' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    // Check if already a favorite
+    if (user.favoriteStops.includes(req.params.stopId)) {
+      return res.status(400).json({ error: 'Stop already in favorites' });
+    }
+
+    user.favoriteStops.push(req.params.stopId);
+    await user.save();
+    await refreshUserRooms(req.app.get('io'), [user._id]);
+
+    res.json({
+      message: 'Stop added to favorites',
+      favoriteStops: user.favoriteStops
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unfavorite stop (User)
+router.delete('/favorite-stops/:stopId', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    // Check if a favorite
+    if (!user.favoriteStops.includes(req.params.stopId)) {
+      return res.status(400).json({ error: 'Stop not in favorites' });
+    }
+
+    user.favoriteStops = user.favoriteStops.filter(
+      stopId => stopId.toString() !== req.params.stopId
+    );
+    await user.save();
+    await refreshUserRooms(req.app.get('io'), [user._id]);
+
+    res.json({
+      message: 'Stop removed from favorites',
+      favoriteStops: user.favoriteStops
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user by ID (Admin only)
 router.get('/:id', adminAuth, async (req, res) => {
   try {
@@ -64,7 +138,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 router.put('/:id', adminAuth, [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('role').optional().isIn(['user', 'admin']).withMessage('Invalid role')
+  body('role').optional().isIn(['user', 'driver', 'admin']).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -88,6 +162,10 @@ router.put('/:id', adminAuth, [
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (req.body.role) {
+      await refreshUserRooms(req.app.get('io'), [user._id]);
+    }
+
     res.json({
       message: 'User updated successfully',
       user
@@ -133,6 +211,7 @@ router.post('/track-bus/:busId', auth, async (req, res) => {
 
     user.trackedBuses.push(req.params.busId);
     await user.save();
+    await refreshUserRooms(req.app.get('io'), [user._id]);
 
     const updatedUser = await User.findById(req.user._id)
       .populate('trackedBuses', 'busNumber route')
@@ -162,6 +241,7 @@ router.delete('/track-bus/:busId', auth, async (req, res) => {
       busId => busId.toString() !== req.params.busId
     );
     await user.save();
+    await refreshUserRooms(req.app.get('io'), [user._id]);
 
     const updatedUser = await User.findById(req.user._id)
       .populate('trackedBuses', 'busNumber route')
@@ -3,6 +3,10 @@ const Bus = require('./models/Bus');
 const Route = require('./models/Route');
 const Stop = require('./models/Stop');
 const User = require('./models/User');
+const DriverAssignment = require('./models/DriverAssignment');
+const ServiceCalendar = require('./models/ServiceCalendar');
+const Trip = require('./models/Trip');
+const { formatTime, toDateKey } = require('./utils/time');
 require('dotenv').config();
 
 const seedData = async () => {
@@ -15,6 +19,9 @@ const seedData = async () => {
     await Bus.deleteMany({});
     await Route.deleteMany({});
     await Stop.deleteMany({});
+    await DriverAssignment.deleteMany({});
+    await Trip.deleteMany({});
+    await ServiceCalendar.deleteMany({});
     console.log('Cleared existing data');
 
     // Create bus stops in Bhubaneswar
@@ -138,6 +145,46 @@ const seedData = async () => {
     const routes = await Route.insertMany(routesData);
     console.log(`Created ${routes.length} bus routes`);
 
+    // Create timetables: every route runs every 15 minutes on weekdays and every 30 minutes on weekends
+    const startDate = toDateKey(new Date());
+    const endDate = `${new Date().getFullYear() + 1}-12-31`;
+    const [weekdayCalendar, weekendCalendar] = await ServiceCalendar.insertMany([
+      {
+        name: 'Weekdays',
+        days: { monday: true, tuesday: true, wednesday: true, thursday: true, friday: true },
+        startDate,
+        endDate
+      },
+      {
+        name: 'Weekends',
+        days: { saturday: true, sunday: true },
+        startDate,
+        endDate
+      }
+    ]);
+
+    const tripsData = [];
+    routes.forEach(route => {
+      const minutesBetweenStops = route.estimatedDuration / (route.stops.length - 1);
+      const stopTimes = route.stops.map((stop, i) => {
+        const time = formatTime(6 * 3600 + Math.round(i * minutesBetweenStops) * 60);
+        return { stop, arrivalTime: time, departureTime: time, sequence: i };
+      });
+
+      [[weekdayCalendar, 15], [weekendCalendar, 30]].forEach(([calendar, headwayMinutes]) => {
+        tripsData.push({
+          route: route._id,
+          calendar: calendar._id,
+          headsign: route.endPoint.name,
+          stopTimes,
+          frequencies: [{ startTime: '06:00:00', endTime: '22:00:00', headwayMinutes }]
+        });
+      });
+    });
+
+    const trips = await Trip.insertMany(tripsData);
+    console.log(`Created ${trips.length} scheduled trips`);
+
     // Create 20 buses with different statuses and locations
     const busData = [];
     const statuses = ['active', 'active', 'active', 'active', 'active', 'active', 'active', 'active', 'inactive', 'maintenance', 'active', 'active', 'inactive', 'active', 'maintenance', 'active', 'active', 'inactive', 'active', 'active'];
@@ -185,11 +232,37 @@ const seedData = async () => {
     );
     console.log('Admin user created/updated');
 
+    // Create a driver assigned to the first bus for today's shift
+    const driverUser = await User.findOneAndUpdate(
+      { email: 'driver@gmail.com' },
+      {
+        name: 'Driver User',
+        email: 'driver@gmail.com',
+        password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // password: password123 (bcrypt hashed)
+        role: 'driver'
+      },
+      { upsert: true, new: true }
+    );
+
+    const shiftStart = new Date();
+    shiftStart.setHours(0, 0, 0, 0);
+    const shiftEnd = new Date(shiftStart);
+    shiftEnd.setHours(23, 59, 59, 999);
+
+    await DriverAssignment.create({
+      driver: driverUser._id,
+      bus: buses[0]._id,
+      shiftStart,
+      shiftEnd
+    });
+    console.log(`Driver user created and assigned to bus ${buses[0].busNumber}`);
+
     console.log('\n🎉 Seed data created successfully!');
     console.log(`📍 ${stops.length} bus stops created`);
     console.log(`🛣️ ${routes.length} routes created`);
     console.log(`🚌 ${buses.length} buses created`);
     console.log(`👤 Admin user: admin@bhubaneswarbus.com / password123`);
+    console.log(`🧑‍✈️ Driver user: driver@gmail.com / password123`);
 
     console.log('\n📊 Dashboard Stats:');
     console.log(`Total Buses: ${buses.length}`);
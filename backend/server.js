@@ -5,6 +5,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { socketAuth, requireRole } = require('./middleware/socketAuth');
+const { updateBusLocation } = require('./services/locationService');
+const { joinUserRooms } = require('./services/socketRooms');
+const { startNotificationScheduler } = require('./services/notificationScheduler');
+const { startDeliveryWorker } = require('./services/deliveryService');
+const { startDailyRollover } = require('./services/dailyRollover');
 require('dotenv').config();
 
 const app = express();
@@ -16,16 +22,21 @@ const io = new Server(server, {
   }
 });
 
+// Make Socket.IO available to route handlers
+app.set('io', io);
+
 // Middleware
 app.use(helmet());
-app.use(cors());
+// Let the admin panel read the names of downloaded reports
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting - More permissive for development
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'production' ? 100 : 1000, // 1000 requests for development, 100 for production
+  // 1000 requests for development, 100 for production; raise RATE_LIMIT_MAX to load test over HTTP
+  max: parseInt(process.env.RATE_LIMIT_MAX) || (process.env.NODE_ENV === 'production' ? 100 : 1000),
   message: {
     error: 'Too many requests from this IP, please try again later.'
   },
@@ -34,12 +45,35 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Public GTFS-Realtime feeds are polled by journey planners, so they get their own limit
+const realtimeFeedLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.GTFS_RT_RATE_LIMIT) || 60, // requests per minute
+  message: {
+    error: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use('/gtfs-rt/', realtimeFeedLimiter);
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bus-tracking', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
+.then(() => {
+  console.log('MongoDB connected');
+
+  // Publish and retire scheduled notifications
+  startNotificationScheduler(io, parseInt(process.env.NOTIFICATION_SCHEDULER_INTERVAL) || undefined);
+
+  // Send and retry email, SMS and webhook deliveries
+  startDeliveryWorker(parseInt(process.env.DELIVERY_WORKER_INTERVAL) || undefined);
+
+  // Archive each bus's daily totals and reset its counters when the service day ends
+  startDailyRollover(parseInt(process.env.DAILY_ROLLOVER_INTERVAL) || undefined);
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -49,10 +83,26 @@ app.use('/api/buses', require('./routes/buses'));
 app.use('/api/routes', require('./routes/routes'));
 app.use('/api/stops', require('./routes/stops'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/assignments', require('./routes/assignments'));
+app.use('/api/schedules', require('./routes/schedules'));
+app.use('/api/gtfs', require('./routes/gtfs'));
+app.use('/api/push', require('./routes/push'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/deviations', require('./routes/deviations'));
+app.use('/api/trips', require('./routes/trips'));
+app.use('/api/daily-summaries', require('./routes/dailySummaries'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/gtfs-rt', require('./routes/gtfsRealtime'));
 
 // Socket.IO connection handling
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  const user = socket.data.user;
+  console.log('User connected:', socket.id, user ? `(${user.email})` : '(anonymous)');
+
+  // Personal, role and route rooms for targeted notifications
+  joinUserRooms(socket).catch(error => console.error('Error joining user rooms:', error));
 
   // Join bus tracking room
   socket.on('join-bus-tracking', (busId) => {
@@ -66,16 +116,43 @@ io.on('connection', (socket) => {
     console.log(`User ${socket.id} left bus tracking for bus ${busId}`);
   });
 
-  // Admin updates bus location
-  socket.on('update-bus-location', (data) => {
-    // Verify admin permissions here
-    const { busId, location } = data;
-    io.to(`bus-${busId}`).emit('bus-location-update', {
-      busId,
-      location,
-      timestamp: new Date()
-    });
-  });
+  // Admin or assigned driver updates bus location
+  socket.on('update-bus-location', requireRole(socket, ['admin', 'driver'], async (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { busId, location, speed, heading, accuracy } = data || {};
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+
+    if (!mongoose.isValidObjectId(busId) ||
+        !Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+        !Number.isFinite(longitude) || Math.abs(longitude) > 180 ||
+        (speed !== undefined && !(Number(speed) >= 0)) ||
+        (heading !== undefined && !(Number(heading) >= 0 && Number(heading) <= 360)) ||
+        (accuracy !== undefined && !(Number(accuracy) >= 0))) {
+      return respond({ error: 'Valid bus ID, latitude and longitude required' });
+    }
+
+    try {
+      const result = await updateBusLocation(
+        {
+          busId,
+          latitude,
+          longitude,
+          speed: speed === undefined ? undefined : Number(speed),
+          heading: heading === undefined ? undefined : Number(heading),
+          accuracy: accuracy === undefined ? undefined : Number(accuracy)
+        },
+        { user: socket.data.user, source: 'socket', io }
+      );
+
+      respond(result.error
+        ? { error: result.error }
+        : { success: true, rejectionReason: result.rejectionReason });
+    } catch (error) {
+      console.error(error);
+      respond({ error: 'Server error' });
+    }
+  }));
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
@@ -0,0 +1,120 @@
+const ArrivalAlert = require('../models/ArrivalAlert');
+const Route = require('../models/Route');
+const { predictBusArrivals } = require('./etaService');
+const { sendPushToUsers } = require('./pushService');
+const { userRoom } = require('./socketRooms');
+const { parseTime, weekdayOf, agencyTimeZone, toZonedTime, zonedDateAt } = require('../utils/time');
+
+/**
+ * Whether an alert's active days and time window include a moment
+ * @param {Object} alert - ArrivalAlert
+ * @param {Date} now
+ * @param {string} timeZone - Time zone the days and window are in
+ * @returns {boolean}
+ */
+const isWithinWindow = (alert, now, timeZone = agencyTimeZone()) => {
+  const { dateKey, seconds } = toZonedTime(now, timeZone);
+  if (alert.days && alert.days.length > 0 && !alert.days.includes(weekdayOf(dateKey))) {
+    return false;
+  }
+
+  const start = parseTime(alert.startTime);
+  const end = parseTime(alert.endTime);
+  if (start === null || end === null) return true;
+
+  return start <= end
+    ? seconds >= start && seconds <= end
+    : seconds >= start || seconds <= end; // Window wraps past midnight
+};
+
+// Mark an alert as fired unless another update got there first; returns false if it did
+const claimAlert = async (alert, bus, now) => {
+  const filter = { _id: alert._id, isActive: true };
+  const update = { lastTriggeredAt: now, lastTriggeredBus: bus._id };
+
+  if (alert.mode === 'once') {
+    update.isActive = false;
+  } else {
+    const timeZone = agencyTimeZone();
+    const startOfDay = zonedDateAt(toZonedTime(now, timeZone).dateKey, 0, timeZone);
+    filter.$or = [
+      { lastTriggeredAt: { $exists: false } },
+      { lastTriggeredAt: { $lt: startOfDay } }
+    ];
+  }
+
+  const claimed = await ArrivalAlert.findOneAndUpdate(filter, update);
+  return Boolean(claimed);
+};
+
+// Tell a rider their bus is close, in the app and by push
+const sendArrivalAlert = async (io, alert, bus, route, prediction) => {
+  const payload = {
+    alertId: alert._id,
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    routeId: route._id,
+    routeName: route.routeName,
+    stopId: prediction.stop._id,
+    stopName: prediction.stop.stopName,
+    etaMinutes: prediction.etaMinutes,
+    predictedArrival: prediction.predictedArrival
+  };
+  io.to(userRoom(alert.user)).emit('arrival-alert', payload);
+
+  await sendPushToUsers([alert.user], {
+    title: `Bus ${bus.busNumber} is ${prediction.etaMinutes < 1 ? 'arriving' : `${prediction.etaMinutes} min away`}`,
+    body: `Route: ${route.routeName}\nStop: ${prediction.stop.stopName}`,
+    tag: `arrival-alert-${alert._id}`,
+    url: '/tracking',
+    requireInteraction: true
+  });
+};
+
+/**
+ * Fire the arrival alerts that a bus's new position satisfies
+ * An alert fires when the predicted arrival of the bus at the alert's stop is within
+ * its lead time and the current time is inside its active days and window.
+ * @param {Object} bus - Bus with its new currentLocation, speed and route
+ * @param {Date} now
+ * @param {Object} io - Socket.IO server
+ * @returns {Promise<number>} Number of alerts fired
+ */
+const evaluateArrivalAlerts = async (bus, now, io) => {
+  if (!bus.route || !bus.currentLocation) return 0;
+  const routeId = bus.route._id || bus.route;
+
+  const alerts = await ArrivalAlert.find({
+    isActive: true,
+    $or: [{ route: routeId }, { bus: bus._id }]
+  });
+  const candidates = alerts.filter(alert => isWithinWindow(alert, now));
+  if (candidates.length === 0) return 0;
+
+  const route = await Route.findById(routeId).populate('stops', 'stopName location');
+  if (!route) return 0;
+
+  const predictions = await predictBusArrivals(bus, route, { now });
+  const predictionByStop = new Map(predictions.map(prediction => [prediction.stop._id.toString(), prediction]));
+
+  let fired = 0;
+  for (const alert of candidates) {
+    const prediction = predictionByStop.get(alert.stop.toString());
+    if (!prediction || prediction.etaMinutes > alert.leadMinutes) continue;
+    if (!await claimAlert(alert, bus, now)) continue;
+
+    try {
+      await sendArrivalAlert(io, alert, bus, route, prediction);
+    } catch (error) {
+      console.error('Error sending arrival alert:', error);
+    }
+    fired++;
+  }
+
+  return fired;
+};
+
+module.exports = {
+  isWithinWindow,
+  evaluateArrivalAlerts
+};
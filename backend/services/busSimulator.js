@@ -0,0 +1,154 @@
+const { getRouteGeometry } = require('./etaService');
+const { pointAlongPath, calculateBearing } = require('../utils/geo');
+
+const METERS_PER_DEGREE = 111320;
+const ACCELERATION_KMH_PER_S = 4; // City bus pulling away from a stop
+const BRAKING_KMH_PER_S = 6;
+const CRUISE_SPEED_RANGE_KMH = [22, 38];
+const TRAFFIC_SLOWDOWN_CHANCE = 0.02; // Per simulated second
+const TRAFFIC_SLOWDOWN_SECONDS = [10, 60];
+const TERMINUS_LAYOVER_FACTOR = 4; // Layover at either end, in multiples of the stop dwell
+const DROPOUT_REPEAT_CHANCE = 0.5; // A lost fix is often followed by another one, as in a tunnel
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+// Standard normal sample (Box-Muller)
+const gaussian = () => {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Offset a position by random GPS error
+ * @param {Object} point - {latitude, longitude}
+ * @param {number} sigmaMeters - Standard deviation of the error
+ * @returns {Object} {latitude, longitude}
+ */
+const addGpsNoise = (point, sigmaMeters) => {
+  if (!sigmaMeters) return { latitude: point.latitude, longitude: point.longitude };
+  const metersPerDegreeLng = METERS_PER_DEGREE * Math.cos(point.latitude * Math.PI / 180);
+  return {
+    latitude: point.latitude + gaussian() * sigmaMeters / METERS_PER_DEGREE,
+    longitude: point.longitude + gaussian() * sigmaMeters / metersPerDegreeLng
+  };
+};
+
+/**
+ * Simulation state of one bus driving back and forth along its route
+ * @param {Object} bus - Bus with _id and busNumber
+ * @param {Object} route - Route with startPoint, waypoints, endPoint and populated stops
+ * @param {Object} options - {dwellSeconds}
+ * @returns {Object|null} State, or null if the route has no usable geometry
+ */
+const createSimulatedBus = (bus, route, options = {}) => {
+  const geometry = getRouteGeometry(route);
+  if (geometry.path.length < 2 || geometry.length === 0) return null;
+
+  return {
+    bus,
+    route,
+    geometry,
+    dwellSeconds: options.dwellSeconds || 20,
+    // Spread buses over the route so they do not move in a convoy
+    distanceAlong: Math.random() * geometry.length,
+    direction: Math.random() < 0.5 ? 1 : -1,
+    speed: 0,
+    cruiseSpeed: randomBetween(...CRUISE_SPEED_RANGE_KMH),
+    dwellRemaining: 0,
+    slowdownRemaining: 0,
+    droppingOut: false
+  };
+};
+
+// Next stop ahead of the bus in its direction of travel, as a distance along the route
+const nextStopDistance = (state) => {
+  const stops = state.geometry.stops.map(stop => stop.distanceAlong);
+  const ahead = state.direction > 0
+    ? stops.filter(d => d > state.distanceAlong + 0.001)
+    : stops.filter(d => d < state.distanceAlong - 0.001);
+  if (ahead.length === 0) return state.direction > 0 ? state.geometry.length : 0;
+  return state.direction > 0 ? Math.min(...ahead) : Math.max(...ahead);
+};
+
+/**
+ * Move a simulated bus forward in time
+ * Buses accelerate to a cruising speed, slow down in random traffic, brake for and
+ * dwell at every stop, and lay over at the ends of the route before turning back.
+ * @param {Object} state - From createSimulatedBus
+ * @param {number} seconds - Simulated time step
+ */
+const advanceSimulatedBus = (state, seconds) => {
+  if (state.dwellRemaining > 0) {
+    state.dwellRemaining -= seconds;
+    state.speed = 0;
+    return;
+  }
+
+  if (state.slowdownRemaining > 0) {
+    state.slowdownRemaining -= seconds;
+  } else if (Math.random() < TRAFFIC_SLOWDOWN_CHANCE * seconds) {
+    state.slowdownRemaining = randomBetween(...TRAFFIC_SLOWDOWN_SECONDS);
+  }
+  const targetSpeed = state.slowdownRemaining > 0 ? state.cruiseSpeed * 0.3 : state.cruiseSpeed;
+
+  // Brake early enough to stop at the next stop
+  const target = nextStopDistance(state);
+  const remainingKm = Math.abs(target - state.distanceAlong);
+  const brakingSeconds = state.speed / BRAKING_KMH_PER_S;
+  const brakingKm = state.speed / 3600 * brakingSeconds / 2;
+  const desiredSpeed = remainingKm <= brakingKm ? Math.max(state.speed - BRAKING_KMH_PER_S * seconds, 8) : targetSpeed;
+
+  state.speed = desiredSpeed > state.speed
+    ? Math.min(desiredSpeed, state.speed + ACCELERATION_KMH_PER_S * seconds)
+    : Math.max(desiredSpeed, state.speed - BRAKING_KMH_PER_S * seconds);
+
+  const travelledKm = state.speed / 3600 * seconds;
+  if (travelledKm < remainingKm) {
+    state.distanceAlong += state.direction * travelledKm;
+    return;
+  }
+
+  // Reached the stop or the end of the route
+  state.distanceAlong = target;
+  state.speed = 0;
+  const atTerminus = target <= 0 || target >= state.geometry.length;
+  state.dwellRemaining = state.dwellSeconds * randomBetween(0.5, 1.5) * (atTerminus ? TERMINUS_LAYOVER_FACTOR : 1);
+  if (atTerminus) {
+    state.direction = target <= 0 ? 1 : -1;
+    state.cruiseSpeed = randomBetween(...CRUISE_SPEED_RANGE_KMH);
+  }
+};
+
+/**
+ * Position report a simulated bus would send now, or null when its GPS fix is lost
+ * @param {Object} state - From createSimulatedBus
+ * @param {Object} options - {noiseMeters, dropoutRate}
+ * @returns {Object|null} {latitude, longitude, speed, heading, accuracy}
+ */
+const readSimulatedGps = (state, options = {}) => {
+  const dropoutChance = state.droppingOut ? DROPOUT_REPEAT_CHANCE : (options.dropoutRate || 0);
+  state.droppingOut = Math.random() < dropoutChance;
+  if (state.droppingOut) return null;
+
+  const { path, cumulative } = state.geometry;
+  const position = pointAlongPath(path, cumulative, state.distanceAlong);
+  const ahead = pointAlongPath(path, cumulative, state.distanceAlong + state.direction * 0.02);
+  const heading = calculateBearing(position, ahead);
+
+  return {
+    ...addGpsNoise(position, options.noiseMeters),
+    speed: Math.round(state.speed * 10) / 10,
+    heading: Math.round(heading),
+    // Radius the true position falls within about two times in three, as phones report it
+    accuracy: Math.max(Math.round((options.noiseMeters || 0) * 1.5), 3)
+  };
+};
+
+module.exports = {
+  MAX_SIMULATED_SPEED_KMH: CRUISE_SPEED_RANGE_KMH[1],
+  addGpsNoise,
+  createSimulatedBus,
+  advanceSimulatedBus,
+  readSimulatedGps
+};
@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+// Email over SMTP; any SMTP server works, including a local catcher such as MailHog
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const routeNames = (notification) =>
+  (notification.targetRoutes || []).map(route => route.routeName).filter(Boolean);
+
+module.exports = {
+  name: 'email',
+
+  isConfigured: () => Boolean(process.env.SMTP_HOST),
+
+  recipientFor: (user) => user.email,
+
+  send: async ({ to, notification }) => {
+    const routes = routeNames(notification);
+    const subject = `[${notification.type}] ${routes.length > 0 ? `${routes.join(', ')}: ` : ''}Service notice`;
+
+    await getTransporter().sendMail({
+      from: process.env.MAIL_FROM || 'Bus Tracking <no-reply@localhost>',
+      to,
+      subject,
+      text: `${notification.message}\n\nSent ${new Date(notification.time).toLocaleString()}`
+    });
+  }
+};
@@ -0,0 +1,24 @@
+const email = require('./email');
+const sms = require('./sms');
+const webhook = require('./webhook');
+
+/**
+ * Outbound notification channels
+ * Each channel exports:
+ *   name - key in User.notificationChannels and DeliveryLog.channel
+ *   isConfigured() - whether the server has the settings it needs
+ *   recipientFor(user) - address to deliver to, or nothing if the user has not set one
+ *   send({to, notification, deliveryId}) - deliver once, throwing on failure
+ */
+const channels = { email, sms, webhook };
+
+const getChannel = (name) => channels[name];
+
+// Channels that can deliver with the current server settings
+const configuredChannels = () => Object.values(channels).filter(channel => channel.isConfigured());
+
+module.exports = {
+  channels,
+  getChannel,
+  configuredChannels
+};
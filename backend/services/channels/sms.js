@@ -0,0 +1,48 @@
+const { postRequest } = require('../../utils/http');
+
+// SMS providers, selected with SMS_PROVIDER; each sends one text message
+const providers = {
+  twilio: {
+    isConfigured: () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.SMS_FROM),
+    send: async (to, body) => {
+      const sid = process.env.TWILIO_ACCOUNT_SID;
+      const credentials = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      await postRequest(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: process.env.SMS_FROM, Body: body }).toString()
+      });
+    }
+  },
+
+  // Generic gateway that accepts {to, from, body} as JSON
+  http: {
+    isConfigured: () => Boolean(process.env.SMS_HTTP_URL),
+    send: async (to, body) => {
+      await postRequest(process.env.SMS_HTTP_URL, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_HTTP_TOKEN && { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` })
+        },
+        body: JSON.stringify({ to, from: process.env.SMS_FROM, body })
+      });
+    }
+  }
+};
+
+const getProvider = () => providers[process.env.SMS_PROVIDER];
+
+module.exports = {
+  name: 'sms',
+
+  isConfigured: () => Boolean(getProvider() && getProvider().isConfigured()),
+
+  recipientFor: (user) => user.phone,
+
+  send: async ({ to, notification }) => {
+    await getProvider().send(to, `${notification.type.toUpperCase()}: ${notification.message}`);
+  }
+};
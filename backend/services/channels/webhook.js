@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { postRequest } = require('../../utils/http');
+
+// JSON POST to a URL of the user's choice, signed with WEBHOOK_SECRET when it is set;
+// internal addresses are refused so the server cannot be pointed at its own network
+module.exports = {
+  name: 'webhook',
+
+  isConfigured: () => true,
+
+  recipientFor: (user) => user.webhookUrl,
+
+  send: async ({ to, notification, deliveryId }) => {
+    const body = JSON.stringify({
+      event: 'notification',
+      deliveryId,
+      notification: {
+        id: notification._id,
+        message: notification.message,
+        type: notification.type,
+        time: notification.time,
+        expiresAt: notification.expiresAt,
+        routes: (notification.targetRoutes || []).map(route => ({ id: route._id, routeName: route.routeName }))
+      }
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Delivery-Id': String(deliveryId)
+    };
+    if (process.env.WEBHOOK_SECRET) {
+      const signature = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+      headers['X-Signature'] = `sha256=${signature}`;
+    }
+
+    await postRequest(to, { headers, body, publicOnly: true });
+  }
+};
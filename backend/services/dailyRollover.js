@@ -0,0 +1,185 @@
+const Bus = require('../models/Bus');
+const TripRecord = require('../models/TripRecord');
+const DailyBusSummary = require('../models/DailyBusSummary');
+const { summarizeTrip } = require('./tripService');
+const { addDays, isValidTimeZone, agencyTimeZone, toZonedTime, zonedDateAt } = require('../utils/time');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+// Buses running past midnight still belong to the previous service day
+const DEFAULT_ROLLOVER_HOUR = 3;
+
+const rolloverSettings = () => {
+  const timeZone = process.env.DAILY_ROLLOVER_TIMEZONE;
+  const hour = parseInt(process.env.DAILY_ROLLOVER_HOUR);
+
+  return {
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : agencyTimeZone(),
+    hour: hour >= 0 && hour <= 23 ? hour : DEFAULT_ROLLOVER_HOUR
+  };
+};
+
+/**
+ * Service date a moment belongs to
+ * @param {Date} date
+ * @param {Object} settings - From rolloverSettings()
+ * @returns {string} "YYYY-MM-DD"
+ */
+const serviceDateOf = (date, settings = rolloverSettings()) => {
+  const { dateKey, seconds } = toZonedTime(date, settings.timeZone);
+  return seconds < settings.hour * 3600 ? addDays(dateKey, -1) : dateKey;
+};
+
+/**
+ * First and last moment of a service date
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {Object} settings - From rolloverSettings()
+ * @returns {Object} {start, end}, end exclusive
+ */
+const serviceDayBounds = (date, settings = rolloverSettings()) => ({
+  start: zonedDateAt(date, settings.hour * 3600, settings.timeZone),
+  end: zonedDateAt(addDays(date, 1), settings.hour * 3600, settings.timeZone)
+});
+
+// Archive the counters a bus had for a service date, with its trips of that day
+const archiveBusDay = async (bus, date, now, settings) => {
+  const { start, end } = serviceDayBounds(date, settings);
+  const trips = await TripRecord.find({ bus: bus._id, startedAt: { $gte: start, $lt: end } });
+  const until = now < end ? now : end;
+
+  await DailyBusSummary.updateOne(
+    { bus: bus._id, date },
+    {
+      // Late fixes may already have added distance to a day closed before
+      $inc: { distance: bus.tripStats.distanceToday || 0 },
+      $set: {
+        route: bus.route,
+        tripCount: trips.length,
+        tripSeconds: trips.reduce((total, trip) => total + summarizeTrip(trip, until).durationSeconds, 0),
+        idleSeconds: trips.reduce((total, trip) => total + (trip.idleSeconds || 0), 0),
+        stopsServed: trips.reduce((total, trip) => total + trip.stopsServed.length, 0),
+        closedAt: now
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Close the service day of a bus if it is before the given date
+ * The reset is atomic, so a bus is never archived twice for the same day.
+ * @param {string} busId
+ * @param {string} date - Current service date
+ * @param {Date} now
+ * @param {Object} settings - From rolloverSettings()
+ * @returns {Promise<boolean>} True if a day was closed
+ */
+const rollOverBus = async (busId, date, now = new Date(), settings = rolloverSettings()) => {
+  const previous = await Bus.findOneAndUpdate(
+    { _id: busId, 'tripStats.serviceDate': { $lt: date } },
+    { $set: { 'tripStats.distanceToday': 0, 'tripStats.serviceDate': date } },
+    { new: false }
+  );
+  if (!previous) return false;
+
+  await archiveBusDay(previous, previous.tripStats.serviceDate, now, settings);
+  return true;
+};
+
+/**
+ * Archive the distance a bus has counted so far and restart its counter from zero
+ * Used for a reset by hand; the same atomic swap as the rollover means no distance is
+ * lost, and the day is archived again, with what it adds since, when it is closed.
+ * @param {string} busId
+ * @param {Date} now
+ * @param {Object} settings - From rolloverSettings()
+ * @returns {Promise<boolean>} False if the bus does not exist
+ */
+const resetBusDistance = async (busId, now = new Date(), settings = rolloverSettings()) => {
+  const date = serviceDateOf(now, settings);
+  const previous = await Bus.findOneAndUpdate(
+    { _id: busId },
+    { $set: { 'tripStats.distanceToday': 0, 'tripStats.serviceDate': date } },
+    { new: false }
+  );
+  if (!previous) return false;
+
+  await archiveBusDay(previous, previous.tripStats.serviceDate || date, now, settings);
+  return true;
+};
+
+/**
+ * Add distance driven on a service day that has already been closed
+ * @param {Object} bus - Bus with _id and route
+ * @param {string} date - Service date of the distance
+ * @param {number} distance - In km
+ */
+const addLateDistance = async (bus, date, distance) => {
+  if (!(distance > 0)) return;
+  await DailyBusSummary.updateOne(
+    { bus: bus._id, date },
+    { $inc: { distance }, $setOnInsert: { route: bus.route } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Close the service day of every bus whose day has ended
+ * Buses tracked before the rollover existed start counting toward the current day.
+ * @param {Date} now
+ * @returns {Promise<Object>} {date, closed}
+ */
+const runDailyRollover = async (now = new Date()) => {
+  const settings = rolloverSettings();
+  const date = serviceDateOf(now, settings);
+
+  await Bus.updateMany(
+    { 'tripStats.serviceDate': { $exists: false } },
+    { $set: { 'tripStats.serviceDate': date } }
+  );
+
+  let closed = 0;
+  const due = await Bus.find({ 'tripStats.serviceDate': { $lt: date } }).select('_id');
+  for (const bus of due) {
+    if (await rollOverBus(bus._id, date, now, settings)) closed++;
+  }
+
+  return { date, closed };
+};
+
+/**
+ * Run the daily rollover periodically
+ * @param {number} intervalSeconds
+ * @returns {Object} Interval handle
+ */
+const startDailyRollover = (intervalSeconds = DEFAULT_INTERVAL_SECONDS) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { date, closed } = await runDailyRollover();
+      if (closed) {
+        console.log(`Daily rollover: closed the previous day of ${closed} buses, now counting ${date}`);
+      }
+    } catch (error) {
+      console.error('Daily rollover error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalSeconds * 1000);
+};
+
+module.exports = {
+  rolloverSettings,
+  serviceDateOf,
+  serviceDayBounds,
+  rollOverBus,
+  resetBusDistance,
+  addLateDistance,
+  runDailyRollover,
+  startDailyRollover
+};
@@ -0,0 +1,150 @@
+const DeliveryLog = require('../models/DeliveryLog');
+const User = require('../models/User');
+const { configuredChannels, getChannel } = require('./channels');
+const { getNotificationRecipientIds } = require('./riderService');
+
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.DELIVERY_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const BATCH_SIZE = 100;
+const DEFAULT_INTERVAL_SECONDS = 15;
+
+/**
+ * Delay before the next attempt, doubling after every failure
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS) * 1000;
+
+/**
+ * Queue a notification on the outbound channels each recipient has turned on
+ * @param {Object} notification
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const queueNotificationDeliveries = async (notification) => {
+  const channels = configuredChannels();
+  if (channels.length === 0) return 0;
+
+  const userIds = await getNotificationRecipientIds(notification);
+  const filter = {
+    $or: channels.map(channel => ({ [`notificationChannels.${channel.name}`]: true }))
+  };
+  if (userIds) filter._id = { $in: userIds };
+
+  const users = await User.find(filter).select('email phone webhookUrl notificationChannels');
+
+  const now = new Date();
+  const deliveries = [];
+  users.forEach(user => {
+    channels.forEach(channel => {
+      const recipient = channel.recipientFor(user);
+      if (user.notificationChannels[channel.name] && recipient) {
+        deliveries.push({
+          notification: notification._id,
+          user: user._id,
+          channel: channel.name,
+          recipient,
+          nextAttemptAt: now
+        });
+      }
+    });
+  });
+
+  if (deliveries.length > 0) {
+    await DeliveryLog.insertMany(deliveries);
+    processPendingDeliveries().catch(error => console.error('Delivery worker error:', error));
+  }
+
+  return deliveries.length;
+};
+
+// Make one attempt at a delivery and record the outcome
+const attemptDelivery = async (delivery, now) => {
+  const notification = delivery.notification;
+  const channel = getChannel(delivery.channel);
+
+  if (!notification || !notification.isActive) {
+    delivery.status = 'cancelled';
+    delivery.lastError = 'Notification no longer active';
+    return delivery.save();
+  }
+  if (!channel.isConfigured()) {
+    delivery.status = 'failed';
+    delivery.lastError = `The ${delivery.channel} channel is not configured`;
+    return delivery.save();
+  }
+
+  delivery.attempts++;
+  try {
+    await channel.send({ to: delivery.recipient, notification, deliveryId: delivery._id });
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+    // e.g. a webhook on an internal address: retrying will not help
+    if (error.permanent || delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + retryDelay(delivery.attempts));
+    }
+  }
+  return delivery.save();
+};
+
+let processing = false;
+
+/**
+ * Attempt every pending delivery that is due
+ * Only one run is active at a time; overlapping calls return immediately.
+ * @param {Date} now
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processPendingDeliveries = async (now = new Date()) => {
+  if (processing) return 0;
+  processing = true;
+
+  try {
+    let attempted = 0;
+    let batch;
+    do {
+      batch = await DeliveryLog.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(BATCH_SIZE)
+        .populate({
+          path: 'notification',
+          populate: { path: 'targetRoutes', select: 'routeName' }
+        });
+
+      for (const delivery of batch) {
+        await attemptDelivery(delivery, now);
+        attempted++;
+      }
+    } while (batch.length === BATCH_SIZE);
+
+    return attempted;
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Retry pending deliveries periodically
+ * @param {number} intervalSeconds
+ * @returns {Object} Interval handle
+ */
+const startDeliveryWorker = (intervalSeconds = DEFAULT_INTERVAL_SECONDS) => {
+  const run = () => processPendingDeliveries()
+    .catch(error => console.error('Delivery worker error:', error));
+
+  run();
+  return setInterval(run, intervalSeconds * 1000);
+};
+
+module.exports = {
+  retryDelay,
+  queueNotificationDeliveries,
+  processPendingDeliveries,
+  startDeliveryWorker
+};
@@ -0,0 +1,132 @@
+const Route = require('../models/Route');
+const DeviationIncident = require('../models/DeviationIncident');
+const { buildRoutePath, projectOntoPath } = require('../utils/geo');
+const { roleRoom } = require('./socketRooms');
+
+const DEFAULT_CORRIDOR_METERS = 150;
+const DEFAULT_MIN_SECONDS = 60;
+const MAX_PATH_POINTS = 2000;
+const MAX_PENDING_POINTS = 100;
+
+const corridorFor = (route) =>
+  route.corridorMeters || parseFloat(process.env.DEVIATION_CORRIDOR_METERS) || DEFAULT_CORRIDOR_METERS;
+
+const minOffRouteMs = () =>
+  (parseFloat(process.env.DEVIATION_MIN_SECONDS) || DEFAULT_MIN_SECONDS) * 1000;
+
+// Buses currently outside their corridor that have not been off route long enough to
+// open an incident yet: busId -> [path points]. A restart only delays detection.
+// A gap longer than the minimum window between points starts the count over.
+const pendingDeviations = new Map();
+
+/**
+ * Distance of a position from a route's planned path
+ * The path runs from startPoint through the waypoints to endPoint.
+ * @param {Object} route - Route with startPoint, waypoints and endPoint
+ * @param {Object} location - {latitude, longitude}
+ * @returns {number|null} Meters, or null if the route has no geometry
+ */
+const distanceFromRoute = (route, location) => {
+  const path = buildRoutePath(route);
+  if (path.length < 2) return null;
+  return projectOntoPath(path, location).distanceFromPath * 1000;
+};
+
+const emitToAdmins = (io, event, payload) => {
+  if (io) io.to(roleRoom('admin')).emit(event, payload);
+};
+
+/**
+ * Detect a bus leaving or returning to its route
+ * A bus must stay outside the route's corridor for DEVIATION_MIN_SECONDS before an
+ * incident is recorded, so a single bad GPS fix does not raise an alarm. Admins get
+ * `deviation-started`, `deviation-updated` and `deviation-ended`.
+ * @param {Object} bus - Bus with its new currentLocation and route (id or populated)
+ * @param {Date} now - Time of the position
+ * @param {Object} io - Socket.IO server, or null to record incidents without emitting them
+ * @returns {Promise<Object|null>} The open incident, if any
+ */
+const processRouteDeviation = async (bus, now, io) => {
+  if (!bus.route || !bus.currentLocation) return null;
+  const busKey = bus._id.toString();
+
+  const route = await Route.findById(bus.route._id || bus.route).select('routeName startPoint endPoint waypoints corridorMeters');
+  const distance = route ? distanceFromRoute(route, bus.currentLocation) : null;
+  if (distance === null) return null;
+
+  const corridor = corridorFor(route);
+  const open = await DeviationIncident.findOne({ bus: bus._id, endedAt: null });
+
+  if (distance <= corridor) {
+    pendingDeviations.delete(busKey);
+    if (open) {
+      open.endedAt = now;
+      await open.save();
+      emitToAdmins(io, 'deviation-ended', { incidentId: open._id, busId: bus._id, endedAt: now });
+    }
+    return null;
+  }
+
+  const point = {
+    latitude: bus.currentLocation.latitude,
+    longitude: bus.currentLocation.longitude,
+    distanceMeters: Math.round(distance),
+    timestamp: now
+  };
+
+  if (open) {
+    if (open.path.length < MAX_PATH_POINTS) open.path.push(point);
+    open.maxDistanceMeters = Math.max(open.maxDistanceMeters, point.distanceMeters);
+    await open.save();
+    emitToAdmins(io, 'deviation-updated', {
+      incidentId: open._id,
+      busId: bus._id,
+      point,
+      maxDistanceMeters: open.maxDistanceMeters
+    });
+    return open;
+  }
+
+  // Off-route points separated by a silence are not a sustained deviation
+  const previous = pendingDeviations.get(busKey) || [];
+  const isContinued = previous.length > 0 && now - previous[previous.length - 1].timestamp <= minOffRouteMs();
+  const pending = [...(isContinued ? previous : []), point];
+  // Frequent fixes could grow the list without bound; keep where it started and the latest
+  if (pending.length > MAX_PENDING_POINTS) {
+    pending.splice(1, pending.length - MAX_PENDING_POINTS);
+  }
+
+  if (now - pending[0].timestamp < minOffRouteMs()) {
+    pendingDeviations.set(busKey, pending);
+    return null;
+  }
+
+  pendingDeviations.delete(busKey);
+  const incident = await DeviationIncident.create({
+    bus: bus._id,
+    route: route._id,
+    startedAt: pending[0].timestamp,
+    corridorMeters: corridor,
+    maxDistanceMeters: Math.max(...pending.map(p => p.distanceMeters)),
+    path: pending
+  });
+
+  emitToAdmins(io, 'deviation-started', {
+    incidentId: incident._id,
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    routeId: route._id,
+    routeName: route.routeName,
+    startedAt: incident.startedAt,
+    corridorMeters: corridor,
+    maxDistanceMeters: incident.maxDistanceMeters,
+    path: incident.path
+  });
+
+  return incident;
+};
+
+module.exports = {
+  distanceFromRoute,
+  processRouteDeviation
+};
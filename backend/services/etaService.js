@@ -0,0 +1,177 @@
+const Bus = require('../models/Bus');
+const LocationHistory = require('../models/LocationHistory');
+const { buildRoutePath, cumulativeDistances, projectOntoPath } = require('../utils/geo');
+
+const DEFAULT_SPEED_KMH = 30; // Typical city bus speed when nothing better is known
+const MIN_SPEED_KMH = 5; // Floor so that a stopped bus does not produce infinite ETAs
+const LIVE_SPEED_MAX_AGE_MS = 2 * 60 * 1000; // Live speed older than this is ignored
+const LIVE_SPEED_WEIGHT = 0.6; // Weight of live speed in the segment the bus is on
+const LIVE_SPEED_DOWNSTREAM_WEIGHT = 0.3; // Weight of live speed in later segments
+const PASSED_STOP_TOLERANCE_KM = 0.05; // A stop this far behind the bus still counts as upcoming
+const HISTORY_DAYS = 7;
+const HISTORY_SAMPLE_LIMIT = 5000;
+const SEGMENT_SPEED_CACHE_MS = 15 * 60 * 1000;
+
+const segmentSpeedCache = new Map();
+
+/**
+ * Geometry of a route with its stops snapped onto it
+ * Routes without waypoints are drawn through their stops.
+ * @param {Object} route - Route with stops populated (stopName, location)
+ * @returns {Object} {path, cumulative, length, stops: [{stop, distanceAlong}]}
+ */
+const getRouteGeometry = (route) => {
+  const routeStops = (route.stops || []).filter(stop => stop && stop.location);
+
+  let path = buildRoutePath(route);
+  if ((!route.waypoints || route.waypoints.length === 0) && routeStops.length > 0) {
+    path = [
+      route.startPoint,
+      ...routeStops.map(stop => stop.location),
+      route.endPoint
+    ]
+      .filter(point => point && typeof point.latitude === 'number' && typeof point.longitude === 'number')
+      .map(point => ({ latitude: point.latitude, longitude: point.longitude }));
+  }
+
+  const cumulative = cumulativeDistances(path);
+  const stops = routeStops
+    .map(stop => ({
+      stop,
+      distanceAlong: projectOntoPath(path, stop.location, cumulative).distanceAlong
+    }))
+    .sort((a, b) => a.distanceAlong - b.distanceAlong);
+
+  return {
+    path,
+    cumulative,
+    length: cumulative[cumulative.length - 1] || 0,
+    stops
+  };
+};
+
+// Index of the stop-to-stop segment containing a distance along the route (-1 before the first stop)
+const segmentIndexAt = (geometry, distanceAlong) => {
+  let index = -1;
+  for (let i = 0; i < geometry.stops.length; i++) {
+    if (geometry.stops[i].distanceAlong <= distanceAlong) index = i;
+  }
+  return index;
+};
+
+/**
+ * Average recorded speed for each stop-to-stop segment of a route
+ * Built from recent location history of the buses serving the route and cached.
+ * @param {Object} route - Route document
+ * @param {Object} geometry - Result of getRouteGeometry(route)
+ * @returns {Promise<Array>} Average speed in km/h per segment (null when unknown)
+ */
+const getHistoricalSegmentSpeeds = async (route, geometry) => {
+  const cacheKey = route._id.toString();
+  const cached = segmentSpeedCache.get(cacheKey);
+  if (cached && Date.now() - cached.computedAt < SEGMENT_SPEED_CACHE_MS) {
+    return cached.speeds;
+  }
+
+  const segmentCount = Math.max(geometry.stops.length - 1, 0);
+  const totals = new Array(segmentCount).fill(0);
+  const counts = new Array(segmentCount).fill(0);
+
+  if (segmentCount > 0 && geometry.path.length > 0) {
+    const busIds = await Bus.find({ route: route._id }).distinct('_id');
+    const samples = await LocationHistory.find({
+      bus: { $in: busIds },
+      timestamp: { $gte: new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+      speed: { $gte: 1 },
+      rejectionReason: null
+    })
+      .sort({ timestamp: -1 })
+      .limit(HISTORY_SAMPLE_LIMIT)
+      .select('latitude longitude speed')
+      .lean();
+
+    samples.forEach(sample => {
+      const projection = projectOntoPath(geometry.path, sample, geometry.cumulative);
+      const segment = segmentIndexAt(geometry, projection.distanceAlong);
+      if (segment >= 0 && segment < segmentCount) {
+        totals[segment] += sample.speed;
+        counts[segment] += 1;
+      }
+    });
+  }
+
+  const speeds = totals.map((total, i) => (counts[i] > 0 ? total / counts[i] : null));
+  segmentSpeedCache.set(cacheKey, { speeds, computedAt: Date.now() });
+  return speeds;
+};
+
+// Expected speed in a segment, blending live bus speed with the historical average
+const blendSpeed = (liveSpeed, historicalSpeed, liveWeight) => {
+  let speed;
+  if (liveSpeed !== null && historicalSpeed !== null) {
+    speed = liveWeight * liveSpeed + (1 - liveWeight) * historicalSpeed;
+  } else if (historicalSpeed !== null) {
+    speed = historicalSpeed;
+  } else if (liveSpeed !== null) {
+    speed = liveSpeed;
+  } else {
+    speed = DEFAULT_SPEED_KMH;
+  }
+  return Math.max(speed, MIN_SPEED_KMH);
+};
+
+/**
+ * Predict arrival times of a bus at every upcoming stop of its route
+ * @param {Object} bus - Bus document with currentLocation, speed and lastUpdated
+ * @param {Object} route - Route with stops populated (stopName, location)
+ * @param {Object} options - {now, geometry, segmentSpeeds} to reuse precomputed data
+ * @returns {Promise<Array>} [{stop, distanceKm, etaMinutes, predictedArrival}] in route order
+ */
+const predictBusArrivals = async (bus, route, options = {}) => {
+  const now = options.now || new Date();
+  const geometry = options.geometry || getRouteGeometry(route);
+  if (!bus.currentLocation || geometry.path.length === 0 || geometry.stops.length === 0) {
+    return [];
+  }
+
+  const segmentSpeeds = options.segmentSpeeds || await getHistoricalSegmentSpeeds(route, geometry);
+  const busAlong = projectOntoPath(geometry.path, bus.currentLocation, geometry.cumulative).distanceAlong;
+
+  const isLiveSpeedFresh = bus.lastUpdated && now - new Date(bus.lastUpdated) <= LIVE_SPEED_MAX_AGE_MS;
+  const liveSpeed = isLiveSpeedFresh && bus.speed >= MIN_SPEED_KMH ? bus.speed : null;
+
+  const currentSegment = segmentIndexAt(geometry, busAlong);
+  const predictions = [];
+  let position = busAlong;
+  let elapsedHours = 0;
+
+  geometry.stops.forEach(({ stop, distanceAlong }, i) => {
+    if (distanceAlong < busAlong - PASSED_STOP_TOLERANCE_KM) return;
+
+    // Travel from the current position to this stop, one segment at a time
+    if (distanceAlong > position) {
+      const segment = i - 1;
+      const historicalSpeed = segment >= 0 && segment < segmentSpeeds.length ? segmentSpeeds[segment] : null;
+      const liveWeight = segment === currentSegment ? LIVE_SPEED_WEIGHT : LIVE_SPEED_DOWNSTREAM_WEIGHT;
+      elapsedHours += (distanceAlong - position) / blendSpeed(liveSpeed, historicalSpeed, liveWeight);
+      position = distanceAlong;
+    }
+
+    const etaMinutes = Math.round(elapsedHours * 60);
+    predictions.push({
+      stop,
+      distanceKm: Math.round(Math.max(distanceAlong - busAlong, 0) * 100) / 100,
+      etaMinutes,
+      predictedArrival: new Date(now.getTime() + elapsedHours * 60 * 60 * 1000)
+    });
+  });
+
+  return predictions;
+};
+
+module.exports = {
+  DEFAULT_SPEED_KMH,
+  getRouteGeometry,
+  getHistoricalSegmentSpeeds,
+  predictBusArrivals
+};
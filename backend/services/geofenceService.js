@@ -0,0 +1,103 @@
+const Route = require('../models/Route');
+const StopEvent = require('../models/StopEvent');
+const { haversineDistance } = require('../utils/geo');
+const { routeRoom } = require('./socketRooms');
+
+const DEFAULT_STOP_RADIUS_METERS = 50;
+
+// A bus must get this much further out than the radius to leave a stop, so GPS jitter
+// at the edge does not produce a burst of arrivals and departures
+const EXIT_RADIUS_FACTOR = 1.5;
+
+const radiusKm = (stop) => (stop.radius || DEFAULT_STOP_RADIUS_METERS) / 1000;
+
+/**
+ * Stop of a route whose radius contains a position
+ * @param {Array} stops - Populated stops
+ * @param {Object} location - {latitude, longitude}
+ * @returns {Object|null} Nearest such stop
+ */
+const findStopAt = (stops, location) => {
+  let nearest = null;
+  stops.forEach(stop => {
+    if (!stop.location) return;
+    const distance = haversineDistance(location, stop.location);
+    if (distance <= radiusKm(stop) && (!nearest || distance < nearest.distance)) {
+      nearest = { stop, distance };
+    }
+  });
+  return nearest && nearest.stop;
+};
+
+// Send a stop event to everyone following the bus or riding its route
+const emitStopEvent = (io, event, bus, stop, stopEvent) => {
+  if (!io) return;
+  const rooms = [`bus-${bus._id}`];
+  if (stopEvent.route) rooms.push(routeRoom(stopEvent.route));
+
+  io.to(rooms).emit(event, {
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    routeId: stopEvent.route,
+    routeName: bus.route && bus.route.routeName,
+    stopId: stop._id,
+    stopName: stop.stopName,
+    arrivedAt: stopEvent.arrivedAt,
+    departedAt: stopEvent.departedAt,
+    dwellSeconds: stopEvent.dwellSeconds
+  });
+};
+
+/**
+ * Detect a bus entering or leaving the stops of its route
+ * Records a StopEvent per visit and emits `bus-arrived` and `bus-departed`.
+ * @param {Object} bus - Bus with its new currentLocation and route (id or populated)
+ * @param {Date} now - Time of the position
+ * @param {Object} io - Socket.IO server, or null to record the events without emitting them
+ * @returns {Promise<Object>} {arrived, departed} StopEvents, if any, and the stop arrived at
+ */
+const processBusPosition = async (bus, now, io) => {
+  const result = { arrived: null, departed: null, stop: null };
+  if (!bus.route || !bus.currentLocation) return result;
+
+  const route = await Route.findById(bus.route._id || bus.route).populate('stops', 'stopName location radius');
+  const stops = route ? route.stops : [];
+
+  const stop = findStopAt(stops, bus.currentLocation);
+  const open = await StopEvent.findOne({ bus: bus._id, departedAt: null }).populate('stop', 'stopName location radius');
+
+  // Still at the stop it arrived at, unless it has reached another one
+  if (open && open.stop && route && open.route && open.route.equals(route._id)) {
+    const atSameStop = stop
+      ? stop._id.equals(open.stop._id)
+      : haversineDistance(bus.currentLocation, open.stop.location) <= radiusKm(open.stop) * EXIT_RADIUS_FACTOR;
+    if (atSameStop) return result;
+  }
+
+  if (open) {
+    open.departedAt = now;
+    open.dwellSeconds = Math.max(0, Math.round((now - open.arrivedAt) / 1000));
+    await open.save();
+    result.departed = open;
+    if (open.stop) emitStopEvent(io, 'bus-departed', bus, open.stop, open);
+  }
+
+  if (stop) {
+    const stopEvent = await StopEvent.create({
+      bus: bus._id,
+      route: route._id,
+      stop: stop._id,
+      arrivedAt: now
+    });
+    result.arrived = stopEvent;
+    result.stop = stop;
+    emitStopEvent(io, 'bus-arrived', bus, stop, stopEvent);
+  }
+
+  return result;
+};
+
+module.exports = {
+  findStopAt,
+  processBusPosition
+};
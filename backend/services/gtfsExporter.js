@@ -0,0 +1,328 @@
+const AdmZip = require('adm-zip');
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Trip = require('../models/Trip');
+const { toCsv } = require('../utils/csv');
+const { WEEKDAYS, formatTime, addDays, agencyTimeZone, toZonedTime } = require('../utils/time');
+const { getRouteGeometry } = require('./etaService');
+
+const AGENCY_ID = 'agency';
+const ROUTE_TYPE_BUS = 3;
+const GENERATED_SERVICE_ID = 'daily';
+const GENERATED_SERVICE_START = '06:00:00';
+const GENERATED_SERVICE_END = '22:00:00';
+const MIN_GENERATED_HEADWAY_MINUTES = 5;
+const MAX_GENERATED_HEADWAY_MINUTES = 60;
+const OPTIONAL_FILES = ['shapes.txt', 'calendar_dates.txt', 'frequencies.txt'];
+
+// Exported ids are the GTFS id a document was imported with, or its database id.
+// Both never change, so ids stay stable across exports.
+const gtfsIdOf = (doc) => doc.gtfsId || doc._id.toString();
+
+// GTFS dates are YYYYMMDD
+const toGtfsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Id of the generated headway trip of a route without scheduled trips
+const generatedTripId = (route) => `${gtfsIdOf(route)}-${GENERATED_SERVICE_ID}`;
+
+const byId = (idField) => (a, b) => (a[idField] < b[idField] ? -1 : a[idField] > b[idField] ? 1 : 0);
+
+// Split "Route 101: Station - Campus" into a short and a long name
+const splitRouteName = (routeName) => {
+  const separator = routeName.indexOf(': ');
+  if (separator === -1) return { short: '', long: routeName };
+  return { short: routeName.slice(0, separator), long: routeName.slice(separator + 2) };
+};
+
+/**
+ * Timetable for a route without scheduled trips
+ * Buses run the route back and forth, so a round trip divided by the number of
+ * active buses gives the expected headway.
+ * @param {Object} route - Route with stops populated
+ * @param {number} busCount - Active buses on the route
+ * @returns {Object|null} {stopTimes, headwayMinutes} with stop times of one run starting at midnight
+ */
+const generateRouteTimetable = (route, busCount) => {
+  const geometry = getRouteGeometry(route);
+  if (busCount === 0 || geometry.stops.length < 2 || geometry.length === 0) return null;
+
+  const firstAlong = geometry.stops[0].distanceAlong;
+  const span = geometry.stops[geometry.stops.length - 1].distanceAlong - firstAlong;
+  const stopTimes = geometry.stops.map(({ stop, distanceAlong }, i) => {
+    const fraction = span > 0 ? (distanceAlong - firstAlong) / span : i / (geometry.stops.length - 1);
+    const time = formatTime(Math.round(fraction * route.estimatedDuration) * 60);
+    return { stop, arrivalTime: time, departureTime: time };
+  });
+
+  const headwayMinutes = Math.round(2 * route.estimatedDuration / busCount);
+  return {
+    stopTimes,
+    headwayMinutes: Math.min(Math.max(headwayMinutes, MIN_GENERATED_HEADWAY_MINUTES), MAX_GENERATED_HEADWAY_MINUTES)
+  };
+};
+
+// Stop times of a trip as exported: without removed stops, in order
+const exportedStopTimes = (trip) => [...trip.stopTimes]
+  .filter(stopTime => stopTime.stop)
+  .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+
+// Whether a scheduled trip is exported: its route and calendar exist and it has two stops
+const isExportedTrip = (trip, routeIds, calendarIds) => routeIds.has(trip.route.toString()) &&
+  calendarIds.has(trip.calendar.toString()) && exportedStopTimes(trip).length >= 2;
+
+// Number of active buses per route id
+const countActiveBuses = async () => {
+  const busCounts = await Bus.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$route', count: { $sum: 1 } } }
+  ]);
+  return new Map(busCounts.map(group => [group._id.toString(), group.count]));
+};
+
+// Generated timetables of the routes without exported scheduled trips
+const generatedTimetables = (routes, scheduledRoutes, activeBuses) => routes
+  .filter(route => !scheduledRoutes.has(route._id.toString()))
+  .map(route => ({ route, timetable: generateRouteTimetable(route, activeBuses.get(route._id.toString()) || 0) }))
+  .filter(({ timetable }) => timetable);
+
+/**
+ * Routes the export gives a generated headway trip
+ * @param {Array} routes - Routes with stops populated
+ * @returns {Promise<Set>} Ids of the routes among them that have a generated trip
+ */
+const getGeneratedTripRoutes = async (routes) => {
+  const routeIds = new Set(routes.map(route => route._id.toString()));
+  const [calendars, trips, activeBuses] = await Promise.all([
+    ServiceCalendar.find().select('_id').lean(),
+    Trip.find({ route: { $in: [...routeIds] } })
+      .select('route calendar stopTimes')
+      .populate('stopTimes.stop', '_id')
+      .lean(),
+    countActiveBuses()
+  ]);
+
+  const calendarIds = new Set(calendars.map(calendar => calendar._id.toString()));
+  const scheduledRoutes = new Set(trips
+    .filter(trip => isExportedTrip(trip, routeIds, calendarIds))
+    .map(trip => trip.route.toString()));
+  return new Set(generatedTimetables(routes, scheduledRoutes, activeBuses).map(({ route }) => route._id.toString()));
+};
+
+// Route geometry for shapes.txt, without repeated points
+const routeShape = (route) => getRouteGeometry(route).path
+  .filter((point, i, path) => i === 0 ||
+    point.latitude !== path[i - 1].latitude || point.longitude !== path[i - 1].longitude);
+
+/**
+ * Build the files of a GTFS feed describing the network
+ * Routes without scheduled trips get a generated headway-based trip when buses serve them.
+ * @param {Object} options - {now}
+ * @returns {Promise<Object>} {[fileName]: {columns, rows}}
+ */
+const buildGtfsFeed = async (options = {}) => {
+  const now = options.now || new Date();
+
+  const [stops, routes, calendars, trips, activeBuses] = await Promise.all([
+    Stop.find().lean(),
+    Route.find().populate('stops', 'stopName location gtfsId').lean(),
+    ServiceCalendar.find().lean(),
+    Trip.find().populate('stopTimes.stop', 'gtfsId').lean(),
+    countActiveBuses()
+  ]);
+
+  const routeIds = new Map(routes.map(route => [route._id.toString(), gtfsIdOf(route)]));
+  const calendarIds = new Map(calendars.map(calendar => [calendar._id.toString(), gtfsIdOf(calendar)]));
+
+  const feed = {
+    'agency.txt': {
+      columns: ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'],
+      rows: [{
+        agency_id: AGENCY_ID,
+        agency_name: process.env.GTFS_AGENCY_NAME || 'City Bus',
+        agency_url: process.env.GTFS_AGENCY_URL || process.env.FRONTEND_URL || 'http://localhost:3000',
+        agency_timezone: agencyTimeZone()
+      }]
+    },
+    'stops.txt': {
+      columns: ['stop_id', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon'],
+      rows: stops.map(stop => ({
+        stop_id: gtfsIdOf(stop),
+        stop_name: stop.stopName,
+        stop_desc: stop.address || '',
+        stop_lat: stop.location.latitude,
+        stop_lon: stop.location.longitude
+      })).sort(byId('stop_id'))
+    },
+    'routes.txt': {
+      columns: ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'],
+      rows: routes.map(route => {
+        const name = splitRouteName(route.routeName);
+        return {
+          route_id: gtfsIdOf(route),
+          agency_id: AGENCY_ID,
+          route_short_name: name.short,
+          route_long_name: name.long,
+          route_type: ROUTE_TYPE_BUS
+        };
+      }).sort(byId('route_id'))
+    },
+    'shapes.txt': {
+      columns: ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+      rows: []
+    },
+    'calendar.txt': {
+      columns: ['service_id', ...WEEKDAYS, 'start_date', 'end_date'],
+      rows: []
+    },
+    'calendar_dates.txt': {
+      columns: ['service_id', 'date', 'exception_type'],
+      rows: []
+    },
+    'trips.txt': {
+      columns: ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id'],
+      rows: []
+    },
+    'stop_times.txt': {
+      columns: ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+      rows: []
+    },
+    'frequencies.txt': {
+      columns: ['trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'],
+      rows: []
+    }
+  };
+
+  // Shapes follow the outbound direction of each route
+  const shapeIds = new Map();
+  [...routes].sort((a, b) => (gtfsIdOf(a) < gtfsIdOf(b) ? -1 : 1)).forEach(route => {
+    const shape = routeShape(route);
+    if (shape.length < 2) return;
+
+    const shapeId = gtfsIdOf(route);
+    shapeIds.set(route._id.toString(), shapeId);
+    shape.forEach((point, i) => {
+      feed['shapes.txt'].rows.push({
+        shape_id: shapeId,
+        shape_pt_lat: point.latitude,
+        shape_pt_lon: point.longitude,
+        shape_pt_sequence: i + 1
+      });
+    });
+  });
+
+  const addCalendar = (serviceId, calendar) => {
+    feed['calendar.txt'].rows.push({
+      service_id: serviceId,
+      ...WEEKDAYS.reduce((days, day) => ({ ...days, [day]: calendar.days && calendar.days[day] ? 1 : 0 }), {}),
+      start_date: toGtfsDate(calendar.startDate),
+      end_date: toGtfsDate(calendar.endDate)
+    });
+    (calendar.exceptions || []).forEach(exception => {
+      feed['calendar_dates.txt'].rows.push({
+        service_id: serviceId,
+        date: toGtfsDate(exception.date),
+        exception_type: exception.type === 'added' ? 1 : 2
+      });
+    });
+  };
+
+  const addTrip = (trip, tripId, routeId, serviceId) => {
+    feed['trips.txt'].rows.push({
+      route_id: routeIds.get(routeId),
+      service_id: serviceId,
+      trip_id: tripId,
+      trip_headsign: trip.headsign || '',
+      direction_id: trip.direction === 'inbound' ? 1 : 0,
+      shape_id: trip.direction === 'inbound' ? '' : shapeIds.get(routeId) || ''
+    });
+    trip.stopTimes.forEach((stopTime, i) => {
+      feed['stop_times.txt'].rows.push({
+        trip_id: tripId,
+        arrival_time: stopTime.arrivalTime,
+        departure_time: stopTime.departureTime,
+        stop_id: gtfsIdOf(stopTime.stop),
+        stop_sequence: i + 1
+      });
+    });
+    (trip.frequencies || []).forEach(frequency => {
+      feed['frequencies.txt'].rows.push({
+        trip_id: tripId,
+        start_time: frequency.startTime,
+        end_time: frequency.endTime,
+        headway_secs: frequency.headwayMinutes * 60,
+        exact_times: 0
+      });
+    });
+  };
+
+  [...calendars].sort((a, b) => (gtfsIdOf(a) < gtfsIdOf(b) ? -1 : 1))
+    .forEach(calendar => addCalendar(gtfsIdOf(calendar), calendar));
+
+  // Scheduled trips
+  const scheduledRoutes = new Set();
+  trips
+    .filter(trip => isExportedTrip(trip, routeIds, calendarIds))
+    .map(trip => ({ ...trip, stopTimes: exportedStopTimes(trip) }))
+    .sort((a, b) => (gtfsIdOf(a) < gtfsIdOf(b) ? -1 : 1))
+    .forEach(trip => {
+      scheduledRoutes.add(trip.route.toString());
+      addTrip(trip, gtfsIdOf(trip), trip.route.toString(), calendarIds.get(trip.calendar.toString()));
+    });
+
+  // Generated headway trips for routes that only have buses
+  const generatedTrips = generatedTimetables(routes, scheduledRoutes, activeBuses);
+
+  if (generatedTrips.length > 0) {
+    const today = toZonedTime(now, agencyTimeZone()).dateKey;
+    addCalendar(GENERATED_SERVICE_ID, {
+      days: WEEKDAYS.reduce((days, day) => ({ ...days, [day]: true }), {}),
+      startDate: today,
+      endDate: addDays(today, 365)
+    });
+
+    generatedTrips.forEach(({ route, timetable }) => {
+      const routeId = route._id.toString();
+      addTrip({
+        headsign: route.endPoint && route.endPoint.name,
+        direction: 'outbound',
+        stopTimes: timetable.stopTimes,
+        frequencies: [{
+          startTime: GENERATED_SERVICE_START,
+          endTime: GENERATED_SERVICE_END,
+          headwayMinutes: timetable.headwayMinutes
+        }]
+      }, generatedTripId(route), routeId, GENERATED_SERVICE_ID);
+    });
+  }
+
+  return feed;
+};
+
+/**
+ * Export the network as a GTFS zip archive
+ * @param {Object} options - {now}
+ * @returns {Promise<Buffer>} Contents of the zip file
+ */
+const exportGtfsZip = async (options = {}) => {
+  const feed = await buildGtfsFeed(options);
+  const zip = new AdmZip();
+
+  Object.entries(feed)
+    .filter(([fileName, file]) => file.rows.length > 0 || !OPTIONAL_FILES.includes(fileName))
+    .forEach(([fileName, file]) => {
+      zip.addFile(fileName, Buffer.from(toCsv(file.columns, file.rows), 'utf8'));
+    });
+
+  return zip.toBuffer();
+};
+
+module.exports = {
+  gtfsIdOf,
+  toGtfsDate,
+  generatedTripId,
+  getGeneratedTripRoutes,
+  buildGtfsFeed,
+  exportGtfsZip
+};
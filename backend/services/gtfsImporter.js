@@ -0,0 +1,563 @@
+const AdmZip = require('adm-zip');
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Trip = require('../models/Trip');
+const { parseCsv } = require('../utils/csv');
+const { WEEKDAYS, parseTime, formatTime } = require('../utils/time');
+const { haversineDistance } = require('../utils/geo');
+const { DEFAULT_SPEED_KMH } = require('./etaService');
+
+const FEED_FILES = {
+  stops: 'stops.txt',
+  routes: 'routes.txt',
+  trips: 'trips.txt',
+  stopTimes: 'stop_times.txt',
+  calendar: 'calendar.txt',
+  calendarDates: 'calendar_dates.txt',
+  shapes: 'shapes.txt',
+  frequencies: 'frequencies.txt'
+};
+const REQUIRED_FILES = ['stops', 'routes', 'trips', 'stopTimes'];
+const MAX_WARNINGS = 100;
+const BULK_WRITE_BATCH_SIZE = 1000;
+
+/**
+ * Read the files of a GTFS zip archive
+ * @param {Buffer} buffer - Contents of the zip file
+ * @returns {Object} {feed} with one array of records per file, or {error}
+ */
+const readGtfsZip = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    return { error: 'File is not a valid zip archive' };
+  }
+
+  // Feeds are sometimes zipped with an enclosing folder
+  const entriesByName = new Map();
+  entries
+    .filter(entry => !entry.isDirectory)
+    .forEach(entry => entriesByName.set(entry.entryName.split('/').pop(), entry));
+
+  const missing = REQUIRED_FILES.filter(key => !entriesByName.has(FEED_FILES[key]));
+  if (missing.length > 0) {
+    return { error: `GTFS feed is missing ${missing.map(key => FEED_FILES[key]).join(', ')}` };
+  }
+  if (!entriesByName.has(FEED_FILES.calendar) && !entriesByName.has(FEED_FILES.calendarDates)) {
+    return { error: 'GTFS feed must contain calendar.txt or calendar_dates.txt' };
+  }
+
+  const feed = {};
+  Object.entries(FEED_FILES).forEach(([key, fileName]) => {
+    const entry = entriesByName.get(fileName);
+    feed[key] = entry ? parseCsv(entry.getData().toString('utf8')) : [];
+  });
+
+  return { feed };
+};
+
+// GTFS dates are YYYYMMDD; null if the value is not a valid date
+const gtfsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Stop times of a trip with missing times interpolated between timepoints
+ * @param {Array} rows - stop_times.txt records of one trip
+ * @returns {Array|null} [{stop, arrival, departure}] in seconds, or null if the first or last time is missing
+ */
+const interpolateStopTimes = (rows) => {
+  const stopTimes = [...rows]
+    .sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence))
+    .map(row => {
+      const arrival = parseTime(row.arrival_time || row.departure_time);
+      const departure = parseTime(row.departure_time || row.arrival_time);
+      return { stop: row.stop_id, arrival, departure };
+    });
+
+  if (stopTimes.length === 0 || stopTimes[0].arrival === null ||
+      stopTimes[stopTimes.length - 1].arrival === null) {
+    return null;
+  }
+
+  let previous = 0;
+  for (let i = 1; i < stopTimes.length; i++) {
+    if (stopTimes[i].arrival === null) continue;
+
+    // Spread the time between two timepoints evenly over the stops in between
+    const gap = i - previous;
+    for (let j = previous + 1; j < i; j++) {
+      const time = Math.round(stopTimes[previous].departure +
+        (stopTimes[i].arrival - stopTimes[previous].departure) * (j - previous) / gap);
+      stopTimes[j].arrival = time;
+      stopTimes[j].departure = time;
+    }
+    previous = i;
+  }
+
+  return stopTimes;
+};
+
+/**
+ * Convert a GTFS feed into the documents this application stores
+ * References between documents are kept as GTFS ids until the import is applied.
+ * @param {Object} feed - Result of readGtfsZip
+ * @returns {Object} {stops, calendars, routes, trips, warnings}
+ */
+const buildImportData = (feed) => {
+  const warnings = [];
+  let warningCount = 0;
+  const warn = (message) => {
+    warningCount++;
+    if (warnings.length < MAX_WARNINGS) warnings.push(message);
+  };
+
+  // Stops (stations and entrances are not boarding locations)
+  const stops = [];
+  const stopsById = new Map();
+  feed.stops.forEach(row => {
+    if (row.location_type && row.location_type !== '0') return;
+
+    const latitude = parseFloat(row.stop_lat);
+    const longitude = parseFloat(row.stop_lon);
+    if (isNaN(latitude) || isNaN(longitude)) {
+      warn(`Stop ${row.stop_id} has no valid coordinates and was skipped`);
+      return;
+    }
+
+    const stop = {
+      gtfsId: row.stop_id,
+      stopName: row.stop_name || row.stop_id,
+      location: { latitude, longitude },
+      address: row.stop_desc || ''
+    };
+    stops.push(stop);
+    stopsById.set(stop.gtfsId, stop);
+  });
+
+  // Service calendars, including services defined only by calendar_dates.txt
+  const calendarsById = new Map();
+  feed.calendar.forEach(row => {
+    const startDate = gtfsDate(row.start_date);
+    const endDate = gtfsDate(row.end_date);
+    if (!startDate || !endDate) {
+      warn(`Service ${row.service_id} does not have valid start and end dates and was skipped`);
+      return;
+    }
+
+    calendarsById.set(row.service_id, {
+      gtfsId: row.service_id,
+      name: row.service_id,
+      days: WEEKDAYS.reduce((days, day) => ({ ...days, [day]: row[day] === '1' }), {}),
+      startDate,
+      endDate,
+      exceptions: []
+    });
+  });
+  const datesOnly = new Set();
+  feed.calendarDates.forEach(row => {
+    const date = gtfsDate(row.date);
+    if (!date) {
+      warn(`Date ${row.date || '(empty)'} of service ${row.service_id} is not valid and was skipped`);
+      return;
+    }
+
+    let calendar = calendarsById.get(row.service_id);
+    if (!calendar) {
+      datesOnly.add(row.service_id);
+      calendar = {
+        gtfsId: row.service_id,
+        name: row.service_id,
+        days: WEEKDAYS.reduce((days, day) => ({ ...days, [day]: false }), {}),
+        startDate: date,
+        endDate: date,
+        exceptions: []
+      };
+      calendarsById.set(row.service_id, calendar);
+    }
+
+    if (datesOnly.has(row.service_id)) {
+      if (date < calendar.startDate) calendar.startDate = date;
+      if (date > calendar.endDate) calendar.endDate = date;
+    }
+    calendar.exceptions.push({ date, type: row.exception_type === '1' ? 'added' : 'removed' });
+  });
+  const calendars = [...calendarsById.values()];
+
+  // Shapes
+  const shapePoints = new Map();
+  feed.shapes.forEach(row => {
+    if (!shapePoints.has(row.shape_id)) shapePoints.set(row.shape_id, []);
+    shapePoints.get(row.shape_id).push({
+      latitude: parseFloat(row.shape_pt_lat),
+      longitude: parseFloat(row.shape_pt_lon),
+      sequence: parseInt(row.shape_pt_sequence)
+    });
+  });
+  shapePoints.forEach((points, shapeId) => {
+    shapePoints.set(shapeId, points
+      .filter(point => !isNaN(point.latitude) && !isNaN(point.longitude))
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(point => ({ latitude: point.latitude, longitude: point.longitude })));
+  });
+
+  // Stop times and frequencies grouped by trip
+  const stopTimeRows = new Map();
+  feed.stopTimes.forEach(row => {
+    if (!stopTimeRows.has(row.trip_id)) stopTimeRows.set(row.trip_id, []);
+    stopTimeRows.get(row.trip_id).push(row);
+  });
+
+  const frequencyRows = new Map();
+  feed.frequencies.forEach(row => {
+    if (!frequencyRows.has(row.trip_id)) frequencyRows.set(row.trip_id, []);
+    frequencyRows.get(row.trip_id).push({
+      startTime: formatTime(parseTime(row.start_time)),
+      endTime: formatTime(parseTime(row.end_time)),
+      headwayMinutes: Math.max(1, Math.round(parseInt(row.headway_secs) / 60))
+    });
+  });
+
+  // Trips
+  const routeIds = new Set(feed.routes.map(row => row.route_id));
+  const trips = [];
+  feed.trips.forEach(row => {
+    if (!routeIds.has(row.route_id)) {
+      warn(`Trip ${row.trip_id} references unknown route ${row.route_id} and was skipped`);
+      return;
+    }
+    if (!calendarsById.has(row.service_id)) {
+      warn(`Trip ${row.trip_id} references unknown service ${row.service_id} and was skipped`);
+      return;
+    }
+
+    const stopTimes = interpolateStopTimes(stopTimeRows.get(row.trip_id) || []);
+    if (!stopTimes || stopTimes.length < 2) {
+      warn(`Trip ${row.trip_id} does not have usable stop times and was skipped`);
+      return;
+    }
+
+    const unknownStop = stopTimes.find(stopTime => !stopsById.has(stopTime.stop));
+    if (unknownStop) {
+      warn(`Trip ${row.trip_id} references unknown stop ${unknownStop.stop} and was skipped`);
+      return;
+    }
+
+    const lastStop = stopsById.get(stopTimes[stopTimes.length - 1].stop);
+    trips.push({
+      gtfsId: row.trip_id,
+      route: row.route_id,
+      calendar: row.service_id,
+      headsign: row.trip_headsign || lastStop.stopName,
+      direction: row.direction_id === '1' ? 'inbound' : 'outbound',
+      stopTimes: stopTimes.map((stopTime, i) => ({
+        stop: stopTime.stop,
+        arrivalTime: formatTime(stopTime.arrival),
+        departureTime: formatTime(stopTime.departure),
+        sequence: i
+      })),
+      frequencies: frequencyRows.get(row.trip_id) || [],
+      shapeId: row.shape_id || null
+    });
+  });
+
+  // Routes, described by their longest outbound trip
+  const tripsByRoute = new Map();
+  trips.forEach(trip => {
+    if (!tripsByRoute.has(trip.route)) tripsByRoute.set(trip.route, []);
+    tripsByRoute.get(trip.route).push(trip);
+  });
+
+  const routes = [];
+  feed.routes.forEach(row => {
+    const routeTrips = tripsByRoute.get(row.route_id) || [];
+    if (routeTrips.length === 0) {
+      warn(`Route ${row.route_id} has no usable trips and was skipped`);
+      return;
+    }
+
+    const representative = routeTrips.reduce((best, trip) => {
+      const score = (t) => t.stopTimes.length + (t.direction === 'outbound' ? 0.5 : 0);
+      return score(trip) > score(best) ? trip : best;
+    });
+
+    const routeStops = [...new Set(representative.stopTimes.map(stopTime => stopTime.stop))]
+      .map(stopId => stopsById.get(stopId));
+    const firstStop = routeStops[0];
+    const lastStop = routeStops[routeStops.length - 1];
+
+    const shape = representative.shapeId ? shapePoints.get(representative.shapeId) : null;
+    if (representative.shapeId && !shape) {
+      warn(`Shape ${representative.shapeId} of route ${row.route_id} not found, route drawn through its stops`);
+    }
+    const path = shape && shape.length > 1 ? shape : routeStops.map(stop => stop.location);
+
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+      distance += haversineDistance(path[i - 1], path[i]);
+    }
+
+    const firstDeparture = parseTime(representative.stopTimes[0].departureTime);
+    const lastArrival = parseTime(representative.stopTimes[representative.stopTimes.length - 1].arrivalTime);
+    const scheduledMinutes = Math.round((lastArrival - firstDeparture) / 60);
+
+    routes.push({
+      gtfsId: row.route_id,
+      routeName: [row.route_short_name, row.route_long_name].filter(Boolean).join(': ') || row.route_id,
+      startPoint: { name: firstStop.stopName, ...firstStop.location },
+      endPoint: { name: lastStop.stopName, ...lastStop.location },
+      waypoints: shape && shape.length > 1
+        ? shape.map((point, i) => ({ latitude: point.latitude, longitude: point.longitude, order: i }))
+        : [],
+      stops: routeStops.map(stop => stop.gtfsId),
+      distance: roundTo(distance, 1),
+      estimatedDuration: scheduledMinutes > 0
+        ? scheduledMinutes
+        : Math.max(1, Math.round(distance / DEFAULT_SPEED_KMH * 60))
+    });
+  });
+
+  if (warningCount > warnings.length) {
+    warnings.push(`...and ${warningCount - warnings.length} more warnings`);
+  }
+
+  return {
+    stops,
+    calendars,
+    routes,
+    trips: trips.map(({ shapeId, ...trip }) => trip),
+    warnings
+  };
+};
+
+// Comparable form of each document type, with references expressed as GTFS ids
+const signatures = {
+  stop: (stop) => ({
+    stopName: stop.stopName,
+    latitude: stop.location.latitude,
+    longitude: stop.location.longitude,
+    address: stop.address || ''
+  }),
+  calendar: (calendar) => ({
+    name: calendar.name,
+    days: WEEKDAYS.map(day => Boolean(calendar.days && calendar.days[day])),
+    startDate: calendar.startDate,
+    endDate: calendar.endDate,
+    exceptions: (calendar.exceptions || []).map(e => [e.date, e.type])
+  }),
+  route: (route, resolve) => ({
+    routeName: route.routeName,
+    startPoint: [route.startPoint.name, route.startPoint.latitude, route.startPoint.longitude],
+    endPoint: [route.endPoint.name, route.endPoint.latitude, route.endPoint.longitude],
+    waypoints: (route.waypoints || []).map(w => [w.latitude, w.longitude, w.order]),
+    stops: route.stops.map(resolve.stop),
+    distance: route.distance,
+    estimatedDuration: route.estimatedDuration
+  }),
+  trip: (trip, resolve) => ({
+    route: resolve.route(trip.route),
+    calendar: resolve.calendar(trip.calendar),
+    headsign: trip.headsign || '',
+    direction: trip.direction,
+    stopTimes: trip.stopTimes.map(st => [resolve.stop(st.stop), st.arrivalTime, st.departureTime]),
+    frequencies: (trip.frequencies || []).map(f => [f.startTime, f.endTime, f.headwayMinutes])
+  })
+};
+
+const diffDocuments = (incoming, existing, signature, resolveIncoming, resolveExisting) => {
+  const existingByGtfsId = new Map(existing.map(doc => [doc.gtfsId, doc]));
+  const incomingIds = new Set(incoming.map(doc => doc.gtfsId));
+  const diff = { create: [], update: [], unchanged: 0, stale: [] };
+
+  incoming.forEach(doc => {
+    const current = existingByGtfsId.get(doc.gtfsId);
+    if (!current) {
+      diff.create.push(doc.gtfsId);
+    } else if (JSON.stringify(signature(doc, resolveIncoming)) !==
+               JSON.stringify(signature(current, resolveExisting))) {
+      diff.update.push(doc.gtfsId);
+    } else {
+      diff.unchanged++;
+    }
+  });
+
+  diff.stale = existing.filter(doc => !incomingIds.has(doc.gtfsId)).map(doc => doc.gtfsId);
+  return diff;
+};
+
+/**
+ * Compare import data with previously imported documents
+ * This is the dry-run report; nothing is written.
+ * @param {Object} data - Result of buildImportData
+ * @returns {Promise<Object>} {stops, calendars, routes, trips, warnings}, each with create/update/unchanged/stale
+ */
+const planImport = async (data) => {
+  const imported = { gtfsId: { $exists: true } };
+  const [stops, calendars, routes, trips] = await Promise.all([
+    Stop.find(imported).lean(),
+    ServiceCalendar.find(imported).lean(),
+    Route.find(imported).lean(),
+    Trip.find(imported).lean()
+  ]);
+
+  // Existing references point at documents; translate them back to GTFS ids
+  const gtfsIdLookup = (docs) => {
+    const ids = new Map(docs.map(doc => [doc._id.toString(), doc.gtfsId]));
+    return (id) => ids.get(id.toString()) || id.toString();
+  };
+  const identity = (id) => id;
+  const resolveIncoming = { stop: identity, route: identity, calendar: identity };
+  const resolveExisting = {
+    stop: gtfsIdLookup(stops),
+    route: gtfsIdLookup(routes),
+    calendar: gtfsIdLookup(calendars)
+  };
+
+  return {
+    stops: diffDocuments(data.stops, stops, signatures.stop, resolveIncoming, resolveExisting),
+    calendars: diffDocuments(data.calendars, calendars, signatures.calendar, resolveIncoming, resolveExisting),
+    routes: diffDocuments(data.routes, routes, signatures.route, resolveIncoming, resolveExisting),
+    trips: diffDocuments(data.trips, trips, signatures.trip, resolveIncoming, resolveExisting),
+    warnings: [...data.warnings]
+  };
+};
+
+// Insert or update documents by GTFS id and return a map of GTFS id to document id
+const upsertByGtfsId = async (Model, docs, changedIds) => {
+  const changed = new Set(changedIds);
+  const operations = docs
+    .filter(doc => changed.has(doc.gtfsId))
+    .map(doc => ({
+      updateOne: {
+        filter: { gtfsId: doc.gtfsId },
+        update: { $set: doc },
+        upsert: true
+      }
+    }));
+
+  for (let i = 0; i < operations.length; i += BULK_WRITE_BATCH_SIZE) {
+    await Model.bulkWrite(operations.slice(i, i + BULK_WRITE_BATCH_SIZE), { ordered: false });
+  }
+
+  const saved = await Model.find({ gtfsId: { $in: docs.map(doc => doc.gtfsId) } }).select('_id gtfsId').lean();
+  return new Map(saved.map(doc => [doc.gtfsId, doc._id]));
+};
+
+/**
+ * Write import data to the database
+ * @param {Object} data - Result of buildImportData
+ * @param {Object} plan - Result of planImport for the same data
+ * @param {Object} options - {prune} to remove previously imported documents missing from the feed
+ * @returns {Promise<Object>} The plan, with the GTFS ids actually removed under "removed"
+ */
+const applyImport = async (data, plan, options = {}) => {
+  const changedIds = (diff) => [...diff.create, ...diff.update];
+
+  const stopIds = await upsertByGtfsId(Stop, data.stops, changedIds(plan.stops));
+  const calendarIds = await upsertByGtfsId(ServiceCalendar, data.calendars, changedIds(plan.calendars));
+
+  const routeIds = await upsertByGtfsId(Route, data.routes.map(route => ({
+    ...route,
+    stops: route.stops.map(stopId => stopIds.get(stopId))
+  })), changedIds(plan.routes));
+
+  await upsertByGtfsId(Trip, data.trips.map(trip => ({
+    ...trip,
+    route: routeIds.get(trip.route),
+    calendar: calendarIds.get(trip.calendar),
+    stopTimes: trip.stopTimes.map(stopTime => ({ ...stopTime, stop: stopIds.get(stopTime.stop) }))
+  })), changedIds(plan.trips));
+
+  // Keep the routes served by each imported stop in sync with the route stop lists
+  const stopLinks = data.routes.map(route => {
+    const routeId = routeIds.get(route.gtfsId);
+    const routeStopIds = route.stops.map(stopId => stopIds.get(stopId));
+    return [
+      { updateMany: { filter: { _id: { $in: routeStopIds } }, update: { $addToSet: { routes: routeId } } } },
+      { updateMany: { filter: { routes: routeId, _id: { $nin: routeStopIds } }, update: { $pull: { routes: routeId } } } }
+    ];
+  }).flat();
+  if (stopLinks.length > 0) {
+    await Stop.bulkWrite(stopLinks);
+  }
+
+  const removed = { stops: [], calendars: [], routes: [], trips: [] };
+  if (options.prune) {
+    await Trip.deleteMany({ gtfsId: { $in: plan.trips.stale } });
+    removed.trips = plan.trips.stale;
+
+    // Routes still used by buses are kept
+    const staleRoutes = await Route.find({ gtfsId: { $in: plan.routes.stale } }).select('_id gtfsId');
+    for (const route of staleRoutes) {
+      if (await Bus.exists({ route: route._id })) {
+        plan.warnings.push(`Route ${route.gtfsId} is no longer in the feed but still has buses and was kept`);
+        continue;
+      }
+      await Trip.deleteMany({ route: route._id });
+      await Stop.updateMany({ routes: route._id }, { $pull: { routes: route._id } });
+      await Route.deleteOne({ _id: route._id });
+      removed.routes.push(route.gtfsId);
+    }
+
+    const staleStops = await Stop.find({ gtfsId: { $in: plan.stops.stale } }).select('_id gtfsId');
+    const staleStopIds = staleStops.map(stop => stop._id);
+    await Route.updateMany({ stops: { $in: staleStopIds } }, { $pull: { stops: { $in: staleStopIds } } });
+    await Trip.updateMany(
+      { 'stopTimes.stop': { $in: staleStopIds } },
+      { $pull: { stopTimes: { stop: { $in: staleStopIds } } } }
+    );
+    await Stop.deleteMany({ _id: { $in: staleStopIds } });
+    removed.stops = staleStops.map(stop => stop.gtfsId);
+
+    // Calendars still used by trips are kept
+    const staleCalendars = await ServiceCalendar.find({ gtfsId: { $in: plan.calendars.stale } }).select('_id gtfsId');
+    for (const calendar of staleCalendars) {
+      if (await Trip.exists({ calendar: calendar._id })) {
+        plan.warnings.push(`Service ${calendar.gtfsId} is no longer in the feed but is still used by trips and was kept`);
+        continue;
+      }
+      await ServiceCalendar.deleteOne({ _id: calendar._id });
+      removed.calendars.push(calendar.gtfsId);
+    }
+  }
+
+  return { ...plan, removed };
+};
+
+/**
+ * Import a GTFS zip archive
+ * @param {Buffer} buffer - Contents of the zip file
+ * @param {Object} options - {dryRun, prune}
+ * @returns {Promise<Object>} {report} describing the changes, or {error} if the feed cannot be read
+ */
+const importGtfs = async (buffer, options = {}) => {
+  const { feed, error } = readGtfsZip(buffer);
+  if (error) return { error };
+
+  const data = buildImportData(feed);
+  const plan = await planImport(data);
+  if (options.dryRun) {
+    return { report: plan };
+  }
+
+  return { report: await applyImport(data, plan, options) };
+};
+
+module.exports = {
+  readGtfsZip,
+  buildImportData,
+  planImport,
+  applyImport,
+  importGtfs
+};
@@ -0,0 +1,189 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const Bus = require('../models/Bus');
+const TripRecord = require('../models/TripRecord');
+const { getRouteGeometry, getHistoricalSegmentSpeeds, predictBusArrivals } = require('./etaService');
+const { getScheduledRuns, matchScheduledRun } = require('./scheduleService');
+const { gtfsIdOf, toGtfsDate, generatedTripId, getGeneratedTripRoutes } = require('./gtfsExporter');
+const { formatTime } = require('../utils/time');
+
+const { FeedMessage, FeedHeader, VehiclePosition, TripDescriptor } = GtfsRealtimeBindings.transit_realtime;
+
+const GTFS_REALTIME_VERSION = '2.0';
+const VEHICLE_MAX_AGE_MS = 10 * 60 * 1000; // Buses silent for longer are left out of the feed
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Active buses with a recent position, with their route and its stops
+const getLiveBuses = (now) => Bus.find({
+  status: 'active',
+  lastUpdated: { $gte: new Date(now.getTime() - VEHICLE_MAX_AGE_MS) }
+})
+  .populate({
+    path: 'route',
+    select: 'routeName startPoint endPoint waypoints stops estimatedDuration gtfsId',
+    populate: { path: 'stops', select: 'stopName location gtfsId' }
+  });
+
+const feedHeader = (now) => ({
+  gtfsRealtimeVersion: GTFS_REALTIME_VERSION,
+  incrementality: FeedHeader.Incrementality.FULL_DATASET,
+  timestamp: toSeconds(now)
+});
+
+/**
+ * Predicted arrivals of live buses at their upcoming stops
+ * Buses on the same route share its geometry and historical speeds, so each route's
+ * history is read once per feed rather than once per bus.
+ * @param {Array} buses - From getLiveBuses()
+ * @param {Date} now
+ * @returns {Promise<Array>} [{bus, predictions}]
+ */
+const predictLiveBuses = async (buses, now) => {
+  const routeData = new Map();
+  const results = [];
+  for (const bus of buses.filter(b => b.route && b.currentLocation)) {
+    const routeId = bus.route._id.toString();
+    if (!routeData.has(routeId)) {
+      const geometry = getRouteGeometry(bus.route);
+      routeData.set(routeId, {
+        geometry,
+        segmentSpeeds: await getHistoricalSegmentSpeeds(bus.route, geometry)
+      });
+    }
+
+    const predictions = await predictBusArrivals(bus, bus.route, { now, ...routeData.get(routeId) });
+    results.push({ bus, predictions });
+  }
+  return results;
+};
+
+/**
+ * Trip descriptors of live buses matching the static GTFS export
+ * A bus on a scheduled route is matched to the scheduled run it is operating, by its
+ * predicted arrival at its next stop and the direction of its open trip, if any; a run
+ * is given to one bus only. Buses that match no run run the route's generated headway
+ * trip without a fixed schedule where the export has one, and only name their route
+ * otherwise, as the static feed has no trip to point them to.
+ * @param {Array} liveBuses - From predictLiveBuses()
+ * @param {Date} now
+ * @returns {Promise<Map>} Bus id to TripDescriptor fields
+ */
+const describeTrips = async (liveBuses, now) => {
+  const routes = [...new Map(liveBuses.map(({ bus }) => [bus.route._id.toString(), bus.route])).values()];
+  const [runs, generatedRoutes, openTrips] = await Promise.all([
+    getScheduledRuns(routes.map(route => route._id.toString()), now),
+    getGeneratedTripRoutes(routes),
+    TripRecord.find({ bus: { $in: liveBuses.map(({ bus }) => bus._id) }, status: { $in: ['in_progress', 'paused'] } })
+      .select('bus direction')
+  ]);
+  const directions = new Map(openTrips.map(trip => [trip.bus.toString(), trip.direction]));
+  // Runs with fewer than two stops are left out of the static export
+  const exportedRuns = runs.filter(run => run.stops.length >= 2);
+
+  const claimed = new Set();
+  const descriptors = new Map();
+  liveBuses.forEach(({ bus, predictions: [nextStop] }) => {
+    const route = bus.route;
+    const candidates = exportedRuns.filter(run =>
+      run.trip.route.toString() === route._id.toString() && !claimed.has(run));
+    const run = nextStop && matchScheduledRun(candidates, nextStop.stop._id, nextStop.predictedArrival, {
+      direction: directions.get(bus._id.toString())
+    });
+
+    if (run) {
+      claimed.add(run);
+      descriptors.set(bus._id.toString(), {
+        tripId: gtfsIdOf(run.trip),
+        routeId: gtfsIdOf(route),
+        startDate: toGtfsDate(run.dateKey),
+        startTime: formatTime(run.startTime),
+        scheduleRelationship: TripDescriptor.ScheduleRelationship.SCHEDULED
+      });
+    } else if (generatedRoutes.has(route._id.toString())) {
+      descriptors.set(bus._id.toString(), {
+        tripId: generatedTripId(route),
+        routeId: gtfsIdOf(route),
+        scheduleRelationship: TripDescriptor.ScheduleRelationship.UNSCHEDULED
+      });
+    } else {
+      descriptors.set(bus._id.toString(), { routeId: gtfsIdOf(route) });
+    }
+  });
+  return descriptors;
+};
+
+/**
+ * VehiclePositions feed of all live buses
+ * @param {Object} options - {now}
+ * @returns {Promise<Object>} FeedMessage
+ */
+const buildVehiclePositions = async (options = {}) => {
+  const now = options.now || new Date();
+  const liveBuses = await predictLiveBuses(await getLiveBuses(now), now);
+  const trips = await describeTrips(liveBuses, now);
+
+  const entities = liveBuses.map(({ bus, predictions: [nextStop] }) => ({
+    id: bus._id.toString(),
+    vehicle: {
+      trip: trips.get(bus._id.toString()),
+      vehicle: { id: bus._id.toString(), label: bus.busNumber },
+      position: {
+        latitude: bus.currentLocation.latitude,
+        longitude: bus.currentLocation.longitude,
+        speed: (bus.speed || 0) / 3.6 // km/h to m/s
+      },
+      currentStatus: nextStop && nextStop.distanceKm === 0
+        ? VehiclePosition.VehicleStopStatus.STOPPED_AT
+        : VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO,
+      stopId: nextStop ? gtfsIdOf(nextStop.stop) : undefined,
+      timestamp: toSeconds(bus.lastUpdated)
+    }
+  }));
+
+  return FeedMessage.fromObject({ header: feedHeader(now), entity: entities });
+};
+
+/**
+ * TripUpdates feed with predicted arrivals of live buses at their upcoming stops
+ * @param {Object} options - {now}
+ * @returns {Promise<Object>} FeedMessage
+ */
+const buildTripUpdates = async (options = {}) => {
+  const now = options.now || new Date();
+  const liveBuses = await predictLiveBuses(await getLiveBuses(now), now);
+  const trips = await describeTrips(liveBuses, now);
+
+  const entities = liveBuses
+    .filter(({ predictions }) => predictions.length > 0)
+    .map(({ bus, predictions }) => ({
+      id: bus._id.toString(),
+      tripUpdate: {
+        trip: trips.get(bus._id.toString()),
+        vehicle: { id: bus._id.toString(), label: bus.busNumber },
+        stopTimeUpdate: predictions.map(prediction => ({
+          stopId: gtfsIdOf(prediction.stop),
+          arrival: { time: toSeconds(prediction.predictedArrival) }
+        })),
+        timestamp: toSeconds(bus.lastUpdated)
+      }
+    }));
+
+  return FeedMessage.fromObject({ header: feedHeader(now), entity: entities });
+};
+
+// Protocol buffer encoding of a feed
+const encodeFeed = (message) => Buffer.from(FeedMessage.encode(message).finish());
+
+// Readable form of a feed for debugging
+const feedToJson = (message) => FeedMessage.toObject(message, {
+  enums: String,
+  longs: Number,
+  defaults: false
+});
+
+module.exports = {
+  buildVehiclePositions,
+  buildTripUpdates,
+  encodeFeed,
+  feedToJson
+};
@@ -0,0 +1,128 @@
+const { haversineDistance } = require('../utils/geo');
+
+const DEFAULT_MAX_ACCURACY_METERS = 50;
+const DEFAULT_MAX_SPEED_KMH = 120;
+const DEFAULT_JITTER_METERS = 20;
+const DEFAULT_KALMAN_PROCESS_NOISE = 3; // m/s, how quickly a bus can drift from its estimate
+const DEFAULT_ACCURACY_METERS = 10; // Assumed for clients that do not report accuracy
+const STATIONARY_SPEED_KMH = 3;
+// After this many implausible fixes in a row the last accepted one is the outlier
+// (e.g. the bus was moved while its driver app was closed), so the filter starts over
+const MAX_CONSECUTIVE_SPEED_REJECTS = 5;
+
+const filterSettings = () => ({
+  maxAccuracyMeters: parseFloat(process.env.LOCATION_MAX_ACCURACY_METERS) || DEFAULT_MAX_ACCURACY_METERS,
+  maxSpeedKmh: parseFloat(process.env.LOCATION_MAX_SPEED_KMH) || DEFAULT_MAX_SPEED_KMH,
+  jitterMeters: process.env.LOCATION_JITTER_METERS !== undefined
+    ? parseFloat(process.env.LOCATION_JITTER_METERS) || 0
+    : DEFAULT_JITTER_METERS,
+  kalman: process.env.LOCATION_KALMAN_SMOOTHING === 'true',
+  kalmanProcessNoise: parseFloat(process.env.LOCATION_KALMAN_PROCESS_NOISE) || DEFAULT_KALMAN_PROCESS_NOISE
+});
+
+const hasAccuracy = (fix) => typeof fix.accuracy === 'number' && Number.isFinite(fix.accuracy);
+
+const startState = (fix, timestamp) => ({
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  timestamp,
+  variance: Math.pow(hasAccuracy(fix) ? fix.accuracy : DEFAULT_ACCURACY_METERS, 2),
+  speedRejects: 0
+});
+
+/**
+ * Decide what a new GPS fix of a bus counts for
+ * Fixes pass through four stages: a poorly located or out of order fix is rejected,
+ * a fix the bus could not have driven to in time is rejected, the position is
+ * optionally smoothed with a Kalman filter, and a fix within jitter distance of the
+ * last accepted position of a slow bus is treated as the bus standing still. Only
+ * accepted fixes move the bus and add to its trip distance.
+ * @param {Object} fix - {latitude, longitude, accuracy (m), speed (km/h), timestamp}
+ * @param {Object|null} previous - Filter state after the last accepted fix
+ * @param {Object} settings - From filterSettings()
+ * @returns {Object} {accepted, reason, position, distance (km), speed (km/h), state};
+ *   reason is 'low_accuracy', 'out_of_order', 'implausible_speed' or 'stationary_jitter' when not accepted
+ */
+const filterLocationFix = (fix, previous, settings = filterSettings()) => {
+  const timestamp = new Date(fix.timestamp);
+  const reportedSpeed = typeof fix.speed === 'number' && Number.isFinite(fix.speed) ? fix.speed : null;
+  const reject = (reason, state = previous) => ({ accepted: false, reason, position: null, distance: 0, speed: 0, state });
+
+  if (hasAccuracy(fix) && fix.accuracy > settings.maxAccuracyMeters) {
+    return reject('low_accuracy');
+  }
+
+  if (!previous || typeof previous.latitude !== 'number' || !previous.timestamp) {
+    return {
+      accepted: true,
+      reason: null,
+      position: { latitude: fix.latitude, longitude: fix.longitude },
+      distance: 0,
+      speed: reportedSpeed || 0,
+      state: startState(fix, timestamp)
+    };
+  }
+
+  // Fixes uploaded late can only extend the trip, not be inserted into its past
+  const seconds = (timestamp - new Date(previous.timestamp)) / 1000;
+  if (seconds < 0) {
+    return reject('out_of_order');
+  }
+
+  const rawDistance = haversineDistance(previous, fix);
+  const jitterMeters = Math.max(settings.jitterMeters, hasAccuracy(fix) ? fix.accuracy : 0);
+
+  // Tiny moves over tiny intervals imply absurd speeds, so only judge real moves
+  const impliedSpeed = seconds > 0 ? rawDistance / (seconds / 3600) : Infinity;
+  if (rawDistance * 1000 > jitterMeters && impliedSpeed > settings.maxSpeedKmh) {
+    const speedRejects = (previous.speedRejects || 0) + 1;
+    if (speedRejects < MAX_CONSECUTIVE_SPEED_REJECTS) {
+      return reject('implausible_speed', { ...previous, speedRejects });
+    }
+
+    // Start over from this fix without counting the jump toward the trip
+    return {
+      accepted: true,
+      reason: null,
+      position: { latitude: fix.latitude, longitude: fix.longitude },
+      distance: 0,
+      speed: reportedSpeed || 0,
+      state: startState(fix, timestamp)
+    };
+  }
+
+  let position = { latitude: fix.latitude, longitude: fix.longitude };
+  let variance = previous.variance || Math.pow(DEFAULT_ACCURACY_METERS, 2);
+  if (settings.kalman) {
+    // Constant-position model: uncertainty grows with time, each fix pulls the
+    // estimate toward it in proportion to how accurate it is
+    variance += seconds * Math.pow(settings.kalmanProcessNoise, 2);
+    const measurementVariance = Math.pow(hasAccuracy(fix) ? Math.max(fix.accuracy, 1) : DEFAULT_ACCURACY_METERS, 2);
+    const gain = variance / (variance + measurementVariance);
+    position = {
+      latitude: previous.latitude + gain * (fix.latitude - previous.latitude),
+      longitude: previous.longitude + gain * (fix.longitude - previous.longitude)
+    };
+    variance = (1 - gain) * variance;
+  }
+
+  const distance = haversineDistance(previous, position);
+  const isSlow = reportedSpeed === null || reportedSpeed < STATIONARY_SPEED_KMH;
+  if (distance * 1000 < jitterMeters && isSlow) {
+    return reject('stationary_jitter', { ...previous, speedRejects: 0 });
+  }
+
+  return {
+    accepted: true,
+    reason: null,
+    position,
+    distance,
+    speed: reportedSpeed !== null ? reportedSpeed : (seconds > 0 ? distance / (seconds / 3600) : 0),
+    state: { ...position, timestamp, variance, speedRejects: 0 }
+  };
+};
+
+module.exports = {
+  filterSettings,
+  filterLocationFix
+};
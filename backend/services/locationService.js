@@ -0,0 +1,251 @@
+const Bus = require('../models/Bus');
+const LocationHistory = require('../models/LocationHistory');
+const DriverAssignment = require('../models/DriverAssignment');
+const { calculateBearing } = require('../utils/geo');
+const { filterLocationFix } = require('./locationFilter');
+const { pushStopArrival } = require('./pushService');
+const { processBusPosition } = require('./geofenceService');
+const { evaluateArrivalAlerts } = require('./arrivalAlertService');
+const { processRouteDeviation } = require('./deviationService');
+const { recordTripProgress } = require('./tripService');
+const { rolloverSettings, serviceDateOf, rollOverBus, addLateDistance } = require('./dailyRollover');
+
+// Older fixes come from a driver's offline queue and are too late for rider alerts
+const LIVE_FIX_MAX_AGE_MS = 60 * 1000;
+// A bus slower than this between two fixes is idling; longer gaps in reporting are not counted
+const IDLE_SPEED_KMH = 3;
+const MAX_IDLE_GAP_MS = 5 * 60 * 1000;
+
+// Send a bus's current position to everyone following it
+const broadcastBusLocation = (io, bus) => {
+  io.to(`bus-${bus._id}`).emit('bus-location-update', {
+    busId: bus._id,
+    location: bus.currentLocation,
+    speed: bus.speed,
+    timestamp: bus.lastUpdated,
+    tripStats: bus.tripStats
+  });
+};
+
+/**
+ * Check whether a user may report positions for a bus
+ * Admins may update any bus, drivers only the bus of their current shift.
+ * @param {Object} user - User document
+ * @param {string} busId
+ * @param {Date} at
+ * @returns {Promise<boolean>}
+ */
+const canUpdateBusLocation = async (user, busId, at = new Date()) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (user.role !== 'driver') return false;
+
+  const assignment = await DriverAssignment.findActive(user._id, busId, at);
+  return Boolean(assignment);
+};
+
+// Filter state of a bus, falling back to its last position for buses tracked before filtering
+const previousFix = (bus) => {
+  if (bus.locationFilter && bus.locationFilter.timestamp) return bus.locationFilter.toObject();
+
+  const lastLocation = bus.tripStats.lastLocation;
+  if (!lastLocation || lastLocation.latitude === undefined || !bus.lastUpdated) return null;
+  return { latitude: lastLocation.latitude, longitude: lastLocation.longitude, timestamp: bus.lastUpdated };
+};
+
+/**
+ * Record a new position of a bus and broadcast it
+ * Used by both the REST endpoint and the Socket.IO event. The fix goes through the
+ * location filter first: rejected fixes are only kept in the location history, and a
+ * bus whose fix is stationary jitter stays where it was. A fix uploaded late is
+ * processed at the time it was taken, and does not notify riders.
+ * @param {Object} update - {busId, latitude, longitude, speed, heading, accuracy, timestamp}
+ * @param {Object} context - {user, source ('api' | 'socket'), io}
+ * @returns {Promise<Object>} {bus, rejectionReason}, or {error, status} if the update was refused
+ */
+const updateBusLocation = async (update, context) => {
+  const { busId, latitude, longitude, speed, heading, accuracy } = update;
+  const receivedAt = new Date();
+  // A device clock running ahead must not put fixes in the future
+  const now = update.timestamp && new Date(update.timestamp) < receivedAt ? new Date(update.timestamp) : receivedAt;
+  const isLive = receivedAt - now <= LIVE_FIX_MAX_AGE_MS;
+
+  if (!(await canUpdateBusLocation(context.user, busId, now))) {
+    return context.user && context.user.role === 'driver'
+      ? { status: 403, error: 'You are not assigned to this bus for the current shift' }
+      : { status: 403, error: 'Access denied. Driver or admin role required.' };
+  }
+
+  // Get current bus data to calculate distance
+  const currentBus = await Bus.findById(busId).select('+locationFilter');
+
+  if (!currentBus) {
+    return { status: 404, error: 'Bus not found' };
+  }
+
+  const fix = filterLocationFix(
+    { latitude, longitude, accuracy, speed, timestamp: now },
+    previousFix(currentBus)
+  );
+
+  // Keep a breadcrumb of every reported position, including the ones that were rejected
+  const recordFix = (recordedSpeed, recordedHeading) => LocationHistory.create({
+    bus: currentBus._id,
+    timestamp: now,
+    latitude,
+    longitude,
+    speed: recordedSpeed,
+    heading: recordedHeading,
+    accuracy,
+    source: context.source,
+    rejectionReason: fix.reason
+  });
+
+  // An outlier changes nothing about the bus; the bus is read back without its filter state
+  if (!fix.accepted && fix.reason !== 'stationary_jitter') {
+    const bus = await Bus.findByIdAndUpdate(currentBus._id, { locationFilter: fix.state }, { new: true })
+      .populate('route', 'routeName');
+    await recordFix(speed > 0 ? speed : 0, heading);
+    return { bus, rejectionReason: fix.reason };
+  }
+
+  // A standing bus keeps its position and only confirms it is still there
+  const lastLocation = currentBus.tripStats.lastLocation;
+  const position = fix.accepted ? fix.position : {
+    latitude: currentBus.currentLocation.latitude,
+    longitude: currentBus.currentLocation.longitude
+  };
+
+  let calculatedHeading = heading;
+  if (calculatedHeading === undefined && fix.distance > 0 && lastLocation && lastLocation.latitude !== undefined) {
+    calculatedHeading = calculateBearing(lastLocation, position);
+  }
+
+  // Distance counts toward the service day the fix was taken on: a new day closes the
+  // previous one first, and a late fix of a closed day goes to that day's summary
+  const settings = rolloverSettings();
+  const fixDate = serviceDateOf(now, settings);
+  const busDate = currentBus.tripStats.serviceDate;
+  if (busDate && fixDate > busDate) {
+    await rollOverBus(currentBus._id, fixDate, receivedAt, settings);
+  }
+  const isLateForDay = Boolean(busDate) && fixDate < busDate;
+
+  // Update bus with new location and trip stats; counters are incremented so that a
+  // concurrent rollover is not overwritten
+  const updateData = {
+    $set: {
+      currentLocation: position,
+      lastUpdated: currentBus.lastUpdated > now ? currentBus.lastUpdated : now,
+      speed: fix.speed,
+      locationFilter: fix.state,
+      'tripStats.lastLocation': position
+    },
+    $inc: {
+      'tripStats.distanceToday': isLateForDay ? 0 : fix.distance,
+      'tripStats.totalDistance': fix.distance
+    }
+  };
+  if (!busDate) {
+    updateData.$set['tripStats.serviceDate'] = fixDate;
+  }
+
+  const bus = await Bus.findByIdAndUpdate(
+    busId,
+    updateData,
+    { new: true }
+  ).populate('route', 'routeName');
+
+  await recordFix(fix.speed, calculatedHeading);
+  const sincePrevious = now - currentBus.lastUpdated;
+  const isIdle = (currentBus.speed || 0) < IDLE_SPEED_KMH && fix.speed < IDLE_SPEED_KMH &&
+    sincePrevious > 0 && sincePrevious <= MAX_IDLE_GAP_MS;
+  await recordTripProgress(bus._id, {
+    distance: fix.distance,
+    idleSeconds: isIdle ? Math.round(sincePrevious / 1000) : 0,
+    at: now
+  });
+  if (isLateForDay) {
+    await addLateDistance(currentBus, fixDate, fix.distance);
+  }
+
+  // Emit real-time update via Socket.IO; a batch broadcasts its final position once
+  if (isLive && !context.deferBroadcast) {
+    broadcastBusLocation(context.io, bus);
+  }
+
+  // Stop arrivals and departures; a failure here must not lose the position itself.
+  // Events of an old fix are recorded without telling riders and admins minutes late.
+  const io = isLive ? context.io : null;
+  let stopVisit = { arrived: null };
+  try {
+    stopVisit = await processBusPosition(bus, now, io);
+  } catch (error) {
+    console.error('Error processing stop geofences:', error);
+  }
+
+  try {
+    await processRouteDeviation(bus, now, io);
+  } catch (error) {
+    console.error('Error checking route deviation:', error);
+  }
+
+  if (isLive) {
+    // Riders tracking the bus get a push even when the app is closed
+    if (stopVisit.arrived) {
+      pushStopArrival(bus, stopVisit.stop).catch(error => console.error('Error pushing stop arrival:', error));
+    }
+
+    // Riders' "N minutes away" alerts, checked against the predicted arrival times
+    evaluateArrivalAlerts(bus, now, context.io).catch(error => console.error('Error evaluating arrival alerts:', error));
+  }
+
+  return { bus, rejectionReason: fix.reason };
+};
+
+/**
+ * Record a batch of positions of a bus, e.g. uploaded from a driver's offline queue
+ * Fixes are processed oldest first by the time they were taken, so trip stats do
+ * not depend on the order in which they arrived. Riders get the final position only,
+ * rather than a replay of the whole batch.
+ * @param {string} busId
+ * @param {Array} fixes - [{latitude, longitude, speed, heading, accuracy, timestamp}]
+ * @param {Object} context - {user, source, io}
+ * @returns {Promise<Object>} {bus, accepted, rejected: {reason: count}}, or {error, status}
+ *   if no fix was allowed
+ */
+const updateBusLocations = async (busId, fixes, context) => {
+  const ordered = [...fixes].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const summary = { bus: null, accepted: 0, rejected: {} };
+  let refused = null;
+
+  for (const fix of ordered) {
+    const result = await updateBusLocation({ ...fix, busId }, { ...context, deferBroadcast: true });
+    if (result.status === 404) return result;
+
+    // A driver's shift may start or end in the middle of the batch
+    if (result.error) {
+      refused = result;
+      summary.rejected.not_assigned = (summary.rejected.not_assigned || 0) + 1;
+      continue;
+    }
+
+    summary.bus = result.bus;
+    if (result.rejectionReason) {
+      summary.rejected[result.rejectionReason] = (summary.rejected[result.rejectionReason] || 0) + 1;
+    } else {
+      summary.accepted++;
+    }
+  }
+
+  if (!summary.bus) return refused;
+
+  broadcastBusLocation(context.io, summary.bus);
+  return summary;
+};
+
+module.exports = {
+  canUpdateBusLocation,
+  updateBusLocation,
+  updateBusLocations
+};
@@ -0,0 +1,138 @@
+const Notification = require('../models/Notification');
+const NotificationReceipt = require('../models/NotificationReceipt');
+const { emitToNotificationRooms } = require('./socketRooms');
+const { dispatchNotification } = require('./notificationService');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+// Move a date forward by a number of recurrence periods (calendar days, so DST safe)
+const addPeriods = (date, recurrence, count) => {
+  const next = new Date(date);
+  const days = (recurrence.frequency === 'weekly' ? 7 : 1) * (recurrence.interval || 1);
+  next.setDate(next.getDate() + days * count);
+  return next;
+};
+
+/**
+ * Next window of a recurring notice that has not ended yet
+ * Windows missed while the server was down are skipped.
+ * @param {Object} notification - Notification with publishAt, expiresAt and recurrence
+ * @param {Date} now
+ * @returns {Object|null} {publishAt, expiresAt}, or null if the notice does not recur again
+ */
+const nextOccurrence = (notification, now = new Date()) => {
+  const { recurrence, publishAt, expiresAt } = notification;
+  if (!recurrence || recurrence.frequency === 'none' || !expiresAt) return null;
+
+  let periods = 1;
+  while (addPeriods(expiresAt, recurrence, periods) <= now) periods++;
+
+  const next = {
+    publishAt: addPeriods(publishAt, recurrence, periods),
+    expiresAt: addPeriods(expiresAt, recurrence, periods)
+  };
+  if (recurrence.until && next.publishAt > recurrence.until) return null;
+
+  return next;
+};
+
+// Make a notice visible and broadcast it to its targets
+const publishNotification = async (io, notification, now) => {
+  // Each occurrence of a recurring notice starts out unread
+  await NotificationReceipt.deleteMany({ notification: notification._id });
+
+  notification.status = 'published';
+  notification.isActive = true;
+  notification.time = now;
+  await notification.save();
+
+  const populatedNotification = await Notification.findById(notification._id)
+    .populate('sentBy', 'name')
+    .populate('targetRoutes', 'routeName');
+  await dispatchNotification(io, populatedNotification);
+};
+
+// Hide a notice and schedule its next occurrence, if any
+const retireNotification = async (io, notification, now) => {
+  const wasPublished = notification.status === 'published';
+  const next = nextOccurrence(notification, now);
+
+  notification.isActive = false;
+  if (next) {
+    notification.publishAt = next.publishAt;
+    notification.expiresAt = next.expiresAt;
+    notification.status = 'scheduled';
+  } else {
+    notification.status = 'expired';
+  }
+  await notification.save();
+
+  if (wasPublished) {
+    emitToNotificationRooms(io, notification, 'notification-expired', { notificationId: notification._id });
+  }
+};
+
+/**
+ * Publish notices whose time has come and retire expired ones
+ * @param {Object} io - Socket.IO server
+ * @param {Date} now
+ * @returns {Promise<Object>} {published, retired} counts
+ */
+const runNotificationSchedule = async (io, now = new Date()) => {
+  let published = 0;
+  let retired = 0;
+
+  const due = await Notification.find({ status: 'scheduled', publishAt: { $lte: now } });
+  for (const notification of due) {
+    if (notification.expiresAt && notification.expiresAt <= now) {
+      // The whole window passed while the scheduler was not running
+      await retireNotification(io, notification, now);
+      retired++;
+    } else {
+      await publishNotification(io, notification, now);
+      published++;
+    }
+  }
+
+  const expired = await Notification.find({ status: 'published', expiresAt: { $lte: now } });
+  for (const notification of expired) {
+    await retireNotification(io, notification, now);
+    retired++;
+  }
+
+  return { published, retired };
+};
+
+/**
+ * Run the notification schedule periodically
+ * @param {Object} io - Socket.IO server
+ * @param {number} intervalSeconds
+ * @returns {Object} Interval handle
+ */
+const startNotificationScheduler = (io, intervalSeconds = DEFAULT_INTERVAL_SECONDS) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { published, retired } = await runNotificationSchedule(io);
+      if (published || retired) {
+        console.log(`Notification scheduler: ${published} published, ${retired} retired`);
+      }
+    } catch (error) {
+      console.error('Notification scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalSeconds * 1000);
+};
+
+module.exports = {
+  nextOccurrence,
+  runNotificationSchedule,
+  startNotificationScheduler
+};
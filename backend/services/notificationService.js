@@ -0,0 +1,101 @@
+const Notification = require('../models/Notification');
+const NotificationReceipt = require('../models/NotificationReceipt');
+const { getRiderRouteIds, getNotificationRecipientIds } = require('./riderService');
+const { emitNotification } = require('./socketRooms');
+const { queueNotificationDeliveries } = require('./deliveryService');
+const { pushNotification } = require('./pushService');
+
+/**
+ * Query filter for the notifications a user can see
+ * A notification is visible when it targets the user, targets one of the routes the
+ * user rides (see getRiderRouteIds), or targets nobody at all.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Mongoose filter
+ */
+const visibleNotificationsFilter = async (user) => ({
+  $or: [
+    { targetUsers: user._id },
+    { targetRoutes: { $in: await getRiderRouteIds(user._id) } },
+    { targetUsers: { $size: 0 }, targetRoutes: { $size: 0 } } // Global notifications
+  ],
+  isActive: true
+});
+
+/**
+ * Ids of the given notifications that a user has read
+ * @param {Object} user - User document
+ * @param {Array} notificationIds
+ * @returns {Promise<Set>} Notification ids as strings
+ */
+const getReadNotificationIds = async (user, notificationIds) => {
+  const receipts = await NotificationReceipt.find({
+    user: user._id,
+    notification: { $in: notificationIds }
+  }).select('notification');
+
+  return new Set(receipts.map(receipt => receipt.notification.toString()));
+};
+
+/**
+ * Number of visible notifications a user has not read yet
+ * @param {Object} user - User document
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = async (user) => {
+  const notificationIds = await Notification.find(await visibleNotificationsFilter(user)).distinct('_id');
+  const readCount = await NotificationReceipt.countDocuments({
+    user: user._id,
+    notification: { $in: notificationIds }
+  });
+
+  return notificationIds.length - readCount;
+};
+
+/**
+ * Record that a user has read some notifications
+ * Notifications that were already read keep their original read time.
+ * @param {Object} user - User document
+ * @param {Array} notificationIds
+ */
+const markNotificationsRead = async (user, notificationIds) => {
+  if (notificationIds.length === 0) return;
+
+  const now = new Date();
+  await NotificationReceipt.bulkWrite(notificationIds.map(notificationId => ({
+    updateOne: {
+      filter: { user: user._id, notification: notificationId },
+      update: { $setOnInsert: { readAt: now } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Send a notification that has just gone live to its recipients
+ * Open browsers get it over the socket and subscribed devices by Web Push; email,
+ * SMS and webhook deliveries are queued for the users who turned those channels on.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} notification - Populated notification
+ */
+const dispatchNotification = async (io, notification) => {
+  emitNotification(io, notification);
+
+  try {
+    await queueNotificationDeliveries(notification);
+  } catch (error) {
+    console.error('Error queueing notification deliveries:', error);
+  }
+
+  // The notification has already gone out, so a failed push must not fail the dispatch
+  getNotificationRecipientIds(notification)
+    .then(recipientIds => pushNotification(recipientIds, notification))
+    .catch(error => console.error('Error pushing notification:', error));
+};
+
+module.exports = {
+  visibleNotificationsFilter,
+  getReadNotificationIds,
+  getUnreadCount,
+  markNotificationsRead,
+  dispatchNotification
+};
@@ -0,0 +1,104 @@
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+
+const PUSH_TTL_SECONDS = 60 * 60;
+
+let vapidConfigured = false;
+
+// Whether VAPID keys are set; without them no pushes are sent
+const isPushConfigured = () => {
+  if (vapidConfigured) return true;
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) return false;
+
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  vapidConfigured = true;
+  return true;
+};
+
+/**
+ * Push a message to every subscribed device of some users
+ * Subscriptions the push service reports as gone are removed.
+ * @param {Array|null} userIds - Recipients, or null for every subscribed user
+ * @param {Object} payload - {title, body, tag, url, requireInteraction, actions}
+ * @returns {Promise<number>} Number of devices the message was accepted for
+ */
+const sendPushToUsers = async (userIds, payload) => {
+  if (!isPushConfigured()) return 0;
+
+  const subscriptions = await PushSubscription.find(userIds ? { user: { $in: userIds } } : {});
+  const body = JSON.stringify(payload);
+
+  const results = await Promise.allSettled(subscriptions.map(subscription =>
+    webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      body,
+      { TTL: PUSH_TTL_SECONDS }
+    )
+  ));
+
+  const expired = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') return;
+    if ([404, 410].includes(result.reason.statusCode)) {
+      expired.push(subscriptions[index]._id);
+    } else {
+      console.error('Web Push error:', result.reason.message);
+    }
+  });
+  if (expired.length > 0) {
+    await PushSubscription.deleteMany({ _id: { $in: expired } });
+  }
+
+  return results.length - expired.length;
+};
+
+/**
+ * Push a service notice to its recipients
+ * @param {Array|null} userIds - Recipients, or null for everyone
+ * @param {Object} notification
+ */
+const pushNotification = (userIds, notification) => {
+  const routes = (notification.targetRoutes || []).map(route => route.routeName).filter(Boolean);
+
+  return sendPushToUsers(userIds, {
+    title: routes.length > 0 ? `Service notice: ${routes.join(', ')}` : 'Service notice',
+    body: notification.message,
+    tag: `notification-${notification._id}`,
+    url: '/dashboard',
+    requireInteraction: ['alert', 'warning'].includes(notification.type)
+  });
+};
+
+/**
+ * Push to the riders tracking a bus that it has arrived at a stop
+ * Driven by the stop geofences, so riders get one push per visit.
+ * @param {Object} bus - Bus with busNumber and route (populated with routeName)
+ * @param {Object} stop - Stop the bus arrived at
+ */
+const pushStopArrival = async (bus, stop) => {
+  if (!isPushConfigured()) return;
+
+  const riderIds = await User.find({ trackedBuses: bus._id }).distinct('_id');
+  if (riderIds.length === 0) return;
+
+  await sendPushToUsers(riderIds, {
+    title: `Bus ${bus.busNumber} at ${stop.stopName}`,
+    body: bus.route && bus.route.routeName ? `Route: ${bus.route.routeName}` : 'Arriving now!',
+    tag: `bus-${bus._id}-stop-${stop._id}`,
+    url: '/tracking',
+    requireInteraction: true,
+    actions: [{ action: 'view', title: 'View on Map' }]
+  });
+};
+
+module.exports = {
+  isPushConfigured,
+  sendPushToUsers,
+  pushNotification,
+  pushStopArrival
+};
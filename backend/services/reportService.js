@@ -0,0 +1,184 @@
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const TripRecord = require('../models/TripRecord');
+const DailyBusSummary = require('../models/DailyBusSummary');
+const { summarizeTrip } = require('./tripService');
+const { rolloverSettings, serviceDateOf, serviceDayBounds } = require('./dailyRollover');
+const { addDays } = require('../utils/time');
+
+const GROUP_BY = ['bus', 'route', 'driver', 'date'];
+const MAX_REPORT_DAYS = 366;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Service dates covered by a report, defaulting to the current month so far
+ * @param {string} from - "YYYY-MM-DD", optional
+ * @param {string} to - "YYYY-MM-DD", optional
+ * @param {Object} settings - From rolloverSettings()
+ * @returns {Object} {from, to, days}, or {error, status}
+ */
+const reportRange = (from, to, settings = rolloverSettings()) => {
+  const today = serviceDateOf(new Date(), settings);
+  const end = to || today;
+  const start = from || `${end.slice(0, 8)}01`;
+
+  if (start > end) {
+    return { status: 400, error: 'from must be before to' };
+  }
+
+  const days = [start];
+  while (days[days.length - 1] < end) {
+    if (days.length >= MAX_REPORT_DAYS) {
+      return { status: 400, error: `A report covers at most ${MAX_REPORT_DAYS} days` };
+    }
+    days.push(addDays(days[days.length - 1], 1));
+  }
+
+  return { from: start, to: end, days };
+};
+
+const emptyRow = (id, name) => ({
+  id,
+  name,
+  tripCount: 0,
+  distance: 0,
+  recordedDistance: 0,
+  serviceSeconds: 0,
+  idleSeconds: 0,
+  stopsServed: 0
+});
+
+// Hours and average speed from the summed seconds and kilometres of a row
+const finishRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  tripCount: row.tripCount,
+  distance: round(row.distance, 1),
+  recordedDistance: round(row.recordedDistance, 1),
+  serviceHours: round(row.serviceSeconds / 3600, 2),
+  idleHours: round(row.idleSeconds / 3600, 2),
+  averageSpeed: row.serviceSeconds > 0 ? round(row.distance / (row.serviceSeconds / 3600), 1) : 0,
+  stopsServed: row.stopsServed
+});
+
+// Display names of the buses, routes or drivers a report is grouped by
+const groupNames = async (groupBy, ids) => {
+  const known = ids.filter(Boolean);
+  let documents = [];
+  if (groupBy === 'bus') documents = await Bus.find({ _id: { $in: known } }).select('busNumber');
+  if (groupBy === 'route') documents = await Route.find({ _id: { $in: known } }).select('routeName');
+  if (groupBy === 'driver') documents = await User.find({ _id: { $in: known } }).select('name');
+
+  return new Map(documents.map(doc => [String(doc._id), doc.busNumber || doc.routeName || doc.name]));
+};
+
+/**
+ * Fleet utilization over a range of service dates, per bus, route, driver or date
+ * Trip figures come from recorded trips started in the range: distance on trips,
+ * hours in service (excluding pauses), idle time on trips and average speed.
+ * Recorded distance is everything the buses drove, on a trip or not, as archived by
+ * the daily rollover plus the counters of the day still in progress; it is not
+ * known per driver.
+ * @param {Object} params - {groupBy, from, to, bus, route, driver}
+ * @returns {Promise<Object>} {groupBy, from, to, timeZone, rows, totals}, or {error, status}
+ */
+const buildFleetReport = async ({ groupBy, from, to, bus, route, driver }) => {
+  const settings = rolloverSettings();
+  const range = reportRange(from, to, settings);
+  if (range.error) return range;
+
+  const now = new Date();
+  const today = serviceDateOf(now, settings);
+  const rows = new Map();
+  const rowFor = (id, name) => {
+    const key = String(id);
+    if (!rows.has(key)) rows.set(key, emptyRow(id, name));
+    return rows.get(key);
+  };
+
+  if (groupBy === 'date') {
+    range.days.forEach(date => rowFor(date, date));
+  }
+
+  const tripFilter = {
+    startedAt: {
+      $gte: serviceDayBounds(range.from, settings).start,
+      $lt: serviceDayBounds(range.to, settings).end
+    }
+  };
+  if (bus) tripFilter.bus = bus;
+  if (route) tripFilter.route = route;
+  if (driver) tripFilter.driver = driver;
+
+  const trips = await TripRecord.find(tripFilter)
+    .select('bus route driver startedAt endedAt pauses distance idleSeconds stopsServed.arrivedAt')
+    .lean();
+
+  for (const trip of trips) {
+    const key = groupBy === 'date' ? serviceDateOf(trip.startedAt, settings) : trip[groupBy];
+    const row = rowFor(key || null, null);
+    row.tripCount += 1;
+    row.distance += trip.distance || 0;
+    row.serviceSeconds += summarizeTrip(trip, now).durationSeconds;
+    row.idleSeconds += trip.idleSeconds || 0;
+    row.stopsServed += trip.stopsServed.length;
+  }
+
+  if (groupBy !== 'driver' && !driver) {
+    const summaryFilter = { date: { $gte: range.from, $lte: range.to } };
+    if (bus) summaryFilter.bus = bus;
+    if (route) summaryFilter.route = route;
+
+    const summaries = await DailyBusSummary.find(summaryFilter).select('bus route date distance').lean();
+    for (const summary of summaries) {
+      rowFor(summary[groupBy] || null, null).recordedDistance += summary.distance;
+    }
+
+    // The current day is only archived once it is rolled over
+    if (today >= range.from && today <= range.to) {
+      const busFilter = { 'tripStats.serviceDate': today };
+      if (bus) busFilter._id = bus;
+      if (route) busFilter.route = route;
+
+      const buses = await Bus.find(busFilter).select('route tripStats.distanceToday').lean();
+      for (const current of buses) {
+        const key = groupBy === 'date' ? today : groupBy === 'bus' ? current._id : current.route;
+        rowFor(key || null, null).recordedDistance += current.tripStats.distanceToday || 0;
+      }
+    }
+  }
+
+  const names = await groupNames(groupBy, [...rows.values()].map(row => row.id));
+  const unknownName = { bus: 'Removed bus', route: 'No route', driver: 'Not recorded' }[groupBy];
+  const finished = [...rows.values()]
+    .map(row => finishRow({ ...row, name: row.name || names.get(String(row.id)) || unknownName }))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name), undefined, { numeric: true }));
+
+  const totals = finishRow([...rows.values()].reduce((sum, row) => ({
+    ...sum,
+    tripCount: sum.tripCount + row.tripCount,
+    distance: sum.distance + row.distance,
+    recordedDistance: sum.recordedDistance + row.recordedDistance,
+    serviceSeconds: sum.serviceSeconds + row.serviceSeconds,
+    idleSeconds: sum.idleSeconds + row.idleSeconds,
+    stopsServed: sum.stopsServed + row.stopsServed
+  }), emptyRow(null, 'Total')));
+
+  return {
+    groupBy,
+    from: range.from,
+    to: range.to,
+    timeZone: settings.timeZone,
+    rows: finished,
+    totals
+  };
+};
+
+module.exports = {
+  GROUP_BY,
+  MAX_REPORT_DAYS,
+  reportRange,
+  buildFleetReport
+};
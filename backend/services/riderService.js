@@ -0,0 +1,69 @@
+const User = require('../models/User');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+
+/**
+ * Routes a rider is interested in
+ * These are the routes of the buses they track and the routes serving their favourite stops.
+ * @param {string} userId
+ * @returns {Promise<Array>} Route ids as strings
+ */
+const getRiderRouteIds = async (userId) => {
+  const user = await User.findById(userId).select('trackedBuses favoriteStops');
+  if (!user) return [];
+
+  const [busRouteIds, stopRouteIds] = await Promise.all([
+    Bus.find({ _id: { $in: user.trackedBuses } }).distinct('route'),
+    Route.find({ stops: { $in: user.favoriteStops } }).distinct('_id')
+  ]);
+
+  return [...new Set([...busRouteIds, ...stopRouteIds].map(id => id.toString()))];
+};
+
+/**
+ * Users whose route interests include any of the given stops
+ * @param {Array} stopIds
+ * @returns {Promise<Array>} User ids
+ */
+const getStopRiderIds = (stopIds) => User.find({ favoriteStops: { $in: stopIds } }).distinct('_id');
+
+/**
+ * Users who ride any of the given routes
+ * The inverse of getRiderRouteIds.
+ * @param {Array} routeIds
+ * @returns {Promise<Array>} User ids
+ */
+const getRouteRiderIds = async (routeIds) => {
+  const [busIds, stopIds] = await Promise.all([
+    Bus.find({ route: { $in: routeIds } }).distinct('_id'),
+    Route.find({ _id: { $in: routeIds } }).distinct('stops')
+  ]);
+
+  return User.find({
+    $or: [
+      { trackedBuses: { $in: busIds } },
+      { favoriteStops: { $in: stopIds } }
+    ]
+  }).distinct('_id');
+};
+
+/**
+ * Users a notification is meant for
+ * @param {Object} notification - Notification with targetUsers and targetRoutes (ids or populated)
+ * @returns {Promise<Array|null>} User ids, or null when it is for everyone
+ */
+const getNotificationRecipientIds = async (notification) => {
+  const targetUsers = (notification.targetUsers || []).map(user => user._id || user);
+  const targetRoutes = (notification.targetRoutes || []).map(route => route._id || route);
+  if (targetUsers.length === 0 && targetRoutes.length === 0) return null;
+
+  const routeRiders = targetRoutes.length > 0 ? await getRouteRiderIds(targetRoutes) : [];
+  return [...targetUsers, ...routeRiders];
+};
+
+module.exports = {
+  getRiderRouteIds,
+  getRouteRiderIds,
+  getNotificationRecipientIds,
+  getStopRiderIds
+};
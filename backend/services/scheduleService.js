@@ -0,0 +1,227 @@
+const Trip = require('../models/Trip');
+const {
+  parseTime,
+  addDays,
+  weekdayOf,
+  agencyTimeZone,
+  toZonedTime,
+  zonedDateAt
+} = require('../utils/time');
+
+const LATENESS_MATCH_WINDOW_MINUTES = 30;
+
+/**
+ * Check whether a service calendar runs on a date
+ * Exceptions take precedence over the weekday pattern.
+ * @param {Object} calendar - ServiceCalendar document
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+const isServiceActive = (calendar, dateKey) => {
+  if (!calendar) return false;
+
+  const exception = (calendar.exceptions || []).find(e => e.date === dateKey);
+  if (exception) return exception.type === 'added';
+
+  if (dateKey < calendar.startDate || dateKey > calendar.endDate) return false;
+  return Boolean(calendar.days && calendar.days[weekdayOf(dateKey)]);
+};
+
+/**
+ * Expand a trip into its individual runs
+ * Frequency-based trips repeat their stop time pattern every headway.
+ * @param {Object} trip - Trip document
+ * @returns {Array} Runs, each an array of {stop, arrival, departure} in seconds since midnight
+ */
+const expandTripRuns = (trip) => {
+  const pattern = [...trip.stopTimes]
+    .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+    .map(stopTime => ({
+      stop: stopTime.stop,
+      arrival: parseTime(stopTime.arrivalTime),
+      departure: parseTime(stopTime.departureTime)
+    }));
+
+  if (pattern.length === 0) return [];
+  if (!trip.frequencies || trip.frequencies.length === 0) return [pattern];
+
+  const firstDeparture = pattern[0].departure;
+  const runs = [];
+  trip.frequencies.forEach(frequency => {
+    const start = parseTime(frequency.startTime);
+    const end = parseTime(frequency.endTime);
+    const headway = frequency.headwayMinutes * 60;
+
+    for (let runStart = start; runStart < end; runStart += headway) {
+      const shift = runStart - firstDeparture;
+      runs.push(pattern.map(stopTime => ({
+        stop: stopTime.stop,
+        arrival: stopTime.arrival + shift,
+        departure: stopTime.departure + shift
+      })));
+    }
+  });
+  return runs;
+};
+
+// Stop id of a stop time whether or not it is populated
+const stopIdOf = (stopTime) => (stopTime.stop._id || stopTime.stop).toString();
+
+/**
+ * Planned departures from a stop on a service date
+ * @param {string} stopId
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {Object} options - {routeId}
+ * @returns {Promise<Array>} [{trip, route, headsign, direction, scheduledArrival, scheduledDeparture}] sorted by departure
+ */
+const getStopDepartures = async (stopId, dateKey, options = {}) => {
+  const timeZone = agencyTimeZone();
+  const filter = { 'stopTimes.stop': stopId };
+  if (options.routeId) filter.route = options.routeId;
+
+  const trips = await Trip.find(filter)
+    .populate('calendar')
+    .populate('route', 'routeName');
+
+  const departures = [];
+  trips
+    .filter(trip => isServiceActive(trip.calendar, dateKey))
+    .forEach(trip => {
+      expandTripRuns(trip).forEach(run => {
+        const stopTime = run.find(st => stopIdOf(st) === stopId.toString());
+        if (!stopTime) return;
+
+        departures.push({
+          trip: trip._id,
+          route: trip.route,
+          headsign: trip.headsign,
+          direction: trip.direction,
+          scheduledArrival: zonedDateAt(dateKey, stopTime.arrival, timeZone),
+          scheduledDeparture: zonedDateAt(dateKey, stopTime.departure, timeZone)
+        });
+      });
+    });
+
+  return departures.sort((a, b) => a.scheduledDeparture - b.scheduledDeparture);
+};
+
+/**
+ * Finder of the scheduled arrivals of a route at a stop closest to given times
+ * Used to measure how late or early buses are. Each service date's timetable is
+ * loaded once, so many buses can be matched with a couple of queries.
+ * @param {string} routeId
+ * @param {string} stopId
+ * @returns {Function} (at: Date) => Promise<Date|null>, the closest scheduled arrival
+ *   within the matching window of a predicted or actual arrival time
+ */
+const createScheduledArrivalFinder = (routeId, stopId) => {
+  const departuresByDate = new Map();
+  const departuresOn = (dateKey) => {
+    if (!departuresByDate.has(dateKey)) {
+      departuresByDate.set(dateKey, getStopDepartures(stopId, dateKey, { routeId }));
+    }
+    return departuresByDate.get(dateKey);
+  };
+
+  return async (at) => {
+    const today = toZonedTime(at, agencyTimeZone()).dateKey;
+
+    // Trips of the previous service day may run past midnight
+    const [previousDay, currentDay] = await Promise.all([
+      departuresOn(addDays(today, -1)),
+      departuresOn(today)
+    ]);
+
+    let closest = null;
+    [...previousDay, ...currentDay].forEach(departure => {
+      const difference = Math.abs(departure.scheduledArrival - at);
+      if (difference <= LATENESS_MATCH_WINDOW_MINUTES * 60 * 1000 &&
+          (!closest || difference < Math.abs(closest - at))) {
+        closest = departure.scheduledArrival;
+      }
+    });
+
+    return closest;
+  };
+};
+
+/**
+ * Scheduled arrival of a route at a stop closest to a given time
+ * @param {string} routeId
+ * @param {string} stopId
+ * @param {Date} at - Predicted or actual arrival time
+ * @returns {Promise<Date|null>} Closest scheduled arrival within the matching window
+ */
+const findScheduledArrival = (routeId, stopId, at) => createScheduledArrivalFinder(routeId, stopId)(at);
+
+/**
+ * Runs of the scheduled trips of some routes on the service days around a moment
+ * Trips of the previous service day may run past midnight.
+ * @param {Array} routeIds
+ * @param {Date} at
+ * @returns {Promise<Array>} [{trip, dateKey, startTime (seconds since midnight), stops: [{stopId, arrival}]}]
+ */
+const getScheduledRuns = async (routeIds, at) => {
+  const timeZone = agencyTimeZone();
+  const today = toZonedTime(at, timeZone).dateKey;
+  const trips = await Trip.find({ route: { $in: routeIds } }).populate('calendar');
+
+  const runs = [];
+  [addDays(today, -1), today].forEach(dateKey => {
+    trips
+      .filter(trip => isServiceActive(trip.calendar, dateKey))
+      .forEach(trip => {
+        expandTripRuns(trip).forEach(run => {
+          runs.push({
+            trip,
+            dateKey,
+            startTime: run[0].departure,
+            stops: run.map(stopTime => ({
+              stopId: stopIdOf(stopTime),
+              arrival: zonedDateAt(dateKey, stopTime.arrival, timeZone)
+            }))
+          });
+        });
+      });
+  });
+  return runs;
+};
+
+/**
+ * Scheduled run a bus is most likely operating
+ * The run must be scheduled at the bus's next stop within the lateness window of its
+ * predicted arrival there; the closest one wins.
+ * @param {Array} runs - From getScheduledRuns(), of the bus's route
+ * @param {string} stopId - Next stop of the bus
+ * @param {Date} predictedArrival - At that stop
+ * @param {Object} options - {direction} to only consider trips in one direction
+ * @returns {Object|null} Run
+ */
+const matchScheduledRun = (runs, stopId, predictedArrival, options = {}) => {
+  let best = null;
+  let bestDifference = Infinity;
+
+  runs.forEach(run => {
+    if (options.direction && run.trip.direction !== options.direction) return;
+    const stopTime = run.stops.find(st => st.stopId === stopId.toString());
+    if (!stopTime) return;
+
+    const difference = Math.abs(stopTime.arrival - predictedArrival);
+    if (difference <= LATENESS_MATCH_WINDOW_MINUTES * 60 * 1000 && difference < bestDifference) {
+      best = run;
+      bestDifference = difference;
+    }
+  });
+
+  return best;
+};
+
+module.exports = {
+  isServiceActive,
+  expandTripRuns,
+  getStopDepartures,
+  createScheduledArrivalFinder,
+  findScheduledArrival,
+  getScheduledRuns,
+  matchScheduledRun
+};
@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const { getRiderRouteIds } = require('./riderService');
+
+// Socket.IO rooms used for targeted real-time delivery
+const userRoom = (userId) => `user-${userId}`;
+const routeRoom = (routeId) => `route-${routeId}`;
+const roleRoom = (role) => `role-${role}`;
+
+const ROUTE_ROOM_PREFIX = routeRoom('');
+const ROLE_ROOM_PREFIX = roleRoom('');
+
+// Replace the route rooms of a socket with the routes its user is interested in
+const setRouteRooms = (socket, routeIds) => {
+  [...socket.rooms]
+    .filter(room => room.startsWith(ROUTE_ROOM_PREFIX))
+    .forEach(room => socket.leave(room));
+  routeIds.forEach(routeId => socket.join(routeRoom(routeId)));
+};
+
+/**
+ * Join an authenticated socket to the rooms of its user, role and routes
+ * @param {Object} socket - Socket with data.user set by the handshake
+ */
+const joinUserRooms = async (socket) => {
+  const user = socket.data.user;
+  if (!user) return;
+
+  socket.join(userRoom(user._id));
+  socket.join(roleRoom(user.role));
+  setRouteRooms(socket, await getRiderRouteIds(user._id));
+};
+
+/**
+ * Refresh the role and route rooms of every connected socket of some users
+ * Call after a user's role or the routes they are interested in change.
+ * @param {Object} io - Socket.IO server
+ * @param {Array} userIds
+ */
+const refreshUserRooms = async (io, userIds) => {
+  for (const userId of userIds) {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    if (sockets.length === 0) continue;
+
+    const user = await User.findById(userId).select('role');
+    const routeIds = await getRiderRouteIds(userId);
+    sockets.forEach(socket => {
+      [...socket.rooms]
+        .filter(room => room.startsWith(ROLE_ROOM_PREFIX))
+        .forEach(room => socket.leave(room));
+      if (user) {
+        socket.join(roleRoom(user.role));
+        if (socket.data.user) socket.data.user.role = user.role;
+      }
+      setRouteRooms(socket, routeIds);
+    });
+  }
+};
+
+/**
+ * Rooms a notification must be delivered to
+ * @param {Object} notification - Notification with targetUsers and targetRoutes (ids or populated)
+ * @returns {Array} Room names, empty for a global notification
+ */
+const notificationRooms = (notification) => [
+  ...(notification.targetUsers || []).map(user => userRoom(user._id || user)),
+  ...(notification.targetRoutes || []).map(route => routeRoom(route._id || route))
+];
+
+/**
+ * Send an event about a notification to exactly the sockets it targets
+ * A socket in several targeted rooms receives it once.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} notification
+ * @param {string} event
+ * @param {*} payload
+ */
+const emitToNotificationRooms = (io, notification, event, payload) => {
+  const rooms = notificationRooms(notification);
+  if (rooms.length === 0) {
+    io.emit(event, payload);
+  } else {
+    io.to(rooms).emit(event, payload);
+  }
+};
+
+// Broadcast a notification that has just gone live
+const emitNotification = (io, notification) =>
+  emitToNotificationRooms(io, notification, 'new-notification', notification);
+
+module.exports = {
+  userRoom,
+  routeRoom,
+  roleRoom,
+  joinUserRooms,
+  refreshUserRooms,
+  notificationRooms,
+  emitToNotificationRooms,
+  emitNotification
+};
@@ -0,0 +1,218 @@
+const Bus = require('../models/Bus');
+const TripRecord = require('../models/TripRecord');
+const StopEvent = require('../models/StopEvent');
+const DriverAssignment = require('../models/DriverAssignment');
+
+const OPEN_STATUSES = ['in_progress', 'paused'];
+
+/**
+ * Open (in progress or paused) trip of a bus
+ * @param {string} busId
+ * @returns {Promise<Object|null>} TripRecord
+ */
+const findOpenTrip = (busId) => TripRecord.findOne({ bus: busId, status: { $in: OPEN_STATUSES } });
+
+// Time spent paused, counting an open pause up to `until`
+const pausedMs = (trip, until) => trip.pauses.reduce((total, pause) =>
+  total + ((pause.endedAt || until) - pause.startedAt), 0);
+
+/**
+ * Totals of a trip, worked out up to now for a trip that has not ended
+ * @param {Object} trip - TripRecord
+ * @param {Date} now
+ * @returns {Object} {durationSeconds, pausedSeconds, averageSpeed (km/h), stopCount}
+ */
+const summarizeTrip = (trip, now = new Date()) => {
+  const end = trip.endedAt || now;
+  const pausedSeconds = Math.round(pausedMs(trip, end) / 1000);
+  const durationSeconds = Math.max(0, Math.round((end - trip.startedAt) / 1000) - pausedSeconds);
+
+  return {
+    durationSeconds,
+    pausedSeconds,
+    averageSpeed: durationSeconds > 0 ? Math.round(trip.distance / (durationSeconds / 3600) * 10) / 10 : 0,
+    stopCount: trip.stopsServed.length
+  };
+};
+
+// Refuse anyone but an admin or the driver on shift for the bus
+const checkAccess = async (user, busId, now) => {
+  if (user && user.role === 'admin') return null;
+  if (user && user.role === 'driver' && await DriverAssignment.findActive(user._id, busId, now)) return null;
+  return user && user.role === 'driver'
+    ? { status: 403, error: 'You are not assigned to this bus for the current shift' }
+    : { status: 403, error: 'Access denied. Driver or admin role required.' };
+};
+
+/**
+ * Open trip of a bus, for an admin or the driver on shift for it
+ * @param {Object} params - {busId, user}
+ * @returns {Promise<Object>} {trip} with a null trip if there is none, or {error, status}
+ */
+const getOpenTrip = async ({ busId, user }) => {
+  const denied = await checkAccess(user, busId, new Date());
+  if (denied) return denied;
+
+  return { trip: await findOpenTrip(busId) };
+};
+
+/**
+ * Start a trip of a bus on its current route
+ * @param {Object} params - {busId, direction, user}
+ * @returns {Promise<Object>} {trip}, or {error, status}
+ */
+const startTrip = async ({ busId, direction, user }) => {
+  const now = new Date();
+  const denied = await checkAccess(user, busId, now);
+  if (denied) return denied;
+
+  const bus = await Bus.findById(busId);
+  if (!bus) {
+    return { status: 404, error: 'Bus not found' };
+  }
+
+  if (await findOpenTrip(bus._id)) {
+    return { status: 409, error: 'This bus already has a trip in progress' };
+  }
+
+  // An admin starting the trip records the driver on shift, if any
+  let driver = user.role === 'driver' ? user._id : null;
+  if (!driver) {
+    const assignment = await DriverAssignment.findOne({
+      bus: bus._id,
+      shiftStart: { $lte: now },
+      shiftEnd: { $gte: now }
+    });
+    driver = assignment ? assignment.driver : null;
+  }
+
+  const trip = await TripRecord.create({
+    bus: bus._id,
+    driver,
+    route: bus.route,
+    direction,
+    startedAt: now
+  });
+
+  await Bus.updateOne({ _id: bus._id }, { 'tripStats.tripStartTime': now });
+
+  return { trip };
+};
+
+// Load a trip and check that the user may change it
+const loadTrip = async (tripId, user, now) => {
+  const trip = await TripRecord.findById(tripId);
+  if (!trip) {
+    return { status: 404, error: 'Trip not found' };
+  }
+
+  const denied = await checkAccess(user, trip.bus, now);
+  return denied || { trip };
+};
+
+/**
+ * Pause an in-progress trip, e.g. for a break; distance is not counted while paused
+ * @param {Object} params - {tripId, user}
+ * @returns {Promise<Object>} {trip}, or {error, status}
+ */
+const pauseTrip = async ({ tripId, user }) => {
+  const now = new Date();
+  const { trip, error, status } = await loadTrip(tripId, user, now);
+  if (error) return { error, status };
+
+  if (trip.status !== 'in_progress') {
+    return { status: 409, error: 'Only a trip in progress can be paused' };
+  }
+
+  trip.status = 'paused';
+  trip.pauses.push({ startedAt: now });
+  await trip.save();
+  return { trip };
+};
+
+/**
+ * Resume a paused trip
+ * @param {Object} params - {tripId, user}
+ * @returns {Promise<Object>} {trip}, or {error, status}
+ */
+const resumeTrip = async ({ tripId, user }) => {
+  const now = new Date();
+  const { trip, error, status } = await loadTrip(tripId, user, now);
+  if (error) return { error, status };
+
+  if (trip.status !== 'paused') {
+    return { status: 409, error: 'Only a paused trip can be resumed' };
+  }
+
+  trip.status = 'in_progress';
+  trip.pauses[trip.pauses.length - 1].endedAt = now;
+  await trip.save();
+  return { trip };
+};
+
+/**
+ * End a trip and record the stops the bus served during it
+ * @param {Object} params - {tripId, user}
+ * @returns {Promise<Object>} {trip}, or {error, status}
+ */
+const endTrip = async ({ tripId, user }) => {
+  const now = new Date();
+  const { trip, error, status } = await loadTrip(tripId, user, now);
+  if (error) return { error, status };
+
+  if (trip.status === 'completed') {
+    return { status: 409, error: 'Trip has already ended' };
+  }
+
+  const openPause = trip.pauses.find(pause => !pause.endedAt);
+  if (openPause) openPause.endedAt = now;
+
+  const stopEvents = await StopEvent.find({
+    bus: trip.bus,
+    arrivedAt: { $gte: trip.startedAt, $lte: now }
+  }).sort({ arrivedAt: 1 });
+
+  trip.status = 'completed';
+  trip.endedAt = now;
+  trip.stopsServed = stopEvents.map(event => ({
+    stop: event.stop,
+    arrivedAt: event.arrivedAt,
+    departedAt: event.departedAt || undefined
+  }));
+  await trip.save();
+
+  await Bus.updateOne({ _id: trip.bus }, { $unset: { 'tripStats.tripStartTime': '' } });
+
+  return { trip };
+};
+
+/**
+ * Add driven distance and idle time to the trip a bus was on when a fix was taken
+ * Fixes uploaded late count toward the trip running at their timestamp, even if it has
+ * ended since, and nothing is counted before a trip starts or while it is paused.
+ * @param {string} busId
+ * @param {Object} progress - {distance (km), idleSeconds, at (time the fix was taken)}
+ */
+const recordTripProgress = async (busId, { distance = 0, idleSeconds = 0, at = new Date() }) => {
+  if (!(distance > 0) && !(idleSeconds > 0)) return;
+  await TripRecord.updateOne(
+    {
+      bus: busId,
+      startedAt: { $lte: at },
+      $or: [{ endedAt: null }, { endedAt: { $gte: at } }],
+      $nor: [{ pauses: { $elemMatch: { startedAt: { $lte: at }, $or: [{ endedAt: null }, { endedAt: { $gt: at } }] } } }]
+    },
+    { $inc: { distance: Math.max(distance, 0), idleSeconds: Math.max(idleSeconds, 0) } }
+  );
+};
+
+module.exports = {
+  findOpenTrip,
+  summarizeTrip,
+  getOpenTrip,
+  startTrip,
+  pauseTrip,
+  resumeTrip,
+  endTrip,
+  recordTripProgress
+};
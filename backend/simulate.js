@@ -0,0 +1,249 @@
+const {
+  MAX_SIMULATED_SPEED_KMH,
+  createSimulatedBus,
+  advanceSimulatedBus,
+  readSimulatedGps
+} = require('./services/busSimulator');
+const { filterSettings } = require('./services/locationFilter');
+require('dotenv').config();
+
+// Usage: node simulate.js [options]
+//   --url=http://localhost:5000   Server to drive
+//   --buses=N                     Number of buses to simulate (default: every active bus);
+//                                 missing buses are created as SIM-001, SIM-002, ...
+//   --route=<name or id>          Only use buses on this route
+//   --transport=http|socket       Send positions with PATCH /api/buses/:id/location or the
+//                                 update-bus-location socket event (default: http)
+//   --interval=5                  Seconds between position reports of each bus
+//   --speedup=1                   Simulated seconds per real second, at most
+//                                 LOCATION_MAX_SPEED_KMH / 38 (3 by default)
+//   --dwell=20                    Average seconds at a stop
+//   --noise=8                     GPS error in meters (standard deviation)
+//   --dropout=0.05                Chance that a position report is lost
+//   --duration=0                  Stop after this many seconds (0: run until Ctrl+C)
+//   --cleanup                     Delete the SIM-### buses when done
+// Logs in as SIMULATOR_EMAIL / SIMULATOR_PASSWORD (default: the seeded admin).
+
+const parseArgs = (argv) => argv.reduce((options, arg) => {
+  const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+  if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  return options;
+}, {});
+
+const args = parseArgs(process.argv.slice(2));
+const options = {
+  url: (args.url || process.env.SIMULATOR_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ''),
+  buses: args.buses ? parseInt(args.buses) : null,
+  route: args.route || null,
+  transport: args.transport || 'http',
+  interval: parseFloat(args.interval) || 5,
+  speedup: parseFloat(args.speedup) || 1,
+  dwellSeconds: parseFloat(args.dwell) || 20,
+  noiseMeters: args.noise !== undefined ? parseFloat(args.noise) : 8,
+  dropoutRate: args.dropout !== undefined ? parseFloat(args.dropout) : 0.05,
+  duration: parseFloat(args.duration) || 0,
+  cleanup: Boolean(args.cleanup)
+};
+
+// Positions are timestamped when they arrive, so a sped-up bus looks that much faster to
+// the server's GPS filter, which rejects anything above LOCATION_MAX_SPEED_KMH
+const MAX_SPEEDUP = Math.max(1, Math.floor(filterSettings().maxSpeedKmh / MAX_SIMULATED_SPEED_KMH));
+
+const SIM_BUS_PREFIX = 'SIM-';
+const STATS_INTERVAL_MS = 10000;
+
+const stats = { sent: 0, dropped: 0, failed: 0, latencyTotal: 0 };
+
+// JSON request to the API; throws with the server's error message on failure
+const request = async (method, path, token, body) => {
+  const response = await fetch(`${options.url}/api${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error || (data.errors && data.errors[0] && data.errors[0].msg) || response.statusText;
+    throw new Error(`${method} ${path}: ${response.status} ${message}`);
+  }
+  return data;
+};
+
+const login = async () => {
+  const { token, user } = await request('POST', '/auth/login', null, {
+    email: process.env.SIMULATOR_EMAIL || 'admin@gmail.com',
+    password: process.env.SIMULATOR_PASSWORD || 'password123'
+  });
+  if (user.role !== 'admin') {
+    throw new Error(`${user.email} is not an admin, so it cannot move every bus`);
+  }
+  return token;
+};
+
+// Buses to drive, creating SIM-### buses when more are asked for than exist
+const loadBuses = async (token, routes) => {
+  const { buses } = await request('GET', '/buses', token);
+  let candidates = buses.filter(bus => bus.status === 'active' && bus.route &&
+    routes.some(route => route._id === bus.route._id));
+
+  const wanted = options.buses === null ? candidates.length : options.buses;
+  candidates = candidates.slice(0, wanted);
+
+  const existingNumbers = new Set(buses.map(bus => bus.busNumber));
+  let next = 1;
+  while (candidates.length < wanted) {
+    let busNumber;
+    do {
+      busNumber = `${SIM_BUS_PREFIX}${String(next++).padStart(3, '0')}`;
+    } while (existingNumbers.has(busNumber));
+
+    const route = routes[candidates.length % routes.length];
+    const { bus } = await request('POST', '/buses', token, {
+      busNumber,
+      route: route._id,
+      currentLocation: { latitude: route.startPoint.latitude, longitude: route.startPoint.longitude },
+      status: 'active'
+    });
+    existingNumbers.add(busNumber);
+    candidates.push(bus);
+  }
+
+  return candidates;
+};
+
+// Send a position over HTTP or the socket, depending on --transport
+const createSender = async (token) => {
+  if (options.transport === 'socket') {
+    const { io } = require('socket.io-client');
+    const socket = io(options.url, { auth: { token }, transports: ['websocket'] });
+    await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      // Stop the client's reconnection attempts, or the CLI would never exit
+      socket.once('connect_error', (error) => {
+        socket.close();
+        reject(error);
+      });
+    });
+
+    return {
+      send: (busId, report) => new Promise((resolve, reject) => {
+        socket.timeout(10000).emit('update-bus-location', {
+          busId,
+          location: { latitude: report.latitude, longitude: report.longitude },
+          speed: report.speed,
+          heading: report.heading,
+          accuracy: report.accuracy
+        }, (error, response) => {
+          if (error) return reject(error);
+          if (response.error) return reject(new Error(response.error));
+          resolve();
+        });
+      }),
+      close: () => socket.close()
+    };
+  }
+
+  return {
+    send: (busId, report) => request('PATCH', `/buses/${busId}/location`, token, report),
+    close: () => {}
+  };
+};
+
+const printStats = (simulated) => {
+  const average = stats.sent > 0 ? Math.round(stats.latencyTotal / stats.sent) : 0;
+  console.log(`🚌 ${simulated.length} buses • sent ${stats.sent} • lost (simulated) ${stats.dropped} • ` +
+    `failed ${stats.failed} • avg latency ${average} ms`);
+};
+
+const simulate = async () => {
+  let token;
+  let sender;
+  let simulated = [];
+  const timers = [];
+
+  const stop = async () => {
+    timers.forEach(timer => clearInterval(timer));
+    if (sender) sender.close();
+    printStats(simulated);
+
+    if (options.cleanup && token) {
+      const simBuses = simulated.filter(({ bus }) => bus.busNumber.startsWith(SIM_BUS_PREFIX));
+      for (const { bus } of simBuses) {
+        await request('DELETE', `/buses/${bus._id}`, token).catch(error => console.error(error.message));
+      }
+      console.log(`🧹 Removed ${simBuses.length} simulated buses`);
+    }
+  };
+
+  try {
+    if (options.speedup > MAX_SPEEDUP) {
+      throw new Error(`--speedup can be at most ${MAX_SPEEDUP}: faster buses would exceed ` +
+        `LOCATION_MAX_SPEED_KMH and be rejected by the GPS filter`);
+    }
+
+    token = await login();
+
+    const { routes: allRoutes } = await request('GET', '/routes', token);
+    const routes = options.route
+      ? allRoutes.filter(route => route._id === options.route || route.routeName === options.route)
+      : allRoutes;
+    if (routes.length === 0) {
+      throw new Error(options.route ? `Route ${options.route} not found` : 'No routes to drive on; run npm run seed first');
+    }
+
+    const buses = await loadBuses(token, routes);
+    simulated = buses
+      .map(bus => createSimulatedBus(bus, routes.find(route => route._id === (bus.route._id || bus.route)), options))
+      .filter(Boolean);
+    if (simulated.length === 0) {
+      throw new Error('No buses with a drivable route');
+    }
+
+    sender = await createSender(token);
+    console.log(`▶️  Simulating ${simulated.length} buses against ${options.url} over ${options.transport} ` +
+      `(report every ${options.interval} s, ${options.speedup}x speed). Press Ctrl+C to stop.`);
+
+    // Stagger the buses so their reports do not all arrive at once
+    simulated.forEach((state, index) => {
+      const start = setTimeout(() => {
+        const tick = async () => {
+          advanceSimulatedBus(state, options.interval * options.speedup);
+          const report = readSimulatedGps(state, options);
+          if (!report) {
+            stats.dropped++;
+            return;
+          }
+
+          const startedAt = Date.now();
+          try {
+            await sender.send(state.bus._id, report);
+            stats.sent++;
+            stats.latencyTotal += Date.now() - startedAt;
+          } catch (error) {
+            stats.failed++;
+            console.error(`Bus ${state.bus.busNumber}: ${error.message}`);
+          }
+        };
+        tick();
+        timers.push(setInterval(tick, options.interval * 1000));
+      }, (index / simulated.length) * options.interval * 1000);
+      timers.push(start);
+    });
+    timers.push(setInterval(() => printStats(simulated), STATS_INTERVAL_MS));
+
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      if (options.duration > 0) timers.push(setTimeout(resolve, options.duration * 1000));
+    });
+  } catch (error) {
+    console.error('Simulator error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await stop();
+  }
+};
+
+simulate();
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV helpers
+
+/**
+ * Parse CSV text into rows of objects keyed by the header row
+ * Handles quoted fields, escaped quotes, CRLF line endings and a leading BOM.
+ * @param {string} text
+ * @returns {Array} [{column: value}]
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.length > 1 || r[0].trim() !== '');
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(column => column.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    header.forEach((column, i) => {
+      record[column] = (values[i] || '').trim();
+    });
+    return record;
+  });
+};
+
+// Quote a value if it contains a separator, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of objects to CSV text
+ * @param {Array} columns - Column names, in output order
+ * @param {Array} rows - [{column: value}]
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))
+].join('\n') + '\n';
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,176 @@
+// Geographic helpers: distances, bearings and positions along route paths
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Distance between two points using the Haversine formula
+ * @param {Object} point1 - {latitude, longitude}
+ * @param {Object} point2 - {latitude, longitude}
+ * @returns {number} Distance in kilometers
+ */
+const haversineDistance = (point1, point2) => {
+  const dLat = toRadians(point2.latitude - point1.latitude);
+  const dLng = toRadians(point2.longitude - point1.longitude);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(point1.latitude)) * Math.cos(toRadians(point2.latitude)) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Initial bearing from one point to another
+ * @param {Object} point1 - {latitude, longitude}
+ * @param {Object} point2 - {latitude, longitude}
+ * @returns {number} Bearing in degrees (0-360)
+ */
+const calculateBearing = (point1, point2) => {
+  const dLng = toRadians(point2.longitude - point1.longitude);
+  const lat1 = toRadians(point1.latitude);
+  const lat2 = toRadians(point2.latitude);
+
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Ordered list of points describing a route's geometry
+ * @param {Object} route - Route with startPoint, waypoints and endPoint
+ * @returns {Array} Points [{latitude, longitude}] from start to end
+ */
+const buildRoutePath = (route) => {
+  const waypoints = [...(route.waypoints || [])]
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  return [route.startPoint, ...waypoints, route.endPoint]
+    .filter(point => point && typeof point.latitude === 'number' && typeof point.longitude === 'number')
+    .map(point => ({ latitude: point.latitude, longitude: point.longitude }));
+};
+
+/**
+ * Cumulative distance along a path at each of its points
+ * @param {Array} path - Points [{latitude, longitude}]
+ * @returns {Array} Distances in kilometers, starting at 0
+ */
+const cumulativeDistances = (path) => {
+  const distances = [0];
+  for (let i = 1; i < path.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(path[i - 1], path[i]));
+  }
+  return distances;
+};
+
+/**
+ * Snap a point onto a path
+ * Segments are treated as straight lines on a local equirectangular projection,
+ * which is accurate enough at city scale.
+ * @param {Array} path - Points [{latitude, longitude}]
+ * @param {Object} point - {latitude, longitude}
+ * @param {Array} cumulative - Optional precomputed cumulativeDistances(path)
+ * @returns {Object|null} {distanceAlong, distanceFromPath, segmentIndex, snapped} in kilometers
+ */
+const projectOntoPath = (path, point, cumulative = cumulativeDistances(path)) => {
+  if (!path || path.length === 0) return null;
+  if (path.length === 1) {
+    return {
+      distanceAlong: 0,
+      distanceFromPath: haversineDistance(path[0], point),
+      segmentIndex: 0,
+      snapped: path[0]
+    };
+  }
+
+  const kmPerDegree = EARTH_RADIUS_KM * Math.PI / 180;
+  const cosLat = Math.cos(toRadians(point.latitude));
+  const toXY = (p) => ({
+    x: (p.longitude - point.longitude) * cosLat * kmPerDegree,
+    y: (p.latitude - point.latitude) * kmPerDegree
+  });
+
+  let best = null;
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = toXY(path[i]);
+    const b = toXY(path[i + 1]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Fraction of the segment where the perpendicular from the point lands (point is the origin)
+    let t = lengthSquared === 0 ? 0 : -(a.x * dx + a.y * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+
+    const px = a.x + t * dx;
+    const py = a.y + t * dy;
+    const distanceFromPath = Math.sqrt(px * px + py * py);
+
+    if (!best || distanceFromPath < best.distanceFromPath) {
+      best = {
+        distanceAlong: cumulative[i] + t * (cumulative[i + 1] - cumulative[i]),
+        distanceFromPath,
+        segmentIndex: i,
+        snapped: {
+          latitude: path[i].latitude + t * (path[i + 1].latitude - path[i].latitude),
+          longitude: path[i].longitude + t * (path[i + 1].longitude - path[i].longitude)
+        }
+      };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Point at a distance along a path
+ * @param {Array} path - Points [{latitude, longitude}]
+ * @param {Array} cumulative - cumulativeDistances(path)
+ * @param {number} distanceAlong - Kilometers from the start, clamped to the path
+ * @returns {Object} {latitude, longitude, segmentIndex}
+ */
+const pointAlongPath = (path, cumulative, distanceAlong) => {
+  const length = cumulative[cumulative.length - 1];
+  const target = Math.max(0, Math.min(distanceAlong, length));
+
+  let i = 0;
+  while (i < path.length - 2 && cumulative[i + 1] < target) i++;
+
+  const segmentLength = (cumulative[i + 1] || 0) - cumulative[i];
+  const t = segmentLength > 0 ? (target - cumulative[i]) / segmentLength : 0;
+  const next = path[i + 1] || path[i];
+  return {
+    latitude: path[i].latitude + t * (next.latitude - path[i].latitude),
+    longitude: path[i].longitude + t * (next.longitude - path[i].longitude),
+    segmentIndex: i
+  };
+};
+
+/**
+ * GeoJSON point for a position, as stored for 2dsphere queries
+ * @param {Object} point - {latitude, longitude}
+ * @returns {Object|null} {type: 'Point', coordinates: [longitude, latitude]}, or null without valid coordinates
+ */
+const toGeoPoint = (point) => {
+  if (!point) return null;
+  const latitude = Number(point.latitude);
+  const longitude = Number(point.longitude);
+  if (point.latitude === null || point.longitude === null || !isFinite(latitude) || !isFinite(longitude)) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toRadians,
+  toDegrees,
+  haversineDistance,
+  calculateBearing,
+  buildRoutePath,
+  cumulativeDistances,
+  projectOntoPath,
+  pointAlongPath,
+  toGeoPoint
+};
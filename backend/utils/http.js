@@ -0,0 +1,124 @@
+// Outbound HTTP helper for the notification channels
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Addresses a user-supplied URL must not reach: loopback, private, link-local
+// (including cloud metadata at 169.254.169.254), carrier-grade NAT, NAT64 and the like
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Private addresses are only reachable while developing, e.g. a webhook on localhost
+const allowsPrivateAddresses = () => process.env.NODE_ENV === 'development';
+
+// IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 are matched against the IPv4 subnets
+const isBlockedAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Error for a URL that must not be requested; retrying will not help
+const refusal = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+// Host name of a URL, without the brackets of an IPv6 literal
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    throw refusal(`Invalid URL: ${url}`);
+  }
+};
+
+/**
+ * DNS lookup that fails when a host resolves to any non-public address
+ * Used as the lookup of the connections themselves, so the address that is checked
+ * is the one connected to, even if the host's DNS answer changes in between.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(refusal(`${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Connections for URLs supplied by users; IP literals skip the lookup and are checked up front
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Refuse a URL whose host is or resolves to a non-public address
+ * @param {string} url
+ * @throws {Error} With `permanent` set, as retrying will not help
+ */
+const assertPublicUrl = async (url) => {
+  const hostname = hostnameOf(url);
+  if (allowsPrivateAddresses()) return;
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw refusal(`Cannot resolve ${hostname}`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw refusal(`${hostname} is not a public address`);
+  }
+};
+
+/**
+ * POST a request and fail on anything but a 2xx response
+ * @param {string} url
+ * @param {Object} options - fetch options (method defaults to POST); `publicOnly` refuses
+ *   URLs on internal addresses and redirects, for URLs supplied by users
+ * @returns {Promise<Response>}
+ */
+const postRequest = async (url, { publicOnly = false, ...options } = {}) => {
+  const checked = publicOnly && !allowsPrivateAddresses();
+  if (checked) {
+    const hostname = hostnameOf(url);
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+      throw refusal(`${hostname} is not a public address`);
+    }
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
+      // A redirect could lead to an internal address that was never checked
+      ...(publicOnly ? { redirect: 'error' } : {}),
+      ...(checked ? { dispatcher: publicAgent } : {}),
+      ...options
+    });
+  } catch (error) {
+    // fetch wraps connection errors, including a refused lookup
+    throw error.cause && error.cause.permanent ? error.cause : error;
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status} from ${url}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+
+  return response;
+};
+
+module.exports = {
+  allowsPrivateAddresses,
+  assertPublicUrl,
+  postRequest
+};
@@ -0,0 +1,150 @@
+// Time helpers for schedules
+// Times of day use the GTFS "HH:MM:SS" format and may exceed 24:00:00 for trips running past midnight.
+// Service dates use "YYYY-MM-DD" in server local time, unless a time zone is given.
+
+const TIME_PATTERN = /^(\d{1,2}):([0-5]\d)(?::([0-5]\d))?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+const isValidDateKey = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+  !isNaN(new Date(`${value}T00:00:00`).getTime());
+
+/**
+ * Convert "HH:MM[:SS]" to seconds since midnight
+ * @param {string} value
+ * @returns {number|null} Seconds, or null if the value is not a valid time
+ */
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3] || '0');
+};
+
+/**
+ * Convert seconds since midnight to "HH:MM:SS"
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatTime = (seconds) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const total = Math.round(seconds);
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+};
+
+// Normalize "H:MM" or "HH:MM" to "HH:MM:SS"
+const normalizeTime = (value) => {
+  const seconds = parseTime(value);
+  return seconds === null ? value : formatTime(seconds);
+};
+
+/**
+ * Service date key of a Date in server local time
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD"
+ */
+const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Service date key shifted by a number of days
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+const weekdayOf = (dateKey) => WEEKDAYS[new Date(`${dateKey}T00:00:00`).getDay()];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Time zone timetables are written in: GTFS_AGENCY_TIMEZONE, else the server's
+const agencyTimeZone = () => {
+  const timeZone = process.env.GTFS_AGENCY_TIMEZONE;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+};
+
+// Wall clock reading of a moment in a time zone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+/**
+ * Date key and seconds since midnight of a moment in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name, e.g. "Asia/Kolkata"
+ * @returns {Object} {dateKey, seconds}
+ */
+const toZonedTime = (date, timeZone) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = zonedParts(date, timeZone);
+  return {
+    dateKey: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    seconds: parts.hour * 3600 + parts.minute * 60 + parts.second
+  };
+};
+
+// Milliseconds the clocks of a time zone are ahead of UTC at a moment
+const zoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Moment at which the clocks of a time zone show a number of seconds after midnight of a date
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {number} seconds
+ * @param {string} timeZone - IANA name
+ * @returns {Date}
+ */
+const zonedDateAt = (dateKey, seconds, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + seconds * 1000;
+  // The offset at the guess is right except within an hour of a DST change, so check once more
+  const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+};
+
+module.exports = {
+  WEEKDAYS,
+  isValidTime,
+  isValidDateKey,
+  parseTime,
+  formatTime,
+  normalizeTime,
+  toDateKey,
+  addDays,
+  weekdayOf,
+  isValidTimeZone,
+  agencyTimeZone,
+  toZonedTime,
+  zonedDateAt
+};
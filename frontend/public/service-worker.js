@@ -0,0 +1,49 @@
+/* eslint-disable no-restricted-globals */
+// Shows Web Push notifications and handles clicks on them, even when the app is closed
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch (error) {
+    payload = { title: 'Bus Tracking', body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Bus Tracking', {
+      body: payload.body,
+      tag: payload.tag,
+      icon: '/logo192.png',
+      badge: '/favicon.ico',
+      requireInteraction: Boolean(payload.requireInteraction),
+      actions: payload.actions || [],
+      data: { url: payload.url || '/' }
+    })
+  );
+});
+
+// Focus an open tab of the app, or open one, at the notification's page
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      const client = clientList.find((c) => c.url.startsWith(self.location.origin));
+      if (client) {
+        return client.focus().then((focused) => focused.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
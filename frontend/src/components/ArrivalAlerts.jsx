@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Switch,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Grid
+} from '@mui/material';
+import { Add, Delete, Edit } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import api from '../services/api';
+import { getSocket } from '../services/socket';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const emptyAlertForm = {
+  stop: '',
+  targetType: 'route',
+  route: '',
+  bus: '',
+  leadMinutes: 5,
+  mode: 'once',
+  days: [],
+  startTime: '',
+  endTime: ''
+};
+
+// "Mon, Tue • 07:30-09:00" style summary of when an alert is active
+const describeWindow = (alert) => {
+  const days = alert.days.length === 0 || alert.days.length === 7
+    ? 'Every day'
+    : WEEKDAYS.filter(day => alert.days.includes(day)).map(day => day.charAt(0).toUpperCase() + day.slice(1, 3)).join(', ');
+  const hours = alert.startTime ? ` • ${alert.startTime.slice(0, 5)}-${alert.endTime.slice(0, 5)}` : '';
+  return `${days}${hours}`;
+};
+
+const ArrivalAlerts = ({ routes, buses, stops }) => {
+  const [alerts, setAlerts] = useState([]);
+  const [dialog, setDialog] = useState({ open: false, alert: null });
+  const [alertForm, setAlertForm] = useState(emptyAlertForm);
+
+  useEffect(() => {
+    fetchAlerts();
+
+    const socket = getSocket();
+    socket.on('arrival-alert', handleArrivalAlert);
+
+    return () => {
+      socket.off('arrival-alert', handleArrivalAlert);
+    };
+  }, []);
+
+  const fetchAlerts = async () => {
+    try {
+      const response = await api.get('/alerts');
+      setAlerts(response.data.alerts);
+    } catch (error) {
+      console.error('Error fetching arrival alerts:', error);
+    }
+  };
+
+  const handleArrivalAlert = (event) => {
+    const eta = event.etaMinutes < 1 ? 'arriving now' : `${event.etaMinutes} min away`;
+    toast.info(`Bus ${event.busNumber} (${event.routeName}) is ${eta} from ${event.stopName}`, { autoClose: 15000 });
+    // One-shot alerts switch themselves off once they fire
+    fetchAlerts();
+  };
+
+  const routesServingStop = routes.filter(route =>
+    (route.stops || []).some(stop => (stop._id || stop) === alertForm.stop)
+  );
+  const busesServingStop = buses.filter(bus =>
+    bus.route && routesServingStop.some(route => route._id === bus.route._id)
+  );
+
+  const handleOpenDialog = (alert = null) => {
+    if (alert) {
+      setAlertForm({
+        stop: alert.stop._id,
+        targetType: alert.bus ? 'bus' : 'route',
+        route: alert.route?._id || '',
+        bus: alert.bus?._id || '',
+        leadMinutes: alert.leadMinutes,
+        mode: alert.mode,
+        days: alert.days,
+        startTime: alert.startTime ? alert.startTime.slice(0, 5) : '',
+        endTime: alert.endTime ? alert.endTime.slice(0, 5) : ''
+      });
+    } else {
+      setAlertForm(emptyAlertForm);
+    }
+    setDialog({ open: true, alert });
+  };
+
+  const handleSubmit = async () => {
+    const { targetType, route, bus, ...fields } = alertForm;
+    const data = {
+      ...fields,
+      leadMinutes: parseInt(fields.leadMinutes),
+      route: targetType === 'route' ? route : null,
+      bus: targetType === 'bus' ? bus : null
+    };
+
+    try {
+      if (dialog.alert) {
+        await api.put(`/alerts/${dialog.alert._id}`, { ...data, isActive: true });
+        toast.success('Alert updated');
+      } else {
+        await api.post('/alerts', data);
+        toast.success('Alert created');
+      }
+      setDialog({ open: false, alert: null });
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error saving arrival alert:', error);
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save alert');
+    }
+  };
+
+  const handleToggleActive = async (alert) => {
+    try {
+      const response = await api.put(`/alerts/${alert._id}`, { isActive: !alert.isActive });
+      setAlerts(prev => prev.map(item => (item._id === alert._id ? response.data.alert : item)));
+    } catch (error) {
+      console.error('Error updating arrival alert:', error);
+      toast.error('Failed to update alert');
+    }
+  };
+
+  const handleDelete = async (alert) => {
+    try {
+      await api.delete(`/alerts/${alert._id}`);
+      setAlerts(prev => prev.filter(item => item._id !== alert._id));
+      toast.success('Alert deleted');
+    } catch (error) {
+      console.error('Error deleting arrival alert:', error);
+      toast.error('Failed to delete alert');
+    }
+  };
+
+  const target = alertForm.targetType === 'route' ? alertForm.route : alertForm.bus;
+
+  return (
+    <Paper sx={{ p: 2, mt: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h6">Arrival Alerts</Typography>
+        <Button size="small" startIcon={<Add />} onClick={() => handleOpenDialog()}>
+          New Alert
+        </Button>
+      </Box>
+
+      {alerts.length === 0 ? (
+        <Alert severity="info">
+          Get notified when a bus is a few minutes away from your stop.
+        </Alert>
+      ) : (
+        <List dense sx={{ p: 0 }}>
+          {alerts.map((alert) => (
+            <ListItem
+              key={alert._id}
+              divider
+              secondaryAction={
+                <Box>
+                  <IconButton size="small" aria-label="Edit alert" onClick={() => handleOpenDialog(alert)}>
+                    <Edit fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" aria-label="Delete alert" onClick={() => handleDelete(alert)}>
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </Box>
+              }
+            >
+              <Switch
+                size="small"
+                checked={alert.isActive}
+                onChange={() => handleToggleActive(alert)}
+                inputProps={{ 'aria-label': 'Alert active' }}
+              />
+              <ListItemText
+                sx={{ pr: 8 }}
+                primary={`${alert.bus ? `Bus ${alert.bus.busNumber}` : alert.route?.routeName} • ${alert.leadMinutes} min from ${alert.stop?.stopName}`}
+                secondary={`${alert.mode === 'once' ? 'Once' : 'Recurring'} • ${describeWindow(alert)}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Dialog open={dialog.open} onClose={() => setDialog({ open: false, alert: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{dialog.alert ? 'Edit Arrival Alert' : 'New Arrival Alert'}</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Stop</InputLabel>
+            <Select
+              value={alertForm.stop}
+              label="Stop"
+              onChange={(e) => setAlertForm({ ...alertForm, stop: e.target.value, route: '', bus: '' })}
+            >
+              {stops.map((stop) => (
+                <MenuItem key={stop._id} value={stop._id}>{stop.stopName}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            sx={{ my: 1 }}
+            value={alertForm.targetType}
+            onChange={(e, targetType) => targetType && setAlertForm({ ...alertForm, targetType })}
+          >
+            <ToggleButton value="route">Any bus on a route</ToggleButton>
+            <ToggleButton value="bus">A specific bus</ToggleButton>
+          </ToggleButtonGroup>
+
+          {alertForm.targetType === 'route' ? (
+            <FormControl fullWidth margin="dense" disabled={!alertForm.stop}>
+              <InputLabel>Route</InputLabel>
+              <Select
+                value={alertForm.route}
+                label="Route"
+                onChange={(e) => setAlertForm({ ...alertForm, route: e.target.value })}
+              >
+                {routesServingStop.map((route) => (
+                  <MenuItem key={route._id} value={route._id}>{route.routeName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <FormControl fullWidth margin="dense" disabled={!alertForm.stop}>
+              <InputLabel>Bus</InputLabel>
+              <Select
+                value={alertForm.bus}
+                label="Bus"
+                onChange={(e) => setAlertForm({ ...alertForm, bus: e.target.value })}
+              >
+                {busesServingStop.map((bus) => (
+                  <MenuItem key={bus._id} value={bus._id}>{`Bus ${bus.busNumber} • ${bus.route.routeName}`}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={6}>
+              <TextField
+                margin="dense"
+                label="Minutes Before Arrival"
+                type="number"
+                fullWidth
+                inputProps={{ min: 1, max: 60 }}
+                value={alertForm.leadMinutes}
+                onChange={(e) => setAlertForm({ ...alertForm, leadMinutes: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={6}>
+              <FormControl fullWidth margin="dense">
+                <InputLabel>Repeat</InputLabel>
+                <Select
+                  value={alertForm.mode}
+                  label="Repeat"
+                  onChange={(e) => setAlertForm({ ...alertForm, mode: e.target.value })}
+                >
+                  <MenuItem value="once">Once</MenuItem>
+                  <MenuItem value="recurring">Once on each active day</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+          </Grid>
+
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Active days (none selected means every day)
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            value={alertForm.days}
+            onChange={(e, days) => setAlertForm({ ...alertForm, days })}
+          >
+            {WEEKDAYS.map((day) => (
+              <ToggleButton key={day} value={day}>{day.slice(0, 3)}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+
+          <Grid container spacing={2}>
+            <Grid item xs={6}>
+              <TextField
+                margin="dense"
+                label="From"
+                type="time"
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                value={alertForm.startTime}
+                onChange={(e) => setAlertForm({ ...alertForm, startTime: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField
+                margin="dense"
+                label="Until"
+                type="time"
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                value={alertForm.endTime}
+                onChange={(e) => setAlertForm({ ...alertForm, endTime: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog({ open: false, alert: null })}>Cancel</Button>
+          <Button onClick={handleSubmit} variant="contained" disabled={!alertForm.stop || !target}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default ArrivalAlerts;
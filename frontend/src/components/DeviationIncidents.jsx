@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Popup } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { toast } from 'react-toastify';
+import api from '../services/api';
+import { getSocket } from '../services/socket';
+
+// Planned path of a route, the same way the server measures deviations against it
+const routePath = (route) => {
+  if (!route) return [];
+  const waypoints = [...(route.waypoints || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+  return [route.startPoint, ...waypoints, route.endPoint]
+    .filter(point => point && typeof point.latitude === 'number' && typeof point.longitude === 'number')
+    .map(point => [point.latitude, point.longitude]);
+};
+
+const formatDuration = (incident) => {
+  const end = incident.endedAt ? new Date(incident.endedAt) : new Date();
+  const minutes = Math.round((end - new Date(incident.startedAt)) / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const DeviationIncidents = ({ routes }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [statusFilter]);
+
+  // Live changes; route geometry for new incidents comes from the routes already loaded
+  useEffect(() => {
+    const socket = getSocket();
+
+    const handleStarted = (event) => {
+      if (statusFilter === 'ended') return;
+      const route = routes.find(r => r._id === event.routeId) || { _id: event.routeId, routeName: event.routeName };
+      setIncidents(prev => [{
+        _id: event.incidentId,
+        bus: { _id: event.busId, busNumber: event.busNumber },
+        route,
+        startedAt: event.startedAt,
+        endedAt: null,
+        corridorMeters: event.corridorMeters,
+        maxDistanceMeters: event.maxDistanceMeters,
+        path: event.path
+      }, ...prev]);
+    };
+
+    const handleUpdated = (event) => {
+      setIncidents(prev => prev.map(incident => (incident._id === event.incidentId
+        ? { ...incident, path: [...incident.path, event.point], maxDistanceMeters: event.maxDistanceMeters }
+        : incident)));
+    };
+
+    const handleEnded = (event) => {
+      setIncidents(prev => prev
+        .map(incident => (incident._id === event.incidentId ? { ...incident, endedAt: event.endedAt } : incident))
+        .filter(incident => statusFilter !== 'open' || !incident.endedAt));
+    };
+
+    socket.on('deviation-started', handleStarted);
+    socket.on('deviation-updated', handleUpdated);
+    socket.on('deviation-ended', handleEnded);
+
+    return () => {
+      socket.off('deviation-started', handleStarted);
+      socket.off('deviation-updated', handleUpdated);
+      socket.off('deviation-ended', handleEnded);
+    };
+  }, [routes, statusFilter]);
+
+  const fetchIncidents = async () => {
+    try {
+      const response = await api.get('/deviations', {
+        params: statusFilter ? { status: statusFilter } : {}
+      });
+      setIncidents(response.data.incidents);
+    } catch (error) {
+      console.error('Error fetching deviation incidents:', error);
+      toast.error('Failed to load deviation incidents');
+    }
+  };
+
+  const handleAcknowledge = async (incident) => {
+    try {
+      const response = await api.patch(`/deviations/${incident._id}/acknowledge`);
+      setIncidents(prev => prev.map(item => (item._id === incident._id ? response.data.incident : item)));
+    } catch (error) {
+      console.error('Error acknowledging incident:', error);
+      toast.error('Failed to acknowledge incident');
+    }
+  };
+
+  const selected = incidents.find(incident => incident._id === selectedId) || incidents[0];
+  const plannedPath = selected ? routePath(selected.route) : [];
+  const offRoutePath = selected ? selected.path.map(point => [point.latitude, point.longitude]) : [];
+  const mapCenter = offRoutePath[offRoutePath.length - 1] || plannedPath[0] || [20.2961, 85.8245];
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">Route Deviations</Typography>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select value={statusFilter} label="Status" onChange={(e) => setStatusFilter(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="open">Off route now</MenuItem>
+            <MenuItem value="ended">Back on route</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+
+      {selected && (
+        <Box sx={{ height: 360, px: 2 }}>
+          <MapContainer
+            key={selected._id}
+            center={mapCenter}
+            zoom={14}
+            style={{ height: '100%', width: '100%' }}
+          >
+            <TileLayer
+              attribution='&copy; <a href="https://www.mapbox.com/about/maps/">Mapbox</a> &copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+              url={`https://api.mapbox.com/styles/v1/mapbox/streets-v11/tiles/{z}/{x}/{y}?access_token=${process.env.REACT_APP_MAPBOX_ACCESS_TOKEN || 'pk.eyJ1IjoieWFhay1kcml2aW5nLWN1cnJpY3VsdW0iLCJhIjoiY2txYzJqb3FwMWZweDJwbXY0M3R5cDAzYyJ9'}`}
+            />
+            <Polyline positions={plannedPath} color="blue" weight={5} opacity={0.5} />
+            <Polyline positions={offRoutePath} color="#d32f2f" weight={4} opacity={0.9} dashArray="6 6" />
+            {offRoutePath.length > 0 && (
+              <CircleMarker center={offRoutePath[offRoutePath.length - 1]} radius={8} color="#d32f2f" fillOpacity={0.8}>
+                <Popup>
+                  Bus {selected.bus?.busNumber} • {selected.maxDistanceMeters} m off route at most
+                </Popup>
+              </CircleMarker>
+            )}
+          </MapContainer>
+        </Box>
+      )}
+
+      {incidents.length === 0 ? (
+        <Alert severity="success" sx={{ m: 2 }}>
+          No route deviations recorded.
+        </Alert>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Bus</TableCell>
+                <TableCell>Route</TableCell>
+                <TableCell>Started</TableCell>
+                <TableCell>Duration</TableCell>
+                <TableCell>Furthest</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {incidents.map((incident) => (
+                <TableRow
+                  key={incident._id}
+                  hover
+                  selected={selected && incident._id === selected._id}
+                  onClick={() => setSelectedId(incident._id)}
+                  sx={{ cursor: 'pointer' }}
+                >
+                  <TableCell>{incident.bus?.busNumber}</TableCell>
+                  <TableCell>{incident.route?.routeName}</TableCell>
+                  <TableCell>{new Date(incident.startedAt).toLocaleString()}</TableCell>
+                  <TableCell>{formatDuration(incident)}</TableCell>
+                  <TableCell>{`${incident.maxDistanceMeters} m (corridor ${incident.corridorMeters} m)`}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={incident.endedAt ? 'Back on route' : 'Off route'}
+                      color={incident.endedAt ? 'default' : 'error'}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {incident.acknowledgedAt ? (
+                      <Typography variant="body2" color="text.secondary">
+                        Acknowledged{incident.acknowledgedBy ? ` by ${incident.acknowledgedBy.name}` : ''}
+                      </Typography>
+                    ) : (
+                      <Button
+                        size="small"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleAcknowledge(incident);
+                        }}
+                      >
+                        Acknowledge
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default DeviationIncidents;
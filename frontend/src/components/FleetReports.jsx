@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Grid,
+  Typography,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Alert
+} from '@mui/material';
+import { Download } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { toast } from 'react-toastify';
+import api from '../services/api';
+
+const GROUP_LABELS = {
+  bus: 'Bus',
+  route: 'Route',
+  driver: 'Driver',
+  date: 'Day'
+};
+
+const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Save a file downloaded as a blob under the name the server gave it
+const saveBlob = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = /filename="([^"]+)"/.exec(disposition);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const FleetReports = () => {
+  const today = toDateKey(new Date());
+  const [from, setFrom] = useState(`${today.slice(0, 8)}01`);
+  const [to, setTo] = useState(today);
+  const [groupBy, setGroupBy] = useState('bus');
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [from, to, groupBy]);
+
+  const fetchReport = async () => {
+    if (!from || !to || from > to) return;
+    try {
+      const response = await api.get('/reports/fleet', { params: { from, to, groupBy } });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching report:', error);
+      toast.error(error.response?.data?.error || 'Failed to load report');
+    }
+  };
+
+  const downloadReport = async (format) => {
+    try {
+      const response = await api.get('/reports/fleet', {
+        params: { from, to, groupBy, format },
+        responseType: 'blob'
+      });
+      saveBlob(response, `fleet-report.${format}`);
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      toast.error('Failed to download report');
+    }
+  };
+
+  const showRecorded = groupBy !== 'driver';
+  const totals = report?.totals;
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h6">Fleet Reports</Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            error={from > to}
+            helperText={from > to ? 'Must be after From' : ''}
+          />
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={groupBy}
+            onChange={(e, value) => value && setGroupBy(value)}
+          >
+            {Object.entries(GROUP_LABELS).map(([value, label]) => (
+              <ToggleButton key={value} value={value}>{label}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <Button variant="outlined" startIcon={<Download />} onClick={() => downloadReport('csv')}>
+            CSV
+          </Button>
+          <Button variant="outlined" startIcon={<Download />} onClick={() => downloadReport('xlsx')}>
+            Excel
+          </Button>
+        </Box>
+      </Box>
+
+      {totals && (
+        <Grid container spacing={2} sx={{ px: 2 }}>
+          {[
+            { label: 'Total distance', value: `${totals.recordedDistance.toFixed(1)} km` },
+            { label: 'Distance on trips', value: `${totals.distance.toFixed(1)} km` },
+            { label: 'Hours in service', value: `${totals.serviceHours.toFixed(1)} h` },
+            { label: 'Idle time', value: `${totals.idleHours.toFixed(1)} h` },
+            { label: 'Average speed', value: `${totals.averageSpeed} km/h` }
+          ].map(({ label, value }) => (
+            <Grid item xs={6} md key={label}>
+              <Typography variant="body2" color="text.secondary">{label}</Typography>
+              <Typography variant="h6">{value}</Typography>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {!report || report.rows.length === 0 ? (
+        <Alert severity="info" sx={{ m: 2 }}>
+          Nothing was recorded in this period. Distance is counted from bus locations and
+          hours in service from the trips drivers start and end.
+        </Alert>
+      ) : (
+        <>
+          <Grid container spacing={2} sx={{ p: 2 }}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle2" gutterBottom>Distance (km)</Typography>
+              <ResponsiveContainer width="100%" height={280}>
+                <BarChart data={report.rows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {showRecorded && <Bar dataKey="recordedDistance" name="Total" fill="#1976d2" />}
+                  <Bar dataKey="distance" name="On trips" fill="#90caf9" />
+                </BarChart>
+              </ResponsiveContainer>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Typography variant="subtitle2" gutterBottom>Hours in service</Typography>
+              <ResponsiveContainer width="100%" height={280}>
+                <BarChart data={report.rows}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  <Bar dataKey="serviceHours" name="In service" fill="#2e7d32" />
+                  <Bar dataKey="idleHours" name="Idle" fill="#ed6c02" />
+                </BarChart>
+              </ResponsiveContainer>
+            </Grid>
+          </Grid>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{GROUP_LABELS[groupBy]}</TableCell>
+                  <TableCell align="right">Trips</TableCell>
+                  {showRecorded && <TableCell align="right">Total Distance</TableCell>}
+                  <TableCell align="right">Trip Distance</TableCell>
+                  <TableCell align="right">Hours in Service</TableCell>
+                  <TableCell align="right">Idle</TableCell>
+                  <TableCell align="right">Avg Speed</TableCell>
+                  <TableCell align="right">Stops Served</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {[...report.rows, { ...totals, id: 'total', name: 'Total' }].map((row) => (
+                  <TableRow key={row.id || 'none'} sx={row.id === 'total' ? { '& td': { fontWeight: 'bold' } } : undefined}>
+                    <TableCell>{row.name}</TableCell>
+                    <TableCell align="right">{row.tripCount}</TableCell>
+                    {showRecorded && <TableCell align="right">{row.recordedDistance.toFixed(1)} km</TableCell>}
+                    <TableCell align="right">{row.distance.toFixed(1)} km</TableCell>
+                    <TableCell align="right">{row.serviceHours.toFixed(1)} h</TableCell>
+                    <TableCell align="right">{row.idleHours.toFixed(1)} h</TableCell>
+                    <TableCell align="right">{row.averageSpeed} km/h</TableCell>
+                    <TableCell align="right">{row.stopsServed}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {report && (
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ p: 2 }}>
+          Service days {report.from} to {report.to} ({report.timeZone}). Total distance includes driving
+          outside trips and is not known per driver; idle time is time standing still during trips.
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default FleetReports;
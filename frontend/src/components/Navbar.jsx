@@ -17,14 +17,38 @@ import {
   Dashboard,
   TrackChanges,
   AdminPanelSettings,
-  DirectionsBus
+  DirectionsBus,
+  NotificationsActive
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
+import NotificationPreferencesDialog from './NotificationPreferencesDialog';
+import { getSocket } from '../services/socket';
+import { toast } from 'react-toastify';
 
 const Navbar = () => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, isDriver } = useAuth();
   const navigate = useNavigate();
   const [anchorEl, setAnchorEl] = React.useState(null);
+  const [preferencesOpen, setPreferencesOpen] = React.useState(false);
+
+  // Admins hear about buses leaving their route wherever they are in the app
+  React.useEffect(() => {
+    if (!isAdmin) return;
+
+    const socket = getSocket();
+    const handleDeviationStarted = (event) => {
+      toast.warning(`Bus ${event.busNumber} has left route ${event.routeName}`, {
+        autoClose: false,
+        onClick: () => navigate('/admin')
+      });
+    };
+
+    socket.on('deviation-started', handleDeviationStarted);
+    return () => {
+      socket.off('deviation-started', handleDeviationStarted);
+    };
+  }, [isAdmin, navigate]);
 
   const handleMenu = (event) => {
     setAnchorEl(event.currentTarget);
@@ -34,6 +58,11 @@ const Navbar = () => {
     setAnchorEl(null);
   };
 
+  const handlePreferences = () => {
+    setPreferencesOpen(true);
+    handleClose();
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -73,14 +102,16 @@ const Navbar = () => {
             Live Tracking
           </Button>
 
-          <Button
-            color="inherit"
-            component={Link}
-            to="/driver"
-            startIcon={<DirectionsBus />}
-          >
-            Driver Panel
-          </Button>
+          {(isAdmin || isDriver) && (
+            <Button
+              color="inherit"
+              component={Link}
+              to="/driver"
+              startIcon={<DirectionsBus />}
+            >
+              Driver Panel
+            </Button>
+          )}
 
           {isAdmin && (
             <Button
@@ -93,6 +124,8 @@ const Navbar = () => {
             </Button>
           )}
 
+          <NotificationBell />
+
           <IconButton
             size="large"
             aria-label="account of current user"
@@ -122,6 +155,10 @@ const Navbar = () => {
             <MenuItem onClick={handleClose}>
               <Typography variant="body1">{user.name}</Typography>
             </MenuItem>
+            <MenuItem onClick={handlePreferences}>
+              <NotificationsActive sx={{ mr: 1 }} />
+              Notification Settings
+            </MenuItem>
             <MenuItem onClick={handleLogout}>
               <ExitToApp sx={{ mr: 1 }} />
               Logout
@@ -131,6 +168,8 @@ const Navbar = () => {
 
         {/* Mobile menu */}
         <Box sx={{ display: { xs: 'flex', md: 'none' } }}>
+          <NotificationBell />
+
           <IconButton
             size="large"
             aria-label="account of current user"
@@ -167,10 +206,12 @@ const Navbar = () => {
               Live Tracking
             </MenuItem>
 
-            <MenuItem component={Link} to="/driver" onClick={handleClose}>
-              <DirectionsBus sx={{ mr: 1 }} />
-              Driver Panel
-            </MenuItem>
+            {(isAdmin || isDriver) && (
+              <MenuItem component={Link} to="/driver" onClick={handleClose}>
+                <DirectionsBus sx={{ mr: 1 }} />
+                Driver Panel
+              </MenuItem>
+            )}
 
             {isAdmin && (
               <MenuItem component={Link} to="/admin" onClick={handleClose}>
@@ -179,6 +220,10 @@ const Navbar = () => {
               </MenuItem>
             )}
 
+            <MenuItem onClick={handlePreferences}>
+              <NotificationsActive sx={{ mr: 1 }} />
+              Notification Settings
+            </MenuItem>
             <MenuItem onClick={handleLogout}>
               <ExitToApp sx={{ mr: 1 }} />
               Logout
@@ -186,6 +231,8 @@ const Navbar = () => {
           </Menu>
         </Box>
       </Toolbar>
+
+      <NotificationPreferencesDialog open={preferencesOpen} onClose={() => setPreferencesOpen(false)} />
     </AppBar>
   );
 };
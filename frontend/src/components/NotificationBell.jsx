@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import {
+  IconButton,
+  Badge,
+  Menu,
+  MenuItem,
+  ListItemText,
+  Typography,
+  Box,
+  Button,
+  Divider
+} from '@mui/material';
+import { Notifications } from '@mui/icons-material';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import { getSocket } from '../services/socket';
+
+const MAX_SHOWN = 10;
+
+const NotificationBell = () => {
+  const { user } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchUnreadCount = async () => {
+      try {
+        const response = await api.get('/notifications/unread-count');
+        setUnreadCount(response.data.count);
+      } catch (error) {
+        console.error('Error fetching unread notification count:', error);
+      }
+    };
+
+    const handleNewNotification = (notification) => {
+      setUnreadCount(prev => prev + 1);
+      setNotifications(prev => [{ ...notification, isRead: false }, ...prev].slice(0, MAX_SHOWN));
+    };
+
+    // Read in this or another session of the same user
+    const handleNotificationsRead = ({ notificationIds, unreadCount: count }) => {
+      setUnreadCount(count);
+      setNotifications(prev => prev.map(notification =>
+        notificationIds.includes(notification._id) ? { ...notification, isRead: true } : notification
+      ));
+    };
+
+    // A scheduled notice reached its expiry time
+    const handleNotificationExpired = ({ notificationId }) => {
+      setNotifications(prev => prev.filter(notification => notification._id !== notificationId));
+      fetchUnreadCount();
+    };
+
+    fetchUnreadCount();
+    const socket = getSocket();
+    socket.on('new-notification', handleNewNotification);
+    socket.on('notifications-read', handleNotificationsRead);
+    socket.on('notification-expired', handleNotificationExpired);
+
+    return () => {
+      socket.off('new-notification', handleNewNotification);
+      socket.off('notifications-read', handleNotificationsRead);
+      socket.off('notification-expired', handleNotificationExpired);
+    };
+  }, [user]);
+
+  const handleOpen = async (event) => {
+    setAnchorEl(event.currentTarget);
+    try {
+      const response = await api.get('/notifications');
+      setNotifications(response.data.notifications.slice(0, MAX_SHOWN));
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleRead = async (notification) => {
+    if (notification.isRead) return;
+    try {
+      await api.patch(`/notifications/${notification._id}/read`);
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await api.patch('/notifications/read-all');
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <>
+      <IconButton
+        size="large"
+        aria-label={`${unreadCount} unread notifications`}
+        color="inherit"
+        onClick={handleOpen}
+      >
+        <Badge badgeContent={unreadCount} color="error" max={99}>
+          <Notifications />
+        </Badge>
+      </IconButton>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{ sx: { width: 360, maxHeight: 480 } }}
+      >
+        <Box sx={{ px: 2, py: 1, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="subtitle1">Notifications</Typography>
+          <Button size="small" onClick={handleReadAll} disabled={unreadCount === 0}>
+            Mark all as read
+          </Button>
+        </Box>
+        <Divider />
+
+        {notifications.length === 0 ? (
+          <MenuItem disabled>
+            <Typography variant="body2">No notifications yet.</Typography>
+          </MenuItem>
+        ) : (
+          notifications.map((notification) => (
+            <MenuItem
+              key={notification._id}
+              onClick={() => handleRead(notification)}
+              sx={{ whiteSpace: 'normal', bgcolor: notification.isRead ? 'inherit' : 'action.hover' }}
+            >
+              <ListItemText
+                primary={notification.message}
+                secondary={new Date(notification.time).toLocaleString()}
+                primaryTypographyProps={{ fontWeight: notification.isRead ? 'normal' : 'bold' }}
+              />
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationBell;
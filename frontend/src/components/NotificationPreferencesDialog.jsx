@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Switch,
+  Typography
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush } from '../services/push';
+
+const emptyPreferences = {
+  phone: '',
+  webhookUrl: '',
+  notificationChannels: { email: false, sms: false, webhook: false }
+};
+
+const NotificationPreferencesDialog = ({ open, onClose }) => {
+  const { updateProfile } = useAuth();
+  const [preferences, setPreferences] = useState(emptyPreferences);
+  const [pushEnabled, setPushEnabled] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const fetchPreferences = async () => {
+      try {
+        const response = await api.get('/auth/profile');
+        const { phone, webhookUrl, notificationChannels } = response.data.user;
+        setPreferences({
+          phone: phone || '',
+          webhookUrl: webhookUrl || '',
+          notificationChannels: { ...emptyPreferences.notificationChannels, ...notificationChannels }
+        });
+      } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+      }
+    };
+
+    fetchPreferences();
+    getPushSubscription()
+      .then(subscription => setPushEnabled(Boolean(subscription)))
+      .catch(() => setPushEnabled(false));
+  }, [open]);
+
+  // Push is per device, so it takes effect right away instead of on save
+  const handlePushToggle = async (enabled) => {
+    try {
+      if (enabled) {
+        const subscribed = await subscribeToPush();
+        setPushEnabled(subscribed);
+        if (!subscribed) {
+          toast.error('Notification permission was not granted');
+        }
+      } else {
+        await unsubscribeFromPush();
+        setPushEnabled(false);
+      }
+    } catch (error) {
+      console.error('Error updating push subscription:', error);
+      toast.error(error.response?.data?.error || 'Failed to update push notifications');
+    }
+  };
+
+  const setChannel = (channel, enabled) => {
+    setPreferences(prev => ({
+      ...prev,
+      notificationChannels: { ...prev.notificationChannels, [channel]: enabled }
+    }));
+  };
+
+  const handleSave = async () => {
+    const result = await updateProfile(preferences);
+    if (result.success) {
+      onClose();
+    }
+  };
+
+  const { notificationChannels } = preferences;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Notification Settings</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Service notices always appear in the app. Choose where else to receive them.
+        </Typography>
+        <FormGroup>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={pushEnabled}
+                disabled={!isPushSupported()}
+                onChange={(e) => handlePushToggle(e.target.checked)}
+              />
+            }
+            label={isPushSupported()
+              ? 'Push notifications on this device, even when the app is closed'
+              : 'Push notifications (not supported by this browser)'}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={notificationChannels.email}
+                onChange={(e) => setChannel('email', e.target.checked)}
+              />
+            }
+            label="Email"
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={notificationChannels.sms}
+                onChange={(e) => setChannel('sms', e.target.checked)}
+              />
+            }
+            label="SMS"
+          />
+          {notificationChannels.sms && (
+            <TextField
+              margin="dense"
+              label="Phone Number"
+              placeholder="+919876543210"
+              fullWidth
+              value={preferences.phone}
+              onChange={(e) => setPreferences({ ...preferences, phone: e.target.value })}
+            />
+          )}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={notificationChannels.webhook}
+                onChange={(e) => setChannel('webhook', e.target.checked)}
+              />
+            }
+            label="Webhook"
+          />
+          {notificationChannels.webhook && (
+            <TextField
+              margin="dense"
+              label="Webhook URL"
+              placeholder="https://example.com/bus-notices"
+              fullWidth
+              value={preferences.webhookUrl}
+              onChange={(e) => setPreferences({ ...preferences, webhookUrl: e.target.value })}
+            />
+          )}
+        </FormGroup>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained">Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default NotificationPreferencesDialog;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import api from '../services/api';
+
+const STATUS_LABELS = {
+  in_progress: { label: 'In progress', color: 'success' },
+  paused: { label: 'Paused', color: 'warning' },
+  completed: { label: 'Completed', color: 'default' }
+};
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const TripHistory = ({ buses }) => {
+  const [trips, setTrips] = useState([]);
+  const [busFilter, setBusFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedTrip, setSelectedTrip] = useState(null);
+
+  useEffect(() => {
+    fetchTrips();
+  }, [busFilter, statusFilter]);
+
+  const fetchTrips = async () => {
+    try {
+      const params = {};
+      if (busFilter) params.bus = busFilter;
+      if (statusFilter) params.status = statusFilter;
+
+      const response = await api.get('/trips', { params });
+      setTrips(response.data.trips);
+    } catch (error) {
+      console.error('Error fetching trips:', error);
+      toast.error('Failed to load trips');
+    }
+  };
+
+  const openTrip = async (trip) => {
+    try {
+      const response = await api.get(`/trips/${trip._id}`);
+      setSelectedTrip(response.data.trip);
+    } catch (error) {
+      console.error('Error fetching trip:', error);
+      toast.error('Failed to load trip');
+    }
+  };
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2 }}>
+        <Typography variant="h6">Trips</Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Bus</InputLabel>
+            <Select value={busFilter} label="Bus" onChange={(e) => setBusFilter(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              {buses.map((bus) => (
+                <MenuItem key={bus._id} value={bus._id}>{bus.busNumber}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Status</InputLabel>
+            <Select value={statusFilter} label="Status" onChange={(e) => setStatusFilter(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="in_progress">In progress</MenuItem>
+              <MenuItem value="paused">Paused</MenuItem>
+              <MenuItem value="completed">Completed</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+      </Box>
+
+      {trips.length === 0 ? (
+        <Alert severity="info" sx={{ m: 2 }}>
+          No trips recorded yet. Drivers start and end trips from the driver panel.
+        </Alert>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Bus</TableCell>
+                <TableCell>Driver</TableCell>
+                <TableCell>Route</TableCell>
+                <TableCell>Direction</TableCell>
+                <TableCell>Started</TableCell>
+                <TableCell>Duration</TableCell>
+                <TableCell>Distance</TableCell>
+                <TableCell>Avg Speed</TableCell>
+                <TableCell>Stops</TableCell>
+                <TableCell>Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {trips.map((trip) => (
+                <TableRow key={trip._id} hover onClick={() => openTrip(trip)} sx={{ cursor: 'pointer' }}>
+                  <TableCell>{trip.bus?.busNumber}</TableCell>
+                  <TableCell>{trip.driver?.name || '-'}</TableCell>
+                  <TableCell>{trip.route?.routeName}</TableCell>
+                  <TableCell>{trip.direction === 'inbound' ? 'Inbound' : 'Outbound'}</TableCell>
+                  <TableCell>{new Date(trip.startedAt).toLocaleString()}</TableCell>
+                  <TableCell>{formatDuration(trip.durationSeconds)}</TableCell>
+                  <TableCell>{trip.distance.toFixed(1)} km</TableCell>
+                  <TableCell>{trip.averageSpeed} km/h</TableCell>
+                  <TableCell>{trip.status === 'completed' ? trip.stopCount : '-'}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={STATUS_LABELS[trip.status].label}
+                      color={STATUS_LABELS[trip.status].color}
+                      size="small"
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(selectedTrip)} onClose={() => setSelectedTrip(null)} maxWidth="sm" fullWidth>
+        {selectedTrip && (
+          <>
+            <DialogTitle>
+              Bus {selectedTrip.bus?.busNumber} • {selectedTrip.route?.routeName} ({selectedTrip.direction})
+            </DialogTitle>
+            <DialogContent>
+              <Typography variant="body2">
+                Driver: {selectedTrip.driver?.name || 'Not recorded'}
+              </Typography>
+              <Typography variant="body2">
+                {new Date(selectedTrip.startedAt).toLocaleString()}
+                {selectedTrip.endedAt ? ` - ${new Date(selectedTrip.endedAt).toLocaleTimeString()}` : ' - now'}
+              </Typography>
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                {selectedTrip.distance.toFixed(1)} km in {formatDuration(selectedTrip.durationSeconds)}
+                {selectedTrip.pausedSeconds > 0 && ` (plus ${formatDuration(selectedTrip.pausedSeconds)} paused)`}
+                {` • ${selectedTrip.averageSpeed} km/h on average`}
+              </Typography>
+
+              <Typography variant="subtitle2">Stops Served</Typography>
+              {selectedTrip.stopsServed.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  {selectedTrip.status === 'completed' ? 'No stops were served.' : 'Recorded when the trip ends.'}
+                </Typography>
+              ) : (
+                <List dense>
+                  {selectedTrip.stopsServed.map((visit, index) => (
+                    <ListItem key={index} disableGutters>
+                      <ListItemText
+                        primary={visit.stop?.stopName || 'Removed stop'}
+                        secondary={`${new Date(visit.arrivedAt).toLocaleTimeString()}${visit.departedAt ? ` - ${new Date(visit.departedAt).toLocaleTimeString()}` : ''}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setSelectedTrip(null)}>Close</Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default TripHistory;
@@ -2,6 +2,8 @@ import React, { createContext, useState, useContext, useEffect } from 'react';
 import { jwtDecode } from 'jwt-decode';
 import { toast } from 'react-toastify';
 import api from '../services/api';
+import { reconnectSocket } from '../services/socket';
+import { unsubscribeFromPush } from '../services/push';
 
 const AuthContext = createContext();
 
@@ -41,6 +43,12 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  // The socket authenticates during its handshake, so it must reconnect when the token changes
+  const token = user?.token;
+  useEffect(() => {
+    reconnectSocket();
+  }, [token]);
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
@@ -88,6 +96,8 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    // Stop pushes for this user on this device
+    unsubscribeFromPush({ local: true }).catch(error => console.error('Error unsubscribing from push:', error));
     localStorage.removeItem('token');
     setUser(null);
     toast.info('Logged out successfully');
@@ -103,7 +113,7 @@ export const AuthProvider = ({ children }) => {
       toast.success('Profile updated successfully!');
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.error || 'Update failed';
+      const message = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Update failed';
       toast.error(message);
       return { success: false, error: message };
     }
@@ -116,7 +126,8 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateProfile,
-    isAdmin: user?.role === 'admin'
+    isAdmin: user?.role === 'admin',
+    isDriver: user?.role === 'driver'
   };
 
   return (
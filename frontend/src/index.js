@@ -6,6 +6,7 @@ import { BrowserRouter } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { registerServiceWorker } from './services/push';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -28,3 +29,6 @@ root.render(
     </BrowserRouter>
   </React.StrictMode>
 );
+
+// Needed for push notifications and for notification actions
+registerServiceWorker();
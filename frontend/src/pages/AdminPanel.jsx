@@ -22,7 +22,11 @@ import {
   FormControl,
   InputLabel,
   IconButton,
-  Chip
+  Chip,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Alert
 } from '@mui/material';
 import {
   Add,
@@ -30,12 +34,65 @@ import {
   Delete,
   DirectionsBus,
   Route,
-  LocationOn
+  LocationOn,
+  Person,
+  Schedule,
+  UploadFile,
+  Download,
+  Campaign,
+  WrongLocation,
+  History,
+  Assessment
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import api from '../services/api.js';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import DeviationIncidents from '../components/DeviationIncidents';
+import TripHistory from '../components/TripHistory';
+import FleetReports from '../components/FleetReports';
+
+// Format a date for a datetime-local input (local time, minute precision)
+const toDateTimeLocal = (date) => {
+  const d = new Date(date);
+  const offset = d.getTimezoneOffset() * 60000;
+  return new Date(d.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const emptyCalendarForm = () => ({
+  name: '',
+  days: WEEKDAYS.reduce((days, day) => ({ ...days, [day]: false }), {}),
+  startDate: new Date().toISOString().slice(0, 10),
+  endDate: `${new Date().getFullYear()}-12-31`,
+  exceptions: []
+});
+
+const emptyTripForm = () => ({
+  route: '',
+  calendar: '',
+  headsign: '',
+  direction: 'outbound',
+  stopTimes: [],
+  frequencies: []
+});
+
+const emptyNotificationForm = () => ({
+  message: '',
+  type: 'info',
+  targetRoutes: [],
+  publishAt: toDateTimeLocal(new Date()),
+  expiresAt: '',
+  recurrence: { frequency: 'none', interval: 1, until: '' }
+});
+
+const describeRecurrence = (recurrence) => {
+  if (!recurrence || recurrence.frequency === 'none') return 'Once';
+  const unit = recurrence.frequency === 'weekly' ? 'week' : 'day';
+  const every = recurrence.interval > 1 ? `Every ${recurrence.interval} ${unit}s` : `Every ${unit}`;
+  return recurrence.until ? `${every} until ${new Date(recurrence.until).toLocaleDateString()}` : every;
+};
 
 const AdminPanel = () => {
   const { user, loading: authLoading } = useAuth();
@@ -45,12 +102,23 @@ const AdminPanel = () => {
   const [buses, setBuses] = useState([]);
   const [routes, setRoutes] = useState([]);
   const [stops, setStops] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [calendars, setCalendars] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
 
   // Dialog states
   const [busDialog, setBusDialog] = useState({ open: false, bus: null });
   const [routeDialog, setRouteDialog] = useState({ open: false, route: null });
   const [stopDialog, setStopDialog] = useState({ open: false, stop: null });
+  const [assignmentDialog, setAssignmentDialog] = useState({ open: false, assignment: null });
+  const [driverDialog, setDriverDialog] = useState(false);
+  const [calendarDialog, setCalendarDialog] = useState({ open: false, calendar: null });
+  const [tripDialog, setTripDialog] = useState({ open: false, trip: null });
+  const [gtfsDialog, setGtfsDialog] = useState(false);
+  const [notificationDialog, setNotificationDialog] = useState({ open: false, notification: null });
 
   // Form states
   const [busForm, setBusForm] = useState({
@@ -69,13 +137,30 @@ const AdminPanel = () => {
   const [stopForm, setStopForm] = useState({
     stopName: '',
     location: { latitude: '', longitude: '' },
-    address: ''
+    address: '',
+    radius: 50
   });
   const [waypointForm, setWaypointForm] = useState({
     name: '',
     latitude: '',
     longitude: ''
   });
+  const [assignmentForm, setAssignmentForm] = useState({
+    driver: '',
+    bus: '',
+    shiftStart: '',
+    shiftEnd: ''
+  });
+  const [newDriver, setNewDriver] = useState('');
+  const [calendarForm, setCalendarForm] = useState(emptyCalendarForm());
+  const [exceptionForm, setExceptionForm] = useState({ date: '', type: 'removed', description: '' });
+  const [tripForm, setTripForm] = useState(emptyTripForm());
+  const [frequencyForm, setFrequencyForm] = useState({ startTime: '', endTime: '', headwayMinutes: '' });
+  const [gtfsFile, setGtfsFile] = useState(null);
+  const [gtfsPrune, setGtfsPrune] = useState(false);
+  const [gtfsResult, setGtfsResult] = useState(null);
+  const [gtfsLoading, setGtfsLoading] = useState(false);
+  const [notificationForm, setNotificationForm] = useState(emptyNotificationForm());
 
   useEffect(() => {
     if (user && user.role === 'admin') {
@@ -90,15 +175,34 @@ const AdminPanel = () => {
 
   const fetchData = async () => {
     try {
-      const [busesRes, routesRes, stopsRes] = await Promise.all([
+      const [
+        busesRes,
+        routesRes,
+        stopsRes,
+        usersRes,
+        assignmentsRes,
+        calendarsRes,
+        tripsRes,
+        notificationsRes
+      ] = await Promise.all([
         api.get('/buses'),
         api.get('/routes'),
-        api.get('/stops')
+        api.get('/stops'),
+        api.get('/users'),
+        api.get('/assignments'),
+        api.get('/schedules/calendars'),
+        api.get('/schedules/trips'),
+        api.get('/notifications/admin/all')
       ]);
 
       setBuses(busesRes.data.buses);
       setRoutes(routesRes.data.routes);
       setStops(stopsRes.data.stops);
+      setUsers(usersRes.data.users);
+      setAssignments(assignmentsRes.data.assignments);
+      setCalendars(calendarsRes.data.calendars);
+      setTrips(tripsRes.data.trips);
+      setNotifications(notificationsRes.data.notifications);
     } catch (error) {
       console.error('Error fetching data:', error);
       toast.error('Failed to load data');
@@ -231,13 +335,15 @@ const AdminPanel = () => {
       setStopForm({
         stopName: stop.stopName,
         location: stop.location,
-        address: stop.address
+        address: stop.address,
+        radius: stop.radius ?? 50
       });
     } else {
       setStopForm({
         stopName: '',
         location: { latitude: '', longitude: '' },
-        address: ''
+        address: '',
+        radius: 50
       });
     }
     setStopDialog({ open: true, stop });
@@ -250,7 +356,8 @@ const AdminPanel = () => {
         location: {
           latitude: parseFloat(stopForm.location.latitude),
           longitude: parseFloat(stopForm.location.longitude)
-        }
+        },
+        radius: parseFloat(stopForm.radius)
       };
 
       if (stopDialog.stop) {
@@ -280,6 +387,318 @@ const AdminPanel = () => {
     }
   };
 
+  // Driver handlers
+  const handleDriverRoleChange = async (userId, role) => {
+    try {
+      await api.put(`/users/${userId}`, { role });
+      toast.success(role === 'driver' ? 'Driver added successfully' : 'Driver role removed');
+      setDriverDialog(false);
+      setNewDriver('');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleAssignmentDialog = (assignment = null, driverId = '') => {
+    if (assignment) {
+      setAssignmentForm({
+        driver: assignment.driver?._id || '',
+        bus: assignment.bus?._id || '',
+        shiftStart: toDateTimeLocal(assignment.shiftStart),
+        shiftEnd: toDateTimeLocal(assignment.shiftEnd)
+      });
+    } else {
+      const shiftStart = new Date();
+      const shiftEnd = new Date(shiftStart.getTime() + 8 * 60 * 60 * 1000);
+      setAssignmentForm({
+        driver: driverId,
+        bus: '',
+        shiftStart: toDateTimeLocal(shiftStart),
+        shiftEnd: toDateTimeLocal(shiftEnd)
+      });
+    }
+    setAssignmentDialog({ open: true, assignment });
+  };
+
+  const handleAssignmentSubmit = async () => {
+    try {
+      const data = {
+        ...assignmentForm,
+        shiftStart: new Date(assignmentForm.shiftStart).toISOString(),
+        shiftEnd: new Date(assignmentForm.shiftEnd).toISOString()
+      };
+
+      if (assignmentDialog.assignment) {
+        await api.put(`/assignments/${assignmentDialog.assignment._id}`, data);
+        toast.success('Assignment updated successfully');
+      } else {
+        await api.post('/assignments', data);
+        toast.success('Driver assigned successfully');
+      }
+
+      setAssignmentDialog({ open: false, assignment: null });
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleAssignmentDelete = async (assignmentId) => {
+    if (window.confirm('Are you sure you want to delete this assignment?')) {
+      try {
+        await api.delete(`/assignments/${assignmentId}`);
+        toast.success('Assignment deleted successfully');
+        fetchData();
+      } catch (error) {
+        toast.error('Failed to delete assignment');
+      }
+    }
+  };
+
+  // Schedule handlers
+  const handleCalendarDialog = (calendar = null) => {
+    if (calendar) {
+      setCalendarForm({
+        name: calendar.name,
+        days: { ...emptyCalendarForm().days, ...calendar.days },
+        startDate: calendar.startDate,
+        endDate: calendar.endDate,
+        exceptions: calendar.exceptions || []
+      });
+    } else {
+      setCalendarForm(emptyCalendarForm());
+    }
+    setExceptionForm({ date: '', type: 'removed', description: '' });
+    setCalendarDialog({ open: true, calendar });
+  };
+
+  const handleCalendarSubmit = async () => {
+    try {
+      if (calendarDialog.calendar) {
+        await api.put(`/schedules/calendars/${calendarDialog.calendar._id}`, calendarForm);
+        toast.success('Calendar updated successfully');
+      } else {
+        await api.post('/schedules/calendars', calendarForm);
+        toast.success('Calendar created successfully');
+      }
+
+      setCalendarDialog({ open: false, calendar: null });
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleCalendarDelete = async (calendarId) => {
+    if (window.confirm('Are you sure you want to delete this calendar?')) {
+      try {
+        await api.delete(`/schedules/calendars/${calendarId}`);
+        toast.success('Calendar deleted successfully');
+        fetchData();
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to delete calendar');
+      }
+    }
+  };
+
+  const handleTripDialog = (trip = null) => {
+    if (trip) {
+      setTripForm({
+        route: trip.route?._id || '',
+        calendar: trip.calendar?._id || '',
+        headsign: trip.headsign || '',
+        direction: trip.direction || 'outbound',
+        stopTimes: trip.stopTimes.map(stopTime => ({
+          stop: stopTime.stop?._id,
+          stopName: stopTime.stop?.stopName,
+          arrivalTime: stopTime.arrivalTime.slice(0, 5),
+          departureTime: stopTime.departureTime.slice(0, 5)
+        })),
+        frequencies: (trip.frequencies || []).map(frequency => ({
+          startTime: frequency.startTime.slice(0, 5),
+          endTime: frequency.endTime.slice(0, 5),
+          headwayMinutes: frequency.headwayMinutes
+        }))
+      });
+    } else {
+      setTripForm(emptyTripForm());
+    }
+    setFrequencyForm({ startTime: '', endTime: '', headwayMinutes: '' });
+    setTripDialog({ open: true, trip });
+  };
+
+  const handleTripRouteChange = (routeId) => {
+    const route = routes.find(r => r._id === routeId);
+    setTripForm({
+      ...tripForm,
+      route: routeId,
+      headsign: tripForm.headsign || (route ? route.endPoint.name : ''),
+      stopTimes: (route?.stops || []).map(stop => ({
+        stop: stop._id,
+        stopName: stop.stopName,
+        arrivalTime: '',
+        departureTime: ''
+      }))
+    });
+  };
+
+  const updateStopTime = (index, field, value) => {
+    setTripForm({
+      ...tripForm,
+      stopTimes: tripForm.stopTimes.map((stopTime, i) => (i === index ? { ...stopTime, [field]: value } : stopTime))
+    });
+  };
+
+  const handleTripSubmit = async () => {
+    if (tripForm.stopTimes.some(stopTime => !stopTime.arrivalTime)) {
+      toast.error('Enter an arrival time for every stop');
+      return;
+    }
+
+    try {
+      const data = {
+        ...tripForm,
+        stopTimes: tripForm.stopTimes.map(stopTime => ({
+          stop: stopTime.stop,
+          arrivalTime: stopTime.arrivalTime,
+          departureTime: stopTime.departureTime || stopTime.arrivalTime
+        })),
+        frequencies: tripForm.frequencies.map(frequency => ({
+          ...frequency,
+          headwayMinutes: parseInt(frequency.headwayMinutes)
+        }))
+      };
+
+      if (tripDialog.trip) {
+        await api.put(`/schedules/trips/${tripDialog.trip._id}`, data);
+        toast.success('Trip updated successfully');
+      } else {
+        await api.post('/schedules/trips', data);
+        toast.success('Trip created successfully');
+      }
+
+      setTripDialog({ open: false, trip: null });
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Operation failed');
+    }
+  };
+
+  const handleTripDelete = async (tripId) => {
+    if (window.confirm('Are you sure you want to delete this trip?')) {
+      try {
+        await api.delete(`/schedules/trips/${tripId}`);
+        toast.success('Trip deleted successfully');
+        fetchData();
+      } catch (error) {
+        toast.error('Failed to delete trip');
+      }
+    }
+  };
+
+  // GTFS import handlers
+  // Notification handlers
+  const handleNotificationDialog = (notification = null) => {
+    if (notification) {
+      setNotificationForm({
+        message: notification.message,
+        type: notification.type,
+        targetRoutes: (notification.targetRoutes || []).map(route => route._id),
+        publishAt: toDateTimeLocal(notification.publishAt || notification.time),
+        expiresAt: notification.expiresAt ? toDateTimeLocal(notification.expiresAt) : '',
+        recurrence: {
+          ...emptyNotificationForm().recurrence,
+          ...notification.recurrence,
+          until: notification.recurrence?.until ? notification.recurrence.until.slice(0, 10) : ''
+        }
+      });
+    } else {
+      setNotificationForm(emptyNotificationForm());
+    }
+    setNotificationDialog({ open: true, notification });
+  };
+
+  const handleNotificationSubmit = async () => {
+    try {
+      const { recurrence } = notificationForm;
+      const data = {
+        ...notificationForm,
+        publishAt: new Date(notificationForm.publishAt).toISOString(),
+        expiresAt: notificationForm.expiresAt ? new Date(notificationForm.expiresAt).toISOString() : null,
+        recurrence: {
+          frequency: recurrence.frequency,
+          interval: Number(recurrence.interval) || 1,
+          // Include the whole last day
+          until: recurrence.until ? new Date(`${recurrence.until}T23:59:59`).toISOString() : null
+        }
+      };
+
+      if (notificationDialog.notification) {
+        await api.put(`/notifications/${notificationDialog.notification._id}`, data);
+        toast.success('Notification updated successfully');
+      } else {
+        const response = await api.post('/notifications', data);
+        toast.success(response.data.message);
+      }
+
+      setNotificationDialog({ open: false, notification: null });
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Operation failed');
+    }
+  };
+
+  const handleNotificationDelete = async (notificationId) => {
+    if (window.confirm('Are you sure you want to delete this notification?')) {
+      try {
+        await api.delete(`/notifications/${notificationId}`);
+        toast.success('Notification deleted successfully');
+        fetchData();
+      } catch (error) {
+        toast.error('Failed to delete notification');
+      }
+    }
+  };
+
+  const handleGtfsDialog = () => {
+    setGtfsFile(null);
+    setGtfsPrune(false);
+    setGtfsResult(null);
+    setGtfsDialog(true);
+  };
+
+  const handleGtfsImport = async (dryRun) => {
+    if (!gtfsFile) return;
+
+    setGtfsLoading(true);
+    try {
+      const formData = new FormData();
+      formData.append('feed', gtfsFile);
+
+      const response = await api.post('/gtfs/import', formData, {
+        params: { dryRun, prune: gtfsPrune },
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      setGtfsResult(response.data);
+      if (!dryRun) {
+        toast.success(response.data.message);
+        fetchData();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'GTFS import failed');
+    } finally {
+      setGtfsLoading(false);
+    }
+  };
+
+  const drivers = users.filter(u => u.role === 'driver');
+  const isShiftActive = (assignment) => {
+    const now = new Date();
+    return new Date(assignment.shiftStart) <= now && new Date(assignment.shiftEnd) >= now;
+  };
+
   if (authLoading || loading) {
     return <Typography>Loading...</Typography>;
   }
@@ -291,10 +710,16 @@ const AdminPanel = () => {
       </Typography>
 
       <Paper sx={{ width: '100%', mb: 2 }}>
-        <Tabs value={tabValue} onChange={handleTabChange} aria-label="admin tabs">
+        <Tabs value={tabValue} onChange={handleTabChange} variant="scrollable" scrollButtons="auto" aria-label="admin tabs">
           <Tab icon={<DirectionsBus />} label="Buses" />
           <Tab icon={<Route />} label="Routes" />
           <Tab icon={<LocationOn />} label="Stops" />
+          <Tab icon={<Person />} label="Drivers" />
+          <Tab icon={<Schedule />} label="Schedules" />
+          <Tab icon={<Campaign />} label="Notifications" />
+          <Tab icon={<WrongLocation />} label="Deviations" />
+          <Tab icon={<History />} label="Trips" />
+          <Tab icon={<Assessment />} label="Reports" />
         </Tabs>
       </Paper>
 
@@ -457,6 +882,317 @@ const AdminPanel = () => {
         </Paper>
       )}
 
+      {/* Drivers Tab */}
+      {tabValue === 3 && (
+        <>
+          <Paper sx={{ mb: 2 }}>
+            <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="h6">Drivers</Typography>
+              <Button
+                variant="contained"
+                startIcon={<Add />}
+                onClick={() => setDriverDialog(true)}
+              >
+                Add Driver
+              </Button>
+            </Box>
+
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Email</TableCell>
+                    <TableCell>Current Bus</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {drivers.map((driver) => {
+                    const current = assignments.find(a => a.driver?._id === driver._id && isShiftActive(a));
+                    return (
+                      <TableRow key={driver._id}>
+                        <TableCell>{driver.name}</TableCell>
+                        <TableCell>{driver.email}</TableCell>
+                        <TableCell>{current?.bus ? current.bus.busNumber : 'Off shift'}</TableCell>
+                        <TableCell>
+                          <Button size="small" onClick={() => handleAssignmentDialog(null, driver._id)}>
+                            Assign Bus
+                          </Button>
+                          <Button size="small" color="secondary" onClick={() => handleDriverRoleChange(driver._id, 'user')}>
+                            Remove Driver
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Paper>
+            <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="h6">Shift Assignments</Typography>
+              <Button
+                variant="contained"
+                startIcon={<Add />}
+                onClick={() => handleAssignmentDialog()}
+                disabled={drivers.length === 0}
+              >
+                Assign Driver
+              </Button>
+            </Box>
+
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Driver</TableCell>
+                    <TableCell>Bus</TableCell>
+                    <TableCell>Shift Start</TableCell>
+                    <TableCell>Shift End</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {assignments.map((assignment) => (
+                    <TableRow key={assignment._id}>
+                      <TableCell>{assignment.driver?.name || 'Unknown'}</TableCell>
+                      <TableCell>{assignment.bus?.busNumber || 'Unknown'}</TableCell>
+                      <TableCell>{new Date(assignment.shiftStart).toLocaleString()}</TableCell>
+                      <TableCell>{new Date(assignment.shiftEnd).toLocaleString()}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={isShiftActive(assignment) ? 'on shift' : 'scheduled'}
+                          color={isShiftActive(assignment) ? 'success' : 'default'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <IconButton onClick={() => handleAssignmentDialog(assignment)}>
+                          <Edit />
+                        </IconButton>
+                        <IconButton onClick={() => handleAssignmentDelete(assignment._id)}>
+                          <Delete />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+
+      {/* Schedules Tab */}
+      {tabValue === 4 && (
+        <>
+          <Paper sx={{ mb: 2 }}>
+            <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="h6">Service Calendars</Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  variant="outlined"
+                  startIcon={<UploadFile />}
+                  onClick={handleGtfsDialog}
+                >
+                  Import GTFS
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<Download />}
+                  href={`${api.defaults.baseURL}/gtfs/export`}
+                >
+                  Export GTFS
+                </Button>
+                <Button
+                  variant="contained"
+                  startIcon={<Add />}
+                  onClick={() => handleCalendarDialog()}
+                >
+                  Add Calendar
+                </Button>
+              </Box>
+            </Box>
+
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Days</TableCell>
+                    <TableCell>Valid</TableCell>
+                    <TableCell>Exceptions</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {calendars.map((calendar) => (
+                    <TableRow key={calendar._id}>
+                      <TableCell>{calendar.name}</TableCell>
+                      <TableCell>
+                        {WEEKDAYS.filter(day => calendar.days?.[day]).map(day => day.slice(0, 3)).join(', ') || 'None'}
+                      </TableCell>
+                      <TableCell>{calendar.startDate} to {calendar.endDate}</TableCell>
+                      <TableCell>{calendar.exceptions?.length || 0}</TableCell>
+                      <TableCell>
+                        <IconButton onClick={() => handleCalendarDialog(calendar)}>
+                          <Edit />
+                        </IconButton>
+                        <IconButton onClick={() => handleCalendarDelete(calendar._id)}>
+                          <Delete />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Paper>
+            <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="h6">Scheduled Trips</Typography>
+              <Button
+                variant="contained"
+                startIcon={<Add />}
+                onClick={() => handleTripDialog()}
+                disabled={calendars.length === 0}
+              >
+                Add Trip
+              </Button>
+            </Box>
+
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Route</TableCell>
+                    <TableCell>Headsign</TableCell>
+                    <TableCell>Calendar</TableCell>
+                    <TableCell>Departs</TableCell>
+                    <TableCell>Stops</TableCell>
+                    <TableCell>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {trips.map((trip) => (
+                    <TableRow key={trip._id}>
+                      <TableCell>{trip.route?.routeName || 'Unknown'}</TableCell>
+                      <TableCell>{trip.headsign || '-'}</TableCell>
+                      <TableCell>{trip.calendar?.name || 'Unknown'}</TableCell>
+                      <TableCell>
+                        {trip.frequencies?.length > 0
+                          ? trip.frequencies.map(f => `${f.startTime.slice(0, 5)}-${f.endTime.slice(0, 5)} every ${f.headwayMinutes} min`).join('; ')
+                          : trip.stopTimes[0]?.departureTime.slice(0, 5)}
+                      </TableCell>
+                      <TableCell>{trip.stopTimes.length}</TableCell>
+                      <TableCell>
+                        <IconButton onClick={() => handleTripDialog(trip)}>
+                          <Edit />
+                        </IconButton>
+                        <IconButton onClick={() => handleTripDelete(trip._id)}>
+                          <Delete />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+
+      {/* Notifications Tab */}
+      {tabValue === 5 && (
+        <Paper>
+          <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6">Service Notices</Typography>
+            <Button
+              variant="contained"
+              startIcon={<Add />}
+              onClick={() => handleNotificationDialog()}
+            >
+              Add Notice
+            </Button>
+          </Box>
+
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Message</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Routes</TableCell>
+                  <TableCell>Publish</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Repeats</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {notifications.map((notification) => (
+                  <TableRow key={notification._id}>
+                    <TableCell>{notification.message}</TableCell>
+                    <TableCell>{notification.type}</TableCell>
+                    <TableCell>
+                      {notification.targetRoutes.length > 0
+                        ? notification.targetRoutes.map(route => route.routeName).join(', ')
+                        : 'All'
+                      }
+                    </TableCell>
+                    <TableCell>{new Date(notification.publishAt || notification.time).toLocaleString()}</TableCell>
+                    <TableCell>
+                      {notification.expiresAt ? new Date(notification.expiresAt).toLocaleString() : 'Never'}
+                    </TableCell>
+                    <TableCell>{describeRecurrence(notification.recurrence)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={notification.status || 'published'}
+                        color={
+                          notification.status === 'scheduled' ? 'info'
+                            : notification.status === 'expired' ? 'default'
+                            : 'success'
+                        }
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <IconButton onClick={() => handleNotificationDialog(notification)}>
+                        <Edit />
+                      </IconButton>
+                      <IconButton onClick={() => handleNotificationDelete(notification._id)}>
+                        <Delete />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      {/* Deviations Tab */}
+      {tabValue === 6 && (
+        <DeviationIncidents routes={routes} />
+      )}
+
+      {/* Trips Tab */}
+      {tabValue === 7 && (
+        <TripHistory buses={buses} />
+      )}
+
+      {/* Reports Tab */}
+      {tabValue === 8 && (
+        <FleetReports />
+      )}
+
       {/* Bus Dialog */}
       <Dialog open={busDialog.open} onClose={() => setBusDialog({ open: false, bus: null })} maxWidth="sm" fullWidth>
         <DialogTitle>{busDialog.bus ? 'Edit Bus' : 'Add Bus'}</DialogTitle>
@@ -724,12 +1460,586 @@ const AdminPanel = () => {
             value={stopForm.address}
             onChange={(e) => setStopForm({ ...stopForm, address: e.target.value })}
           />
+          <TextField
+            margin="dense"
+            label="Arrival Radius (meters)"
+            fullWidth
+            type="number"
+            inputProps={{ min: 5, max: 1000 }}
+            helperText="A bus within this distance of the stop counts as arrived"
+            value={stopForm.radius}
+            onChange={(e) => setStopForm({ ...stopForm, radius: e.target.value })}
+          />
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setStopDialog({ open: false, stop: null })}>Cancel</Button>
           <Button onClick={handleStopSubmit} variant="contained">Save</Button>
         </DialogActions>
       </Dialog>
+
+      {/* Calendar Dialog */}
+      <Dialog open={calendarDialog.open} onClose={() => setCalendarDialog({ open: false, calendar: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{calendarDialog.calendar ? 'Edit Calendar' : 'Add Calendar'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Calendar Name"
+            fullWidth
+            value={calendarForm.name}
+            onChange={(e) => setCalendarForm({ ...calendarForm, name: e.target.value })}
+          />
+          <FormGroup row sx={{ mt: 1 }}>
+            {WEEKDAYS.map((day) => (
+              <FormControlLabel
+                key={day}
+                label={day.slice(0, 3)}
+                control={
+                  <Checkbox
+                    checked={Boolean(calendarForm.days[day])}
+                    onChange={(e) => setCalendarForm({
+                      ...calendarForm,
+                      days: { ...calendarForm.days, [day]: e.target.checked }
+                    })}
+                  />
+                }
+              />
+            ))}
+          </FormGroup>
+          <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+            <TextField
+              label="Start Date"
+              fullWidth
+              type="date"
+              InputLabelProps={{ shrink: true }}
+              value={calendarForm.startDate}
+              onChange={(e) => setCalendarForm({ ...calendarForm, startDate: e.target.value })}
+            />
+            <TextField
+              label="End Date"
+              fullWidth
+              type="date"
+              InputLabelProps={{ shrink: true }}
+              value={calendarForm.endDate}
+              onChange={(e) => setCalendarForm({ ...calendarForm, endDate: e.target.value })}
+            />
+          </Box>
+
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Holidays and Exceptions
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'center' }}>
+            <TextField
+              size="small"
+              type="date"
+              InputLabelProps={{ shrink: true }}
+              label="Date"
+              value={exceptionForm.date}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, date: e.target.value })}
+            />
+            <FormControl size="small" sx={{ minWidth: 130 }}>
+              <InputLabel>Service</InputLabel>
+              <Select
+                value={exceptionForm.type}
+                label="Service"
+                onChange={(e) => setExceptionForm({ ...exceptionForm, type: e.target.value })}
+              >
+                <MenuItem value="removed">No service</MenuItem>
+                <MenuItem value="added">Extra service</MenuItem>
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              label="Description"
+              value={exceptionForm.description}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, description: e.target.value })}
+            />
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={() => {
+                if (exceptionForm.date) {
+                  setCalendarForm({
+                    ...calendarForm,
+                    exceptions: [
+                      ...calendarForm.exceptions.filter(exception => exception.date !== exceptionForm.date),
+                      exceptionForm
+                    ]
+                  });
+                  setExceptionForm({ date: '', type: 'removed', description: '' });
+                }
+              }}
+            >
+              Add
+            </Button>
+          </Box>
+          {calendarForm.exceptions.map((exception) => (
+            <Chip
+              key={exception.date}
+              sx={{ mr: 1, mb: 1 }}
+              size="small"
+              color={exception.type === 'removed' ? 'default' : 'primary'}
+              label={`${exception.date}: ${exception.type === 'removed' ? 'no service' : 'extra service'}${exception.description ? ` (${exception.description})` : ''}`}
+              onDelete={() => setCalendarForm({
+                ...calendarForm,
+                exceptions: calendarForm.exceptions.filter(e => e.date !== exception.date)
+              })}
+            />
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCalendarDialog({ open: false, calendar: null })}>Cancel</Button>
+          <Button onClick={handleCalendarSubmit} variant="contained">Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Trip Dialog */}
+      <Dialog open={tripDialog.open} onClose={() => setTripDialog({ open: false, trip: null })} maxWidth="md" fullWidth>
+        <DialogTitle>{tripDialog.trip ? 'Edit Trip' : 'Add Trip'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+            <FormControl fullWidth margin="dense">
+              <InputLabel>Route</InputLabel>
+              <Select
+                value={tripForm.route}
+                label="Route"
+                onChange={(e) => handleTripRouteChange(e.target.value)}
+              >
+                {routes.map((route) => (
+                  <MenuItem key={route._id} value={route._id}>
+                    {route.routeName}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl fullWidth margin="dense">
+              <InputLabel>Calendar</InputLabel>
+              <Select
+                value={tripForm.calendar}
+                label="Calendar"
+                onChange={(e) => setTripForm({ ...tripForm, calendar: e.target.value })}
+              >
+                {calendars.map((calendar) => (
+                  <MenuItem key={calendar._id} value={calendar._id}>
+                    {calendar.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              margin="dense"
+              label="Headsign"
+              fullWidth
+              value={tripForm.headsign}
+              onChange={(e) => setTripForm({ ...tripForm, headsign: e.target.value })}
+            />
+            <FormControl fullWidth margin="dense">
+              <InputLabel>Direction</InputLabel>
+              <Select
+                value={tripForm.direction}
+                label="Direction"
+                onChange={(e) => setTripForm({ ...tripForm, direction: e.target.value })}
+              >
+                <MenuItem value="outbound">Outbound</MenuItem>
+                <MenuItem value="inbound">Inbound</MenuItem>
+              </Select>
+            </FormControl>
+          </Box>
+
+          <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>
+            Stop Times
+          </Typography>
+          {tripForm.stopTimes.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              Select a route to enter times for its stops.
+            </Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Stop</TableCell>
+                  <TableCell>Arrival</TableCell>
+                  <TableCell>Departure</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {tripForm.stopTimes.map((stopTime, index) => (
+                  <TableRow key={`${stopTime.stop}-${index}`}>
+                    <TableCell>{stopTime.stopName}</TableCell>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        type="time"
+                        value={stopTime.arrivalTime}
+                        onChange={(e) => updateStopTime(index, 'arrivalTime', e.target.value)}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        type="time"
+                        value={stopTime.departureTime}
+                        placeholder={stopTime.arrivalTime}
+                        onChange={(e) => updateStopTime(index, 'departureTime', e.target.value)}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>
+            Headway Service (Optional)
+          </Typography>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+            Repeat the stop times above every few minutes between a start and end time.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'center' }}>
+            <TextField
+              size="small"
+              type="time"
+              label="From"
+              InputLabelProps={{ shrink: true }}
+              value={frequencyForm.startTime}
+              onChange={(e) => setFrequencyForm({ ...frequencyForm, startTime: e.target.value })}
+            />
+            <TextField
+              size="small"
+              type="time"
+              label="Until"
+              InputLabelProps={{ shrink: true }}
+              value={frequencyForm.endTime}
+              onChange={(e) => setFrequencyForm({ ...frequencyForm, endTime: e.target.value })}
+            />
+            <TextField
+              size="small"
+              type="number"
+              label="Every (min)"
+              value={frequencyForm.headwayMinutes}
+              onChange={(e) => setFrequencyForm({ ...frequencyForm, headwayMinutes: e.target.value })}
+            />
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={() => {
+                if (frequencyForm.startTime && frequencyForm.endTime && frequencyForm.headwayMinutes) {
+                  setTripForm({ ...tripForm, frequencies: [...tripForm.frequencies, frequencyForm] });
+                  setFrequencyForm({ startTime: '', endTime: '', headwayMinutes: '' });
+                }
+              }}
+            >
+              Add
+            </Button>
+          </Box>
+          {tripForm.frequencies.map((frequency, index) => (
+            <Chip
+              key={index}
+              sx={{ mr: 1, mb: 1 }}
+              size="small"
+              label={`${frequency.startTime}-${frequency.endTime} every ${frequency.headwayMinutes} min`}
+              onDelete={() => setTripForm({
+                ...tripForm,
+                frequencies: tripForm.frequencies.filter((_, i) => i !== index)
+              })}
+            />
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTripDialog({ open: false, trip: null })}>Cancel</Button>
+          <Button onClick={handleTripSubmit} variant="contained" disabled={!tripForm.route || !tripForm.calendar}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* GTFS Import Dialog */}
+      <Dialog open={gtfsDialog} onClose={() => setGtfsDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import GTFS Feed</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+            Upload a GTFS zip to create or update stops, routes, calendars and trips.
+            Preview the changes before importing.
+          </Typography>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />}>
+            {gtfsFile ? gtfsFile.name : 'Choose File'}
+            <input
+              type="file"
+              accept=".zip"
+              hidden
+              onChange={(e) => {
+                setGtfsFile(e.target.files[0] || null);
+                setGtfsResult(null);
+              }}
+            />
+          </Button>
+          <FormControlLabel
+            sx={{ display: 'block', mt: 1 }}
+            label="Remove previously imported data that is no longer in the feed"
+            control={
+              <Checkbox
+                checked={gtfsPrune}
+                onChange={(e) => {
+                  setGtfsPrune(e.target.checked);
+                  setGtfsResult(null);
+                }}
+              />
+            }
+          />
+
+          {gtfsResult && (
+            <Box sx={{ mt: 2 }}>
+              <Alert severity={gtfsResult.dryRun ? 'info' : 'success'} sx={{ mb: 2 }}>
+                {gtfsResult.message}
+              </Alert>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell></TableCell>
+                    <TableCell>New</TableCell>
+                    <TableCell>Changed</TableCell>
+                    <TableCell>Unchanged</TableCell>
+                    <TableCell>Not in Feed</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {['stops', 'routes', 'calendars', 'trips'].map((type) => (
+                    <TableRow key={type}>
+                      <TableCell sx={{ textTransform: 'capitalize' }}>{type}</TableCell>
+                      <TableCell>{gtfsResult.report[type].create.length}</TableCell>
+                      <TableCell>{gtfsResult.report[type].update.length}</TableCell>
+                      <TableCell>{gtfsResult.report[type].unchanged}</TableCell>
+                      <TableCell>{gtfsResult.report[type].stale.length}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              {gtfsResult.report.warnings.length > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  {gtfsResult.report.warnings.map((warning, index) => (
+                    <Typography key={index} variant="body2">{warning}</Typography>
+                  ))}
+                </Alert>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setGtfsDialog(false)}>Close</Button>
+          <Button onClick={() => handleGtfsImport(true)} disabled={!gtfsFile || gtfsLoading}>
+            Preview Changes
+          </Button>
+          <Button
+            onClick={() => handleGtfsImport(false)}
+            variant="contained"
+            disabled={!gtfsResult || !gtfsResult.dryRun || gtfsLoading}
+          >
+            Import
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Notification Dialog */}
+      <Dialog open={notificationDialog.open} onClose={() => setNotificationDialog({ open: false, notification: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{notificationDialog.notification ? 'Edit Notice' : 'Add Notice'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Message"
+            fullWidth
+            multiline
+            minRows={2}
+            value={notificationForm.message}
+            onChange={(e) => setNotificationForm({ ...notificationForm, message: e.target.value })}
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Type</InputLabel>
+            <Select
+              value={notificationForm.type}
+              label="Type"
+              onChange={(e) => setNotificationForm({ ...notificationForm, type: e.target.value })}
+            >
+              <MenuItem value="info">Info</MenuItem>
+              <MenuItem value="warning">Warning</MenuItem>
+              <MenuItem value="alert">Alert</MenuItem>
+              <MenuItem value="maintenance">Maintenance</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Routes (empty for everyone)</InputLabel>
+            <Select
+              multiple
+              value={notificationForm.targetRoutes}
+              label="Routes (empty for everyone)"
+              onChange={(e) => setNotificationForm({ ...notificationForm, targetRoutes: e.target.value })}
+              renderValue={(selected) => routes
+                .filter(route => selected.includes(route._id))
+                .map(route => route.routeName)
+                .join(', ')}
+            >
+              {routes.map((route) => (
+                <MenuItem key={route._id} value={route._id}>
+                  <Checkbox checked={notificationForm.targetRoutes.includes(route._id)} />
+                  {route.routeName}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            margin="dense"
+            label="Publish At"
+            fullWidth
+            type="datetime-local"
+            InputLabelProps={{ shrink: true }}
+            value={notificationForm.publishAt}
+            onChange={(e) => setNotificationForm({ ...notificationForm, publishAt: e.target.value })}
+          />
+          <TextField
+            margin="dense"
+            label="Expires At"
+            fullWidth
+            type="datetime-local"
+            InputLabelProps={{ shrink: true }}
+            helperText="Leave empty to keep the notice until it is removed"
+            value={notificationForm.expiresAt}
+            onChange={(e) => setNotificationForm({ ...notificationForm, expiresAt: e.target.value })}
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Repeat</InputLabel>
+            <Select
+              value={notificationForm.recurrence.frequency}
+              label="Repeat"
+              onChange={(e) => setNotificationForm({
+                ...notificationForm,
+                recurrence: { ...notificationForm.recurrence, frequency: e.target.value }
+              })}
+            >
+              <MenuItem value="none">Does not repeat</MenuItem>
+              <MenuItem value="daily">Daily</MenuItem>
+              <MenuItem value="weekly">Weekly</MenuItem>
+            </Select>
+          </FormControl>
+          {notificationForm.recurrence.frequency !== 'none' && (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="dense"
+                label={notificationForm.recurrence.frequency === 'weekly' ? 'Every (weeks)' : 'Every (days)'}
+                type="number"
+                inputProps={{ min: 1 }}
+                value={notificationForm.recurrence.interval}
+                onChange={(e) => setNotificationForm({
+                  ...notificationForm,
+                  recurrence: { ...notificationForm.recurrence, interval: e.target.value }
+                })}
+              />
+              <TextField
+                margin="dense"
+                label="Until"
+                type="date"
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                value={notificationForm.recurrence.until}
+                onChange={(e) => setNotificationForm({
+                  ...notificationForm,
+                  recurrence: { ...notificationForm.recurrence, until: e.target.value }
+                })}
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNotificationDialog({ open: false, notification: null })}>Cancel</Button>
+          <Button onClick={handleNotificationSubmit} variant="contained">Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Add Driver Dialog */}
+      <Dialog open={driverDialog} onClose={() => setDriverDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Driver</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="dense">
+            <InputLabel>User</InputLabel>
+            <Select
+              value={newDriver}
+              label="User"
+              onChange={(e) => setNewDriver(e.target.value)}
+            >
+              {users.filter(u => u.role === 'user').map((u) => (
+                <MenuItem key={u._id} value={u._id}>
+                  {u.name} ({u.email})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDriverDialog(false)}>Cancel</Button>
+          <Button onClick={() => handleDriverRoleChange(newDriver, 'driver')} variant="contained" disabled={!newDriver}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Assignment Dialog */}
+      <Dialog open={assignmentDialog.open} onClose={() => setAssignmentDialog({ open: false, assignment: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{assignmentDialog.assignment ? 'Edit Assignment' : 'Assign Driver'}</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Driver</InputLabel>
+            <Select
+              value={assignmentForm.driver}
+              label="Driver"
+              disabled={Boolean(assignmentDialog.assignment)}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, driver: e.target.value })}
+            >
+              {drivers.map((driver) => (
+                <MenuItem key={driver._id} value={driver._id}>
+                  {driver.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Bus</InputLabel>
+            <Select
+              value={assignmentForm.bus}
+              label="Bus"
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, bus: e.target.value })}
+            >
+              {buses.map((bus) => (
+                <MenuItem key={bus._id} value={bus._id}>
+                  {bus.busNumber} - {bus.route.routeName}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            margin="dense"
+            label="Shift Start"
+            fullWidth
+            type="datetime-local"
+            InputLabelProps={{ shrink: true }}
+            value={assignmentForm.shiftStart}
+            onChange={(e) => setAssignmentForm({ ...assignmentForm, shiftStart: e.target.value })}
+          />
+          <TextField
+            margin="dense"
+            label="Shift End"
+            fullWidth
+            type="datetime-local"
+            InputLabelProps={{ shrink: true }}
+            value={assignmentForm.shiftEnd}
+            onChange={(e) => setAssignmentForm({ ...assignmentForm, shiftEnd: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAssignmentDialog({ open: false, assignment: null })}>Cancel</Button>
+          <Button onClick={handleAssignmentSubmit} variant="contained">Save</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -18,9 +18,15 @@ import {
   Card,
   CardContent,
   Fab,
+  Slider,
+  IconButton,
+  TextField,
+  Switch,
+  FormControlLabel,
   useTheme,
   useMediaQuery
 } from '@mui/material';
+import { PlayArrow, Pause, Star, StarBorder } from '@mui/icons-material';
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
@@ -28,8 +34,9 @@ import { getSocket } from '../services/socket';
 import api from '../services/api';
 import { toast } from 'react-toastify';
 import { useAuth } from '../context/AuthContext';
-import { calculateETA, findNearestStop, calculateDistance, checkBusApproachingStop } from '../utils/locationUtils';
-import { requestNotificationPermission, showBusArrivalNotification, checkAndNotifyBusUpdates } from '../utils/notificationUtils';
+import ArrivalAlerts from '../components/ArrivalAlerts';
+import { calculateETA, calculateDistance, interpolatePosition } from '../utils/locationUtils';
+import { requestNotificationPermission, showBusArrivalNotification, showBusDepartureNotification } from '../utils/notificationUtils';
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -39,8 +46,14 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+const PLAYBACK_SPEEDS = [1, 5, 10, 30, 60];
+const PLAYBACK_TICK_MS = 200;
+const NEAREST_STOP_RADIUS_METERS = 5000;
+const NEARBY_RADIUS_METERS = 2000;
+const NEARBY_REFRESH_MS = 30000;
+
 const BusTracking = () => {
-  const { user, loading: authLoading } = useAuth();
+  const { user, loading: authLoading, isAdmin } = useAuth();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
@@ -50,11 +63,46 @@ const BusTracking = () => {
   const [stops, setStops] = useState([]);
   const [selectedRoute, setSelectedRoute] = useState('');
   const [trackedBuses, setTrackedBuses] = useState([]);
+  const [favoriteStops, setFavoriteStops] = useState([]);
   const [selectedBus, setSelectedBus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [userLocation, setUserLocation] = useState(null);
+  const [nearestStop, setNearestStop] = useState(null);
+  const [nearbyOnly, setNearbyOnly] = useState(false);
+  const [nearby, setNearby] = useState({ stops: [], busIds: [] });
   const [mapStyle, setMapStyle] = useState('streets-v11'); // streets-v11, satellite-v9, light-v10, dark-v10
   const mapRef = useRef(null);
+  // Read by socket handlers, which are registered once
+  const trackedBusesRef = useRef([]);
+
+  // Trip playback state
+  const [playbackBus, setPlaybackBus] = useState('');
+  const [playbackDate, setPlaybackDate] = useState(new Date().toISOString().slice(0, 10));
+  const [playbackHistory, setPlaybackHistory] = useState([]);
+  const [playbackTime, setPlaybackTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(10);
+  const [playbackLoading, setPlaybackLoading] = useState(false);
+  const [departureStop, setDepartureStop] = useState('');
+  const [departures, setDepartures] = useState([]);
+
+  useEffect(() => {
+    if (!isPlaying || playbackHistory.length === 0) return;
+
+    const endTime = new Date(playbackHistory[playbackHistory.length - 1].timestamp).getTime();
+    const interval = setInterval(() => {
+      setPlaybackTime(prev => {
+        const next = prev + PLAYBACK_TICK_MS * playbackSpeed;
+        if (next >= endTime) {
+          setIsPlaying(false);
+          return endTime;
+        }
+        return next;
+      });
+    }, PLAYBACK_TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, playbackSpeed, playbackHistory]);
 
   useEffect(() => {
     if (user) {
@@ -67,9 +115,99 @@ const BusTracking = () => {
     return () => {
       const socket = getSocket();
       socket.off('bus-location-update');
+      socket.off('bus-arrived');
+      socket.off('bus-departed');
     };
   }, [user]);
 
+  useEffect(() => {
+    trackedBusesRef.current = trackedBuses;
+  }, [trackedBuses]);
+
+  // Location updates and stop events are sent to the room of each bus
+  const busIds = buses.map(bus => bus._id).join(',');
+  useEffect(() => {
+    if (!busIds) return;
+
+    const socket = getSocket();
+    const ids = busIds.split(',');
+    ids.forEach(busId => socket.emit('join-bus-tracking', busId));
+
+    return () => {
+      ids.forEach(busId => socket.emit('leave-bus-tracking', busId));
+    };
+  }, [busIds]);
+
+  useEffect(() => {
+    if (!departureStop) {
+      setDepartures([]);
+      return;
+    }
+
+    const fetchDepartures = async () => {
+      try {
+        const response = await api.get('/schedules/departures', {
+          params: { stop: departureStop, limit: 10 }
+        });
+        setDepartures(response.data.departures);
+      } catch (error) {
+        console.error('Error fetching departures:', error);
+        toast.error('Failed to load planned departures');
+      }
+    };
+
+    fetchDepartures();
+  }, [departureStop]);
+
+  // ETAs on the map are to the stop closest to the user
+  useEffect(() => {
+    if (!userLocation) return;
+
+    const fetchNearestStop = async () => {
+      try {
+        const response = await api.get('/stops/nearby', {
+          params: {
+            lat: userLocation.latitude,
+            lng: userLocation.longitude,
+            radius: NEAREST_STOP_RADIUS_METERS,
+            limit: 1
+          }
+        });
+        setNearestStop(response.data.stops[0] || null);
+      } catch (error) {
+        console.error('Error fetching nearest stop:', error);
+      }
+    };
+
+    fetchNearestStop();
+  }, [userLocation]);
+
+  // In nearby mode the map shows only the stops and buses around the user
+  useEffect(() => {
+    if (!nearbyOnly || !userLocation) return;
+
+    const fetchNearby = async () => {
+      try {
+        const params = { lat: userLocation.latitude, lng: userLocation.longitude, radius: NEARBY_RADIUS_METERS };
+        const [stopsRes, busesRes] = await Promise.all([
+          api.get('/stops/nearby', { params: { ...params, limit: 200 } }),
+          api.get('/buses/nearby', { params: { ...params, limit: 200, status: 'active' } })
+        ]);
+        setNearby({
+          stops: stopsRes.data.stops,
+          busIds: busesRes.data.buses.map(bus => bus._id)
+        });
+      } catch (error) {
+        console.error('Error fetching nearby stops and buses:', error);
+        toast.error('Failed to load what is near you');
+      }
+    };
+
+    fetchNearby();
+    const interval = setInterval(fetchNearby, NEARBY_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [nearbyOnly, userLocation]);
+
   // Redirect if not authenticated
   if (!authLoading && !user) {
     return <Navigate to="/login" />;
@@ -97,17 +235,19 @@ const BusTracking = () => {
       const token = localStorage.getItem('token');
       console.log('Auth token exists:', !!token);
 
-      const [busesRes, routesRes, stopsRes, trackedRes] = await Promise.all([
+      const [busesRes, routesRes, stopsRes, trackedRes, favoritesRes] = await Promise.all([
         api.get('/buses'),
         api.get('/routes'),
         api.get('/stops'),
-        api.get('/users/tracked-buses')
+        api.get('/users/tracked-buses'),
+        api.get('/users/favorite-stops')
       ]);
 
       setBuses(busesRes.data.buses);
       setRoutes(routesRes.data.routes);
       setStops(stopsRes.data.stops);
       setTrackedBuses(trackedRes.data.trackedBuses || []);
+      setFavoriteStops((favoritesRes.data.favoriteStops || []).map(stop => stop._id));
       console.log('Data loaded successfully');
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -140,9 +280,35 @@ const BusTracking = () => {
           ? { ...bus, currentLocation: data.location, lastUpdated: new Date(data.timestamp) }
           : bus
       ));
+    });
+
+    // Arrivals and departures are detected by the server
+    socket.on('bus-arrived', (event) => {
+      setBuses(prev => prev.map(bus =>
+        bus._id === event.busId ? { ...bus, currentStop: event.stopName } : bus
+      ));
+
+      if (trackedBusesRef.current.some(bus => bus._id === event.busId)) {
+        showBusArrivalNotification(
+          { _id: event.busId, busNumber: event.busNumber, route: { routeName: event.routeName } },
+          { _id: event.stopId, stopName: event.stopName },
+          0,
+          0
+        );
+      }
+    });
+
+    socket.on('bus-departed', (event) => {
+      setBuses(prev => prev.map(bus =>
+        bus._id === event.busId ? { ...bus, currentStop: null } : bus
+      ));
 
-      // Check for notifications
-      checkAndNotifyBusUpdates(trackedBuses, data, stops);
+      if (trackedBusesRef.current.some(bus => bus._id === event.busId)) {
+        showBusDepartureNotification(
+          { _id: event.busId, busNumber: event.busNumber, route: { routeName: event.routeName } },
+          { _id: event.stopId, stopName: event.stopName }
+        );
+      }
     });
   };
 
@@ -191,18 +357,95 @@ const BusTracking = () => {
     }
   };
 
+  const isFavoriteStop = (stopId) => favoriteStops.includes(stopId);
+
+  // Favorite stops subscribe the user to notices for the routes serving them
+  const handleToggleFavoriteStop = async (stop) => {
+    try {
+      if (isFavoriteStop(stop._id)) {
+        await api.delete(`/users/favorite-stops/${stop._id}`);
+        setFavoriteStops(prev => prev.filter(stopId => stopId !== stop._id));
+        toast.success(`Removed ${stop.stopName} from favorites`);
+      } else {
+        await api.post(`/users/favorite-stops/${stop._id}`);
+        setFavoriteStops(prev => [...prev, stop._id]);
+        toast.success(`Added ${stop.stopName} to favorites`);
+      }
+    } catch (error) {
+      toast.error('Failed to update favorite stops');
+    }
+  };
+
+  const loadPlayback = async () => {
+    if (!playbackBus || !playbackDate) return;
+
+    setIsPlaying(false);
+    setPlaybackLoading(true);
+    try {
+      const from = new Date(`${playbackDate}T00:00:00`);
+      const to = new Date(`${playbackDate}T23:59:59.999`);
+      const response = await api.get(`/buses/${playbackBus}/history`, {
+        params: { from: from.toISOString(), to: to.toISOString(), limit: 10000 }
+      });
+
+      const history = response.data.history;
+      setPlaybackHistory(history);
+      if (history.length === 0) {
+        toast.info('No recorded positions for this bus on the selected day');
+        return;
+      }
+
+      setPlaybackTime(new Date(history[0].timestamp).getTime());
+      if (mapRef.current) {
+        mapRef.current.setView([history[0].latitude, history[0].longitude], 14);
+      }
+    } catch (error) {
+      console.error('Error loading location history:', error);
+      toast.error('Failed to load location history');
+    } finally {
+      setPlaybackLoading(false);
+    }
+  };
+
+  const clearPlayback = () => {
+    setIsPlaying(false);
+    setPlaybackHistory([]);
+    setPlaybackTime(0);
+  };
+
+  const togglePlayback = () => {
+    if (playbackHistory.length === 0) return;
+
+    // Restart from the beginning when playback already reached the end
+    const endTime = new Date(playbackHistory[playbackHistory.length - 1].timestamp).getTime();
+    if (!isPlaying && playbackTime >= endTime) {
+      setPlaybackTime(new Date(playbackHistory[0].timestamp).getTime());
+    }
+    setIsPlaying(prev => !prev);
+  };
+
   const filteredBuses = selectedRoute
     ? buses.filter(bus => bus.route._id === selectedRoute)
     : buses;
 
   const isTracking = (busId) => trackedBuses.some(bus => bus._id === busId);
 
-  const getBusETA = (bus) => {
-    if (!userLocation || !bus.currentLocation) return null;
+  const showingNearby = nearbyOnly && userLocation;
+  const mapStops = showingNearby ? nearby.stops : stops;
+  const mapBuses = showingNearby
+    ? filteredBuses.filter(bus => nearby.busIds.includes(bus._id))
+    : filteredBuses;
 
-    // Find nearest stop to user
-    const nearestStop = findNearestStop(userLocation, stops);
-    if (!nearestStop) return null;
+  const handleNearbyToggle = (enabled) => {
+    setNearbyOnly(enabled);
+    if (enabled && !userLocation) {
+      getUserLocation();
+      toast.info('Getting your location...');
+    }
+  };
+
+  const getBusETA = (bus) => {
+    if (!nearestStop || !bus.currentLocation) return null;
 
     return calculateETA(bus.currentLocation, nearestStop.location);
   };
@@ -227,6 +470,15 @@ const BusTracking = () => {
     return points;
   };
 
+  const playbackPosition = interpolatePosition(playbackHistory, playbackTime);
+  const playbackBusData = buses.find(bus => bus._id === playbackBus);
+  const playbackStart = playbackHistory.length > 0 ? new Date(playbackHistory[0].timestamp).getTime() : 0;
+  const playbackEnd = playbackHistory.length > 0 ? new Date(playbackHistory[playbackHistory.length - 1].timestamp).getTime() : 0;
+  const playbackPath = playbackHistory.map(point => [point.latitude, point.longitude]);
+  const playedPath = playbackPosition
+    ? [...playbackPath.slice(0, playbackPosition.index + 1), [playbackPosition.latitude, playbackPosition.longitude]]
+    : [];
+
   if (authLoading || loading) {
     return <Typography>Loading...</Typography>;
   }
@@ -279,6 +531,109 @@ const BusTracking = () => {
             </FormControl>
           </Paper>
 
+          {/* Trip Playback (Admin only) */}
+          {isAdmin && (
+            <Paper sx={{ p: { xs: 1, sm: 2 }, mb: 2 }}>
+              <Typography variant="h6" gutterBottom sx={{ fontSize: { xs: '1.125rem', sm: '1.25rem' } }}>
+                Trip Playback
+              </Typography>
+
+              <FormControl fullWidth sx={{ mb: 2 }} size="small">
+                <InputLabel>Bus</InputLabel>
+                <Select
+                  value={playbackBus}
+                  label="Bus"
+                  onChange={(e) => {
+                    setPlaybackBus(e.target.value);
+                    clearPlayback();
+                  }}
+                >
+                  {buses.map((bus) => (
+                    <MenuItem key={bus._id} value={bus._id}>
+                      Bus {bus.busNumber} - {bus.route.routeName}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <TextField
+                fullWidth
+                size="small"
+                type="date"
+                label="Day"
+                value={playbackDate}
+                onChange={(e) => {
+                  setPlaybackDate(e.target.value);
+                  clearPlayback();
+                }}
+                InputLabelProps={{ shrink: true }}
+                sx={{ mb: 2 }}
+              />
+
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  variant="contained"
+                  size="small"
+                  onClick={loadPlayback}
+                  disabled={!playbackBus || playbackLoading}
+                  fullWidth
+                >
+                  {playbackLoading ? 'Loading...' : 'Load Trip'}
+                </Button>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  onClick={clearPlayback}
+                  disabled={playbackHistory.length === 0}
+                  fullWidth
+                >
+                  Clear
+                </Button>
+              </Box>
+
+              {playbackHistory.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Slider
+                    size="small"
+                    min={playbackStart}
+                    max={playbackEnd}
+                    value={playbackTime}
+                    onChange={(e, value) => {
+                      setIsPlaying(false);
+                      setPlaybackTime(value);
+                    }}
+                    valueLabelDisplay="auto"
+                    valueLabelFormat={(value) => new Date(value).toLocaleTimeString()}
+                  />
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <IconButton color="primary" onClick={togglePlayback}>
+                      {isPlaying ? <Pause /> : <PlayArrow />}
+                    </IconButton>
+                    <FormControl size="small" sx={{ minWidth: 90 }}>
+                      <InputLabel>Speed</InputLabel>
+                      <Select
+                        value={playbackSpeed}
+                        label="Speed"
+                        onChange={(e) => setPlaybackSpeed(e.target.value)}
+                      >
+                        {PLAYBACK_SPEEDS.map((speed) => (
+                          <MenuItem key={speed} value={speed}>{speed}x</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <Typography variant="body2" sx={{ ml: 'auto' }}>
+                      {new Date(playbackTime).toLocaleTimeString()}
+                    </Typography>
+                  </Box>
+                  <Typography variant="caption" color="textSecondary">
+                    {playbackHistory.length} recorded positions
+                    {playbackPosition ? ` • ${(playbackPosition.speed || 0).toFixed(1)} km/h` : ''}
+                  </Typography>
+                </Box>
+              )}
+            </Paper>
+          )}
+
           {/* Bus List */}
           <Paper sx={{ p: 2 }}>
             <Typography variant="h6" gutterBottom>
@@ -317,6 +672,16 @@ const BusTracking = () => {
                             }}>
                               Route: {bus.route.routeName} • Status: {bus.status}
                             </span>
+                            {bus.currentStop && (
+                              <span style={{
+                                fontSize: '0.75rem',
+                                color: '#2e7d32',
+                                display: 'block',
+                                marginTop: '4px'
+                              }}>
+                                🚏 At {bus.currentStop}
+                              </span>
+                            )}
                             {eta && (
                               <span style={{
                                 fontSize: '0.75rem',
@@ -377,15 +742,81 @@ const BusTracking = () => {
               </List>
             )}
           </Paper>
+
+          {/* Planned Departures */}
+          <Paper sx={{ p: 2, mt: 2 }}>
+            <Typography variant="h6" gutterBottom>
+              Planned Departures
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Stop</InputLabel>
+                <Select
+                  value={departureStop}
+                  label="Stop"
+                  onChange={(e) => setDepartureStop(e.target.value)}
+                >
+                  {stops.map((stop) => (
+                    <MenuItem key={stop._id} value={stop._id}>
+                      {isFavoriteStop(stop._id) ? `★ ${stop.stopName}` : stop.stopName}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {departureStop && (
+                <IconButton
+                  color="warning"
+                  aria-label="Toggle favorite stop"
+                  onClick={() => handleToggleFavoriteStop(stops.find(stop => stop._id === departureStop))}
+                >
+                  {isFavoriteStop(departureStop) ? <Star /> : <StarBorder />}
+                </IconButton>
+              )}
+            </Box>
+
+            {departureStop && (
+              departures.length === 0 ? (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  No more scheduled departures today.
+                </Alert>
+              ) : (
+                <List dense sx={{ p: 0 }}>
+                  {departures.map((departure) => (
+                    <ListItem key={`${departure.trip}-${departure.scheduledDeparture}`} divider>
+                      <ListItemText
+                        primary={`${new Date(departure.scheduledDeparture).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} • ${departure.route?.routeName || 'Unknown route'}`}
+                        secondary={departure.headsign ? `To ${departure.headsign}` : null}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )
+            )}
+          </Paper>
+
+          {/* Arrival Alerts */}
+          <ArrivalAlerts routes={routes} buses={buses} stops={stops} />
         </Grid>
 
         {/* Map */}
         <Grid item xs={12} md={8}>
           <Card>
             <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Live Map
-              </Typography>
+              <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap">
+                <Typography variant="h6" gutterBottom>
+                  Live Map
+                </Typography>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      size="small"
+                      checked={nearbyOnly}
+                      onChange={(e) => handleNearbyToggle(e.target.checked)}
+                    />
+                  }
+                  label={`Only within ${NEARBY_RADIUS_METERS / 1000} km of me`}
+                />
+              </Box>
 
               <Box sx={{ height: { xs: 300, sm: 400, md: 500 }, width: '100%', position: 'relative' }}>
                 <MapContainer
@@ -409,6 +840,56 @@ const BusTracking = () => {
                     />
                   )}
 
+                  {/* Trip playback: planned route underneath the recorded path */}
+                  {playbackHistory.length > 0 && playbackBusData && (
+                    <>
+                      <Polyline
+                        positions={getRoutePolyline(playbackBusData.route._id)}
+                        color="blue"
+                        weight={6}
+                        opacity={0.4}
+                      />
+                      <Polyline
+                        positions={playbackPath}
+                        color="#9e9e9e"
+                        weight={3}
+                        opacity={0.8}
+                        dashArray="6 6"
+                      />
+                      <Polyline
+                        positions={playedPath}
+                        color="#d32f2f"
+                        weight={4}
+                        opacity={0.9}
+                      />
+                    </>
+                  )}
+
+                  {playbackPosition && playbackBusData && (
+                    <Marker
+                      position={[playbackPosition.latitude, playbackPosition.longitude]}
+                      zIndexOffset={1000}
+                      icon={L.divIcon({
+                        className: 'custom-playback-marker',
+                        html: `<div style="background-color: #d32f2f; width: 32px; height: 32px; border-radius: 50%; border: 3px solid white; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 12px; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">${playbackBusData.busNumber}</div>`,
+                        iconSize: [32, 32],
+                        iconAnchor: [16, 16]
+                      })}
+                    >
+                      <Popup>
+                        <Typography variant="subtitle2">
+                          ⏪ Playback: Bus {playbackBusData.busNumber}
+                        </Typography>
+                        <Typography variant="body2">
+                          Time: {playbackPosition.timestamp.toLocaleTimeString()}
+                        </Typography>
+                        <Typography variant="body2">
+                          🚗 Speed: {(playbackPosition.speed || 0).toFixed(1)} km/h
+                        </Typography>
+                      </Popup>
+                    </Marker>
+                  )}
+
                   {/* Route start/end markers */}
                   {selectedRoute && routes
                     .filter(route => route._id === selectedRoute)
@@ -473,7 +954,7 @@ const BusTracking = () => {
                     ))}
 
                   {/* Bus stop markers */}
-                  {stops.map((stop) => (
+                  {mapStops.map((stop) => (
                     <Marker
                       key={`stop-${stop._id}`}
                       position={[stop.location.latitude, stop.location.longitude]}
@@ -487,12 +968,19 @@ const BusTracking = () => {
                       <Popup>
                         <Typography variant="subtitle2">{stop.stopName}</Typography>
                         <Typography variant="body2">{stop.address}</Typography>
+                        <Button
+                          size="small"
+                          startIcon={isFavoriteStop(stop._id) ? <Star /> : <StarBorder />}
+                          onClick={() => handleToggleFavoriteStop(stop)}
+                        >
+                          {isFavoriteStop(stop._id) ? 'Favorite' : 'Add to favorites'}
+                        </Button>
                       </Popup>
                     </Marker>
                   ))}
 
                   {/* Bus markers */}
-                  {filteredBuses
+                  {mapBuses
                     .filter(bus => bus.currentLocation && bus.status === 'active')
                     .map((bus) => {
                       const eta = getBusETA(bus);
@@ -41,6 +41,21 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [dataLoaded, setDataLoaded] = useState(false);
 
+  // Named so that only these listeners are removed on unmount, not the navbar's
+  const handleNewNotification = (notification) => {
+    setNotifications(prev => [{ ...notification, isRead: false }, ...prev.slice(0, 4)]);
+  };
+
+  const handleNotificationsRead = ({ notificationIds }) => {
+    setNotifications(prev => prev.map(notification =>
+      notificationIds.includes(notification._id) ? { ...notification, isRead: true } : notification
+    ));
+  };
+
+  const handleNotificationExpired = ({ notificationId }) => {
+    setNotifications(prev => prev.filter(notification => notification._id !== notificationId));
+  };
+
   useEffect(() => {
     if (user) {
       setDataLoaded(false); // Reset data loaded flag for new user
@@ -51,10 +66,28 @@ const Dashboard = () => {
     return () => {
       const socket = getSocket();
       socket.off('bus-location-update');
-      socket.off('new-notification');
+      socket.off('bus-arrived');
+      socket.off('bus-departed');
+      socket.off('new-notification', handleNewNotification);
+      socket.off('notifications-read', handleNotificationsRead);
+      socket.off('notification-expired', handleNotificationExpired);
     };
   }, [user]);
 
+  // Location updates and stop events of tracked buses are sent to each bus's room
+  const trackedBusIds = trackedBuses.map(bus => bus._id).join(',');
+  useEffect(() => {
+    if (!trackedBusIds) return;
+
+    const socket = getSocket();
+    const ids = trackedBusIds.split(',');
+    ids.forEach(busId => socket.emit('join-bus-tracking', busId));
+
+    return () => {
+      ids.forEach(busId => socket.emit('leave-bus-tracking', busId));
+    };
+  }, [trackedBusIds]);
+
   console.log('Dashboard - Auth loading:', authLoading, 'User:', user);
 
   // Redirect if not authenticated
@@ -119,10 +152,32 @@ const Dashboard = () => {
       ));
     });
 
-    // Listen for new notifications
-    socket.on('new-notification', (notification) => {
-      setNotifications(prev => [notification, ...prev.slice(0, 4)]);
+    // Listen for stop arrivals and departures of tracked buses
+    socket.on('bus-arrived', (event) => {
+      setTrackedBuses(prev => prev.map(bus =>
+        bus._id === event.busId ? { ...bus, currentStop: event.stopName } : bus
+      ));
+    });
+
+    socket.on('bus-departed', (event) => {
+      setTrackedBuses(prev => prev.map(bus =>
+        bus._id === event.busId ? { ...bus, currentStop: null } : bus
+      ));
     });
+
+    // Listen for new, read and expired notifications
+    socket.on('new-notification', handleNewNotification);
+    socket.on('notifications-read', handleNotificationsRead);
+    socket.on('notification-expired', handleNotificationExpired);
+  };
+
+  const markNotificationRead = async (notification) => {
+    if (notification.isRead) return;
+    try {
+      await api.patch(`/notifications/${notification._id}/read`);
+    } catch (error) {
+      console.error('Dashboard - Error marking notification as read:', error);
+    }
   };
 
   const getNotificationColor = (type) => {
@@ -232,7 +287,7 @@ const Dashboard = () => {
                   <ListItem key={bus._id} divider>
                     <ListItemText
                       primary={`Bus ${bus.busNumber}`}
-                      secondary={`Route: ${bus.route.routeName} • Status: ${bus.status}`}
+                      secondary={`Route: ${bus.route.routeName} • ${bus.currentStop ? `At ${bus.currentStop}` : `Status: ${bus.status}`}`}
                     />
                     <Chip
                       label={bus.status}
@@ -261,10 +316,16 @@ const Dashboard = () => {
             ) : (
               <List>
                 {notifications.map((notification) => (
-                  <ListItem key={notification._id} divider>
+                  <ListItem
+                    key={notification._id}
+                    divider
+                    button
+                    onClick={() => markNotificationRead(notification)}
+                  >
                     <ListItemText
                       primary={notification.message}
                       secondary={new Date(notification.time).toLocaleString()}
+                      primaryTypographyProps={{ fontWeight: notification.isRead ? 'normal' : 'bold' }}
                     />
                     <Chip
                       label={notification.type}
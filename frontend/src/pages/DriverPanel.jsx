@@ -23,13 +23,16 @@ import {
   Stop,
   GpsFixed,
   DirectionsBus,
-  Schedule
+  Schedule,
+  Pause,
+  Flag
 } from '@mui/icons-material';
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { getSocket } from '../services/socket';
 import api from '../services/api';
+import { enqueueFix, flushLocationQueue } from '../services/locationQueue';
 import { toast } from 'react-toastify';
 import { useAuth } from '../context/AuthContext';
 import { calculateDistance, calculateETA } from '../utils/locationUtils';
@@ -47,12 +50,16 @@ const DriverPanel = () => {
 
   // ALL hooks must be called before any early returns
   const [buses, setBuses] = useState([]);
+  const [assignments, setAssignments] = useState([]);
   const [routes, setRoutes] = useState([]);
   const [stops, setStops] = useState([]);
   const [selectedBus, setSelectedBus] = useState('');
   const [currentLocation, setCurrentLocation] = useState(null);
   const [isTracking, setIsTracking] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(null);
+  const [queuedFixes, setQueuedFixes] = useState(0);
+  const [activeTrip, setActiveTrip] = useState(null);
+  const [tripDirection, setTripDirection] = useState('outbound');
   const [watchId, setWatchId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [currentRoute, setCurrentRoute] = useState(null);
@@ -78,6 +85,37 @@ const DriverPanel = () => {
     };
   }, [user]);
 
+  // Upload positions queued while offline, including any left from an earlier session
+  useEffect(() => {
+    if (!user || (user.role !== 'admin' && user.role !== 'driver')) return undefined;
+
+    uploadQueuedLocations();
+    window.addEventListener('online', uploadQueuedLocations);
+    return () => window.removeEventListener('online', uploadQueuedLocations);
+  }, [user]);
+
+  // Open trip of the selected bus, refreshed so its distance keeps up
+  useEffect(() => {
+    if (!selectedBus) {
+      setActiveTrip(null);
+      return undefined;
+    }
+
+    const fetchActiveTrip = async () => {
+      try {
+        const response = await api.get('/trips/active', { params: { bus: selectedBus } });
+        setActiveTrip(response.data.trip);
+      } catch (error) {
+        console.error('Error fetching active trip:', error);
+        setActiveTrip(null);
+      }
+    };
+
+    fetchActiveTrip();
+    const interval = setInterval(fetchActiveTrip, 30000);
+    return () => clearInterval(interval);
+  }, [selectedBus]);
+
   // Redirect if not authenticated or not admin/driver
   if (!authLoading && (!user || (user.role !== 'admin' && user.role !== 'driver'))) {
     return <Navigate to="/dashboard" />;
@@ -86,12 +124,21 @@ const DriverPanel = () => {
   const fetchData = async () => {
     try {
       const [busesRes, routesRes, stopsRes] = await Promise.all([
-        api.get('/buses'),
+        // Drivers only get the buses assigned to them
+        user.role === 'driver' ? api.get('/assignments/mine') : api.get('/buses'),
         api.get('/routes'),
         api.get('/stops')
       ]);
 
-      setBuses(busesRes.data.buses);
+      if (user.role === 'driver') {
+        const driverAssignments = busesRes.data.assignments;
+        setAssignments(driverAssignments);
+        setBuses(driverAssignments
+          .filter(assignment => assignment.isActive && assignment.bus)
+          .map(assignment => assignment.bus));
+      } else {
+        setBuses(busesRes.data.buses);
+      }
       setRoutes(routesRes.data.routes);
       setStops(stopsRes.data.stops);
     } catch (error) {
@@ -127,7 +174,9 @@ const DriverPanel = () => {
       (position) => {
         const location = {
           latitude: position.coords.latitude,
-          longitude: position.coords.longitude
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          timestamp: position.timestamp
         };
         setCurrentLocation(location);
         updateBusLocation(location);
@@ -142,14 +191,18 @@ const DriverPanel = () => {
     // Start watching position
     const id = navigator.geolocation.watchPosition(
       (position) => {
+        // Calculate speed (m/s to km/h)
+        const speed = position.coords.speed ? position.coords.speed * 3.6 : 0;
+
+        // Accuracy and speed let the server tell GPS jitter from real movement
         const location = {
           latitude: position.coords.latitude,
-          longitude: position.coords.longitude
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          speed: typeof position.coords.speed === 'number' ? speed : undefined,
+          timestamp: position.timestamp
         };
 
-        // Calculate speed (m/s to km/h)
-        const speed = position.coords.speed ? position.coords.speed * 3.6 : 0;
-
         setCurrentLocation(location);
         setTripStats(prev => ({
           ...prev,
@@ -172,12 +225,8 @@ const DriverPanel = () => {
 
     setWatchId(id);
 
-    // Update location every 30 seconds as backup
-    locationInterval.current = setInterval(() => {
-      if (currentLocation) {
-        updateBusLocation(currentLocation);
-      }
-    }, 30000);
+    // Retry positions that could not be uploaded every 30 seconds
+    locationInterval.current = setInterval(uploadQueuedLocations, 30000);
   };
 
   const stopLocationTracking = () => {
@@ -194,20 +243,68 @@ const DriverPanel = () => {
     }
   };
 
+  // Positions are queued before upload so none are lost while the phone has no signal
   const updateBusLocation = async (location) => {
     if (!selectedBus) return;
 
     try {
-      await api.patch(`/buses/${selectedBus}/location`, {
+      await enqueueFix(selectedBus, {
         latitude: location.latitude,
-        longitude: location.longitude
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        speed: location.speed,
+        timestamp: location.timestamp
       });
+    } catch (error) {
+      console.error('Error queueing location:', error);
+      return;
+    }
+
+    uploadQueuedLocations();
+  };
 
-      setLastUpdate(new Date());
-      console.log('Location updated:', location);
+  const uploadQueuedLocations = async () => {
+    try {
+      const { uploaded, remaining } = await flushLocationQueue();
+      if (uploaded > 0) {
+        setLastUpdate(new Date());
+      }
+      setQueuedFixes(remaining);
     } catch (error) {
-      console.error('Error updating location:', error);
       // Don't show toast for every location update failure to avoid spam
+      console.error('Error uploading locations:', error);
+    }
+  };
+
+  const handleStartTrip = async () => {
+    try {
+      const response = await api.post('/trips', { bus: selectedBus, direction: tripDirection });
+      setActiveTrip(response.data.trip);
+      toast.success('Trip started');
+
+      if (!isTracking) {
+        startLocationTracking();
+      }
+    } catch (error) {
+      console.error('Error starting trip:', error);
+      toast.error(error.response?.data?.error || 'Failed to start trip');
+    }
+  };
+
+  const handleTripAction = async (action) => {
+    try {
+      const response = await api.patch(`/trips/${activeTrip._id}/${action}`);
+      const trip = response.data.trip;
+
+      if (action === 'end') {
+        setActiveTrip(null);
+        toast.success(`Trip ended: ${trip.distance.toFixed(1)} km in ${Math.round(trip.durationSeconds / 60)} min, ${trip.stopCount} stops served`);
+      } else {
+        setActiveTrip(trip);
+      }
+    } catch (error) {
+      console.error(`Error updating trip (${action}):`, error);
+      toast.error(error.response?.data?.error || 'Failed to update trip');
     }
   };
 
@@ -242,6 +339,10 @@ const DriverPanel = () => {
     return points;
   };
 
+  const selectedAssignment = assignments.find(
+    assignment => assignment.isActive && assignment.bus?._id === selectedBus
+  );
+
   if (authLoading || loading) {
     return <Typography>Loading driver panel...</Typography>;
   }
@@ -260,6 +361,13 @@ const DriverPanel = () => {
               Bus Selection
             </Typography>
 
+            {user.role === 'driver' && buses.length === 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                You are not assigned to a bus for the current shift.
+                {assignments.length > 0 && ` Your next shift starts ${new Date(assignments[0].shiftStart).toLocaleString()}.`}
+              </Alert>
+            )}
+
             <FormControl fullWidth sx={{ mb: 2 }}>
               <InputLabel>Select Bus</InputLabel>
               <Select
@@ -275,6 +383,12 @@ const DriverPanel = () => {
               </Select>
             </FormControl>
 
+            {selectedAssignment && (
+              <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+                Shift: {new Date(selectedAssignment.shiftStart).toLocaleTimeString()} - {new Date(selectedAssignment.shiftEnd).toLocaleTimeString()}
+              </Typography>
+            )}
+
             {selectedBus && (
               <Box sx={{ mb: 2 }}>
                 <Typography variant="subtitle2" gutterBottom>
@@ -290,6 +404,13 @@ const DriverPanel = () => {
                     {lastUpdate ? `Last update: ${lastUpdate.toLocaleTimeString()}` : 'Not updated yet'}
                   </Typography>
                 </Box>
+                {queuedFixes > 0 && (
+                  <Chip
+                    label={`${queuedFixes} location${queuedFixes === 1 ? '' : 's'} waiting to upload`}
+                    color="warning"
+                    size="small"
+                  />
+                )}
               </Box>
             )}
 
@@ -317,6 +438,84 @@ const DriverPanel = () => {
             </Box>
           </Paper>
 
+          {selectedBus && (
+            <Paper sx={{ p: 2, mb: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                Trip
+              </Typography>
+
+              {activeTrip ? (
+                <>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                    <Chip
+                      label={activeTrip.status === 'paused' ? 'Paused' : 'In progress'}
+                      color={activeTrip.status === 'paused' ? 'warning' : 'success'}
+                      size="small"
+                    />
+                    <Typography variant="body2">
+                      {activeTrip.direction === 'inbound' ? 'Inbound' : 'Outbound'} since {new Date(activeTrip.startedAt).toLocaleTimeString()}
+                    </Typography>
+                  </Box>
+                  <Typography variant="body2" sx={{ mb: 2 }}>
+                    {activeTrip.distance.toFixed(1)} km driven
+                  </Typography>
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    {activeTrip.status === 'paused' ? (
+                      <Button
+                        variant="outlined"
+                        startIcon={<PlayArrow />}
+                        onClick={() => handleTripAction('resume')}
+                        fullWidth
+                      >
+                        Resume
+                      </Button>
+                    ) : (
+                      <Button
+                        variant="outlined"
+                        startIcon={<Pause />}
+                        onClick={() => handleTripAction('pause')}
+                        fullWidth
+                      >
+                        Pause
+                      </Button>
+                    )}
+                    <Button
+                      variant="contained"
+                      color="error"
+                      startIcon={<Flag />}
+                      onClick={() => handleTripAction('end')}
+                      fullWidth
+                    >
+                      End Trip
+                    </Button>
+                  </Box>
+                </>
+              ) : (
+                <>
+                  <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+                    <InputLabel>Direction</InputLabel>
+                    <Select
+                      value={tripDirection}
+                      label="Direction"
+                      onChange={(e) => setTripDirection(e.target.value)}
+                    >
+                      <MenuItem value="outbound">Outbound</MenuItem>
+                      <MenuItem value="inbound">Inbound</MenuItem>
+                    </Select>
+                  </FormControl>
+                  <Button
+                    variant="contained"
+                    startIcon={<PlayArrow />}
+                    onClick={handleStartTrip}
+                    fullWidth
+                  >
+                    Start Trip
+                  </Button>
+                </>
+              )}
+            </Paper>
+          )}
+
           {selectedBus && (
             <Paper sx={{ p: 2 }}>
               <Typography variant="h6" gutterBottom>
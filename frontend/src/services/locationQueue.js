@@ -0,0 +1,113 @@
+import api from './api';
+
+const DB_NAME = 'bus-tracking';
+const DB_VERSION = 1;
+const STORE = 'location-fixes';
+const BATCH_SIZE = 100;
+
+let databasePromise = null;
+
+// Requests to these statuses will fail the same way again, so their fixes are dropped
+const isPermanentFailure = (error) =>
+  error.response && [400, 403, 404].includes(error.response.status);
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+// Run a request against the fix store and resolve with its result
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Store a position until it has been uploaded
+ * @param {string} busId
+ * @param {Object} fix - {latitude, longitude, speed, heading, accuracy, timestamp}
+ */
+export const enqueueFix = (busId, fix) =>
+  withStore('readwrite', (store) => store.add({
+    ...fix,
+    busId,
+    timestamp: new Date(fix.timestamp || Date.now()).toISOString()
+  }));
+
+/**
+ * Number of positions waiting to be uploaded
+ * @returns {Promise<number>}
+ */
+export const countQueuedFixes = () => withStore('readonly', (store) => store.count());
+
+// Oldest queued fixes, all of the same bus
+const nextBatch = async () => {
+  const fixes = await withStore('readonly', (store) => store.getAll(null, BATCH_SIZE));
+  if (fixes.length === 0) return [];
+  return fixes.filter((fix) => fix.busId === fixes[0].busId);
+};
+
+const removeFixes = (ids) =>
+  withStore('readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+    return null;
+  });
+
+let flushing = null;
+
+/**
+ * Upload queued positions oldest first, one bus at a time
+ * Stops at the first network or server error and leaves the rest queued for the next
+ * attempt. Only one upload runs at a time; concurrent calls share it.
+ * @returns {Promise<Object>} {uploaded, dropped, remaining}
+ */
+export const flushLocationQueue = () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    let uploaded = 0;
+    let dropped = 0;
+
+    try {
+      for (;;) {
+        const batch = await nextBatch();
+        if (batch.length === 0) break;
+
+        try {
+          await api.post(`/buses/${batch[0].busId}/locations`, {
+            fixes: batch.map(({ latitude, longitude, speed, heading, accuracy, timestamp }) => ({
+              latitude, longitude, speed, heading, accuracy, timestamp
+            }))
+          });
+          uploaded += batch.length;
+        } catch (error) {
+          if (!isPermanentFailure(error)) break;
+          console.error('Dropping queued locations the server refused:', error);
+          dropped += batch.length;
+        }
+
+        await removeFixes(batch.map((fix) => fix.id));
+      }
+    } finally {
+      flushing = null;
+    }
+
+    return { uploaded, dropped, remaining: await countQueuedFixes() };
+  })();
+
+  return flushing;
+};
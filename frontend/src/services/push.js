@@ -0,0 +1,76 @@
+import api from './api';
+
+const SERVICE_WORKER_URL = '/service-worker.js';
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+/**
+ * Register the service worker that shows notifications
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator)) return null;
+
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    return null;
+  }
+};
+
+// VAPID keys are base64url; the Push API wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from([...raw].map((char) => char.charCodeAt(0)));
+};
+
+/**
+ * Current push subscription of this browser
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+/**
+ * Ask for permission and subscribe this browser to push notifications
+ * @returns {Promise<boolean>} True if subscribed
+ */
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) return false;
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  const { data } = await api.get('/push/vapid-public-key');
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.publicKey)
+    });
+
+  await api.post('/push/subscribe', subscription.toJSON());
+  return true;
+};
+
+/**
+ * Unsubscribe this browser from push notifications
+ * @param {Object} options - {local: true} to skip telling the server, e.g. after logout;
+ *   the server drops the subscription once the push service reports it gone
+ */
+export const unsubscribeFromPush = async ({ local = false } = {}) => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  if (!local) {
+    await api.post('/push/unsubscribe', { endpoint: subscription.endpoint });
+  }
+  await subscription.unsubscribe();
+};
@@ -10,7 +10,9 @@ export const initSocket = () => {
     socket = io(SOCKET_URL, {
       transports: ['websocket', 'polling'],
       timeout: 20000,
-      forceNew: true
+      forceNew: true,
+      // Read the token on every (re)connect so that a new login is picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
     });
 
     socket.on('connect', () => {
@@ -35,6 +37,14 @@ export const getSocket = () => {
   return socket;
 };
 
+// Reconnect with the current token, e.g. after login or logout
+export const reconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket.connect();
+  }
+};
+
 export const disconnectSocket = () => {
   if (socket) {
     socket.disconnect();
@@ -45,6 +55,7 @@ export const disconnectSocket = () => {
 const socketService = {
   initSocket,
   getSocket,
+  reconnectSocket,
   disconnectSocket
 };
 
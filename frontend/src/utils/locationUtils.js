@@ -63,32 +63,6 @@ export const calculateETA = (currentLocation, destination, averageSpeed = 30) =>
   };
 };
 
-/**
- * Find the nearest bus stop from a given location
- * @param {Object} location - {latitude, longitude}
- * @param {Array} stops - Array of stop objects with location
- * @returns {Object} Nearest stop with distance
- */
-export const findNearestStop = (location, stops) => {
-  if (!stops || stops.length === 0) return null;
-
-  let nearestStop = stops[0];
-  let minDistance = calculateDistance(location, stops[0].location);
-
-  for (let i = 1; i < stops.length; i++) {
-    const distance = calculateDistance(location, stops[i].location);
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestStop = stops[i];
-    }
-  }
-
-  return {
-    ...nearestStop,
-    distance: Math.round(minDistance * 100) / 100
-  };
-};
-
 /**
  * Calculate bearing between two points (direction)
  * @param {Object} point1 - {latitude, longitude}
@@ -142,30 +116,6 @@ export const getDirectionFromBearing = (bearing) => {
   return directions[index];
 };
 
-/**
- * Check if a bus is approaching a stop (geofencing)
- * @param {Object} busLocation - {latitude, longitude}
- * @param {Array} stops - Array of stop objects with location
- * @param {number} radiusInKm - Detection radius in kilometers (default: 0.5km)
- * @returns {Object|null} Nearest stop if within radius, null otherwise
- */
-export const checkBusApproachingStop = (busLocation, stops, radiusInKm = 0.5) => {
-  if (!stops || stops.length === 0) return null;
-
-  for (const stop of stops) {
-    const distance = calculateDistance(busLocation, stop.location);
-    if (distance <= radiusInKm) {
-      return {
-        stop,
-        distance,
-        isApproaching: distance <= radiusInKm
-      };
-    }
-  }
-
-  return null;
-};
-
 /**
  * Get stops along a route
  * @param {Object} route - Route object with waypoints
@@ -228,3 +178,49 @@ export const calculateStopETA = (currentLocation, nextStop, currentSpeed = 30) =
              `${Math.floor(timeInMinutes / 60)}h ${timeInMinutes % 60}m`
   };
 };
+
+/**
+ * Interpolate a position along recorded location history at a given time
+ * @param {Array} history - Location records sorted by timestamp ({latitude, longitude, speed, heading, timestamp})
+ * @param {number} time - Playback time in milliseconds since epoch
+ * @returns {Object|null} {latitude, longitude, speed, heading, timestamp, index} or null if no history
+ */
+export const interpolatePosition = (history, time) => {
+  if (!history || history.length === 0) return null;
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  if (time <= new Date(first.timestamp).getTime()) {
+    return { ...first, timestamp: new Date(first.timestamp), index: 0 };
+  }
+  if (time >= new Date(last.timestamp).getTime()) {
+    return { ...last, timestamp: new Date(last.timestamp), index: history.length - 1 };
+  }
+
+  // Binary search for the segment containing the requested time
+  let low = 0;
+  let high = history.length - 1;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (new Date(history[mid].timestamp).getTime() <= time) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const from = history[low];
+  const to = history[high];
+  const fromTime = new Date(from.timestamp).getTime();
+  const toTime = new Date(to.timestamp).getTime();
+  const ratio = toTime === fromTime ? 0 : (time - fromTime) / (toTime - fromTime);
+
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * ratio,
+    longitude: from.longitude + (to.longitude - from.longitude) * ratio,
+    speed: from.speed,
+    heading: to.heading !== undefined ? to.heading : from.heading,
+    timestamp: new Date(time),
+    index: low
+  };
+};
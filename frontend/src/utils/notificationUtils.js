@@ -24,24 +24,42 @@ export const requestNotificationPermission = async () => {
 
 /**
  * Show a browser notification
+ * Goes through the service worker when one is active, since only service worker
+ * notifications support `actions`.
  * @param {string} title - Notification title
  * @param {Object} options - Notification options
  */
-export const showNotification = (title, options = {}) => {
-  if (Notification.permission === 'granted') {
-    const notification = new Notification(title, {
-      icon: '/bus-icon.png', // You can add a bus icon
-      badge: '/bus-badge.png',
-      ...options
-    });
-
-    // Auto close after 5 seconds
-    setTimeout(() => {
-      notification.close();
-    }, 5000);
-
-    return notification;
+export const showNotification = async (title, options = {}) => {
+  if (Notification.permission !== 'granted') return;
+
+  const notificationOptions = {
+    icon: '/bus-icon.png', // You can add a bus icon
+    badge: '/bus-badge.png',
+    ...options
+  };
+
+  const registration = 'serviceWorker' in navigator && navigator.serviceWorker.controller
+    ? await navigator.serviceWorker.getRegistration()
+    : null;
+
+  if (registration) {
+    await registration.showNotification(title, { ...notificationOptions, data: { url: window.location.pathname } });
+    if (!options.requireInteraction) {
+      // Auto close after 5 seconds
+      const [notification] = await registration.getNotifications({ tag: options.tag });
+      if (notification) setTimeout(() => notification.close(), 5000);
+    }
+    return;
   }
+
+  const notification = new Notification(title, notificationOptions);
+
+  // Auto close after 5 seconds
+  setTimeout(() => {
+    notification.close();
+  }, 5000);
+
+  return notification;
 };
 
 /**
@@ -107,54 +125,3 @@ export const showRouteChangeNotification = (bus, changeType, message) => {
     ]
   });
 };
-
-/**
- * Check if user is tracking a bus and show relevant notifications
- * @param {Array} trackedBuses - Array of tracked bus objects
- * @param {Object} busUpdate - Bus location update data
- * @param {Array} stops - Array of all stops
- */
-export const checkAndNotifyBusUpdates = (trackedBuses, busUpdate, stops) => {
-  const trackedBus = trackedBuses.find(bus => bus._id === busUpdate.busId);
-  if (!trackedBus) return;
-
-  // Find nearest stop
-  const nearestStop = stops.reduce((nearest, stop) => {
-    const distance = calculateDistance(busUpdate.location, stop.location);
-    return !nearest || distance < nearest.distance ? { ...stop, distance } : nearest;
-  }, null);
-
-  if (nearestStop && nearestStop.distance <= 0.5) { // Within 500m
-    const eta = Math.round((nearestStop.distance / 30) * 60); // Assuming 30 km/h average speed
-    showBusArrivalNotification(trackedBus, nearestStop, nearestStop.distance, eta);
-  }
-};
-
-/**
- * Calculate distance (helper function for notifications)
- * @param {Object} point1 - {latitude, longitude}
- * @param {Object} point2 - {latitude, longitude}
- * @returns {number} Distance in kilometers
- */
-const calculateDistance = (point1, point2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = Math.toRadians(point2.latitude - point1.latitude);
-  const dLon = Math.toRadians(point2.longitude - point1.longitude);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(Math.toRadians(point1.latitude)) * Math.cos(Math.toRadians(point2.latitude)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-};
-
-/**
- * Convert degrees to radians (helper function)
- * @param {number} degrees
- * @returns {number} Radians
- */
-Math.toRadians = (degrees) => {
-  return degrees * (Math.PI / 180);
-};